@@ -0,0 +1,142 @@
+// @flow
+
+import createGridComponent from './createGridComponent';
+import { config, getSizeOfItem, resetItemSize } from './VariableSizeGrid';
+
+import type { Props } from './createGridComponent';
+import type { CellSizeMap, InstanceProps } from './VariableSizeGrid';
+
+type ItemType = 'column' | 'row';
+
+// Records the size of a single cell within a row (or column).
+// Returns true if this changed the size of the row (or column) as a whole.
+const updateCellSize = (
+  itemType: ItemType,
+  props: Props<any>,
+  index: number,
+  crossIndex: number,
+  size: number,
+  instanceProps: InstanceProps
+): boolean => {
+  let cellSizeMap;
+  if (itemType === 'column') {
+    cellSizeMap = instanceProps.cellWidthsByColumn;
+  } else {
+    cellSizeMap = instanceProps.cellHeightsByRow;
+  }
+
+  // The cell size maps are always created by DynamicSizeGrid (see initInstanceProps below).
+  const cellSizes = ((cellSizeMap: any): CellSizeMap);
+
+  const prevSize = getSizeOfItem(itemType, props, index, instanceProps);
+
+  if (!cellSizes.hasOwnProperty(index)) {
+    cellSizes[index] = {};
+  }
+  cellSizes[index][crossIndex] = size;
+
+  if (getSizeOfItem(itemType, props, index, instanceProps) === prevSize) {
+    return false;
+  }
+
+  resetItemSize(itemType, instanceProps, index);
+
+  return true;
+};
+
+// Rows and columns are laid out by the same functions as VariableSizeGrid,
+// But their sizes come from measurements of the rendered cells (or the estimated size until then).
+const DynamicSizeGrid = createGridComponent({
+  ...config,
+
+  // This method is called (by ItemMeasurer) each time a rendered cell is measured.
+  // It returns true if the cell changed the size of its row or column,
+  // In which case the offsets of all rows or columns after it need to be recalculated.
+  handleNewMeasurement: (
+    props: Props<any>,
+    rowIndex: number,
+    columnIndex: number,
+    width: number,
+    height: number,
+    instanceProps: InstanceProps
+  ): boolean => {
+    let didSizeChange = false;
+
+    if (props.rowHeight == null) {
+      didSizeChange =
+        updateCellSize(
+          'row',
+          props,
+          rowIndex,
+          columnIndex,
+          height,
+          instanceProps
+        ) || didSizeChange;
+    }
+    if (props.columnWidth == null) {
+      didSizeChange =
+        updateCellSize(
+          'column',
+          props,
+          columnIndex,
+          rowIndex,
+          width,
+          instanceProps
+        ) || didSizeChange;
+    }
+
+    return didSizeChange;
+  },
+
+  initInstanceProps(props: Props<any>, instance: any): InstanceProps {
+    const instanceProps = config.initInstanceProps(props, instance);
+
+    instanceProps.cellHeightsByRow = {};
+    instanceProps.cellWidthsByColumn = {};
+
+    return instanceProps;
+  },
+
+  validateProps: ({ columnWidth, rowHeight }: Props<any>): void => {
+    if (process.env.NODE_ENV !== 'production') {
+      if (columnWidth != null && typeof columnWidth !== 'function') {
+        throw Error(
+          'An invalid "columnWidth" prop has been specified. ' +
+            'Value should be a function (or omitted to measure columns). ' +
+            `"${typeof columnWidth}" was specified.`
+        );
+      } else if (rowHeight != null && typeof rowHeight !== 'function') {
+        throw Error(
+          'An invalid "rowHeight" prop has been specified. ' +
+            'Value should be a function (or omitted to measure rows). ' +
+            `"${typeof rowHeight}" was specified.`
+        );
+      }
+    }
+  },
+});
+
+// Unlike VariableSizeGrid, the "columnWidth" and "rowHeight" props of DynamicSizeGrid are optional,
+// Since columns and rows without them are measured.
+// The other keys are the grid's default props, which are optional.
+export type DynamicSizeGridProps = $Diff<
+  Props<any>,
+  {
+    autoSize?: mixed,
+    columnWidth?: mixed,
+    direction?: mixed,
+    itemData?: mixed,
+    rowHeight?: mixed,
+    stickyColumnCount?: mixed,
+    stickyRowCount?: mixed,
+    useAriaAttributes?: mixed,
+    useIsScrolling?: mixed,
+    useKeyboardNavigation?: mixed,
+    useScrollAnchoring?: mixed,
+  }
+>;
+
+export default ((DynamicSizeGrid: any): React$AbstractComponent<
+  DynamicSizeGridProps,
+  React$ElementRef<typeof DynamicSizeGrid>
+>);
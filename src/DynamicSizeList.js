@@ -0,0 +1,86 @@
+// @flow
+
+import createListComponent from './createListComponent';
+import { config, resetItemSize } from './VariableSizeList';
+
+import type { Props } from './createListComponent';
+import type { InstanceProps } from './VariableSizeList';
+
+// Items are laid out by the same functions as VariableSizeList,
+// But their sizes come from measurements of the rendered items (or the estimated size until then).
+const DynamicSizeList = createListComponent({
+  ...config,
+
+  // This method is called (by ItemMeasurer) each time a rendered item is measured.
+  // It returns true if the new size differs from the one previously used to lay out the item,
+  // In which case the offsets of all items after it need to be recalculated.
+  handleNewMeasurement: (
+    props: Props<any>,
+    index: number,
+    size: number,
+    instanceProps: InstanceProps
+  ): boolean => {
+    const { estimatedItemSize } = instanceProps;
+    const measuredSizeMap = ((instanceProps.measuredSizeMap: any): {
+      [index: number]: number,
+    });
+
+    const prevSize = measuredSizeMap.hasOwnProperty(index)
+      ? measuredSizeMap[index]
+      : estimatedItemSize;
+
+    measuredSizeMap[index] = size;
+
+    if (prevSize === size) {
+      return false;
+    }
+
+    resetItemSize(instanceProps, index);
+
+    return true;
+  },
+
+  initInstanceProps(props: Props<any>, instance: any): InstanceProps {
+    const instanceProps = config.initInstanceProps(props, instance);
+
+    instanceProps.measuredSizeMap = {};
+
+    return instanceProps;
+  },
+
+  validateProps: ({ itemSize }: Props<any>): void => {
+    if (process.env.NODE_ENV !== 'production') {
+      if (itemSize !== undefined) {
+        throw Error(
+          'An unexpected "itemSize" prop has been specified. ' +
+            'DynamicSizeList measures the size of its items once they have been rendered.'
+        );
+      }
+    }
+  },
+});
+
+// DynamicSizeList measures its items, so (unlike VariableSizeList) it doesn't accept an "itemSize" prop.
+// The other keys are the list's default props, which are optional.
+export type DynamicSizeListProps = $Diff<
+  Props<any>,
+  {
+    anchorToEnd?: mixed,
+    autoSize?: mixed,
+    direction?: mixed,
+    firstItemIndex?: mixed,
+    itemData?: mixed,
+    itemSize: mixed,
+    layout?: mixed,
+    overscanCount?: mixed,
+    useAriaAttributes?: mixed,
+    useIsScrolling?: mixed,
+    useKeyboardNavigation?: mixed,
+    useScrollAnchoring?: mixed,
+  }
+>;
+
+export default ((DynamicSizeList: any): React$AbstractComponent<
+  DynamicSizeListProps,
+  React$ElementRef<typeof DynamicSizeList>
+>);
@@ -4,7 +4,8 @@ import createGridComponent from './createGridComponent';
 
 import type { Props, ScrollToAlign } from './createGridComponent';
 
-const FixedSizeGrid = createGridComponent({
+// The layout functions are shared by the FixedSizeGrid component and the useVirtualGrid hook.
+export const config = {
   getColumnOffset: ({ columnWidth }: Props<any>, index: number): number =>
     index * ((columnWidth: any): number),
 
@@ -34,20 +35,23 @@ const FixedSizeGrid = createGridComponent({
     const maxOffset = Math.max(
       0,
       Math.min(
-        columnCount * ((columnWidth: any): number) - width,
+        columnCount * ((columnWidth: any): number) - ((width: any): number),
         columnIndex * ((columnWidth: any): number)
       )
     );
     const minOffset = Math.max(
       0,
       columnIndex * ((columnWidth: any): number) -
-        width +
+        ((width: any): number) +
         scrollbarSize +
         ((columnWidth: any): number)
     );
 
     if (align === 'smart') {
-      if (scrollLeft >= minOffset - width && scrollLeft <= maxOffset + width) {
+      if (
+        scrollLeft >= minOffset - ((width: any): number) &&
+        scrollLeft <= maxOffset + ((width: any): number)
+      ) {
         align = 'auto';
       } else {
         align = 'center';
@@ -84,20 +88,23 @@ const FixedSizeGrid = createGridComponent({
     const maxOffset = Math.max(
       0,
       Math.min(
-        rowCount * ((rowHeight: any): number) - height,
+        rowCount * ((rowHeight: any): number) - ((height: any): number),
         rowIndex * ((rowHeight: any): number)
       )
     );
     const minOffset = Math.max(
       0,
       rowIndex * ((rowHeight: any): number) -
-        height +
+        ((height: any): number) +
         scrollbarSize +
         ((rowHeight: any): number)
     );
 
     if (align === 'smart') {
-      if (scrollTop >= minOffset - height && scrollTop <= maxOffset + height) {
+      if (
+        scrollTop >= minOffset - ((height: any): number) &&
+        scrollTop <= maxOffset + ((height: any): number)
+      ) {
         align = 'auto';
       } else {
         align = 'center';
@@ -178,6 +185,8 @@ const FixedSizeGrid = createGridComponent({
     );
   },
 
+  handleNewMeasurement: null,
+
   initInstanceProps(props: Props<any>): any {
     // Noop
   },
@@ -205,6 +214,8 @@ const FixedSizeGrid = createGridComponent({
       }
     }
   },
-});
+};
+
+const FixedSizeGrid = createGridComponent(config);
 
 export default FixedSizeGrid;
@@ -4,7 +4,8 @@ import createListComponent from './createListComponent';
 
 import type { Props, ScrollToAlign } from './createListComponent';
 
-const FixedSizeList = createListComponent({
+// The layout functions are shared by the FixedSizeList component and the useVirtualList hook.
+export const config = {
   getItemOffset: ({ itemSize }: Props<any>, index: number): number =>
     index * ((itemSize: any): number),
 
@@ -95,10 +96,14 @@ const FixedSizeList = createListComponent({
     );
   },
 
+  handleNewMeasurement: null,
+
   initInstanceProps(props: Props<any>): any {
     // Noop
   },
 
+  shiftItems: null,
+
   shouldResetStyleCacheOnItemSizeChange: true,
 
   validateProps: ({ itemSize }: Props<any>): void => {
@@ -112,6 +117,8 @@ const FixedSizeList = createListComponent({
       }
     }
   },
-});
+};
+
+const FixedSizeList = createListComponent(config);
 
 export default FixedSizeList;
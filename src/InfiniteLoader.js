@@ -0,0 +1,197 @@
+// @flow
+
+import { PureComponent } from 'react';
+
+type Range = [number, number];
+
+type OnItemsRendered = (params: Object) => void;
+type LoadMoreItems = (
+  startIndex: number,
+  stopIndex: number
+) => Promise<any> | void;
+
+type RenderProps = {|
+  onItemsRendered: OnItemsRendered,
+  ref: (ref: any) => void,
+|};
+
+type Props = {|
+  children: (props: RenderProps) => React$Node,
+  isItemLoaded: (index: number) => boolean,
+  itemCount: number,
+  loadMoreItems: LoadMoreItems,
+  minimumBatchSize: number,
+  threshold: number,
+|};
+
+const isIndexInRanges = (index: number, ranges: Array<Range>): boolean =>
+  ranges.some(
+    ([startIndex, stopIndex]) => index >= startIndex && index <= stopIndex
+  );
+
+const doRangesOverlap = (
+  [startIndexA, stopIndexA]: Range,
+  [startIndexB, stopIndexB]: Range
+): boolean => startIndexA <= stopIndexB && startIndexB <= stopIndexA;
+
+// Loads items as they're about to be rendered by the wrapped list (or grid) and refreshes it once they've loaded.
+// The wrapped component should be given the "onItemsRendered" and "ref" props passed to the render function.
+// Grids are loaded a row at a time, so "isItemLoaded" and "loadMoreItems" should be based on row indices.
+export default class InfiniteLoader extends PureComponent<Props> {
+  _lastRenderedRange: Range | null = null;
+  _listRef: any = null;
+  _pendingRanges: Array<Range> = [];
+
+  static defaultProps = {
+    minimumBatchSize: 10,
+    threshold: 15,
+  };
+
+  // Always use explicit constructor for React components.
+  // It produces less code after transpilation. (#26)
+  // eslint-disable-next-line no-useless-constructor
+  constructor(props: Props) {
+    super(props);
+  }
+
+  componentWillUnmount() {
+    this._listRef = null;
+  }
+
+  render() {
+    return this.props.children({
+      onItemsRendered: this._onItemsRendered,
+      ref: this._setRef,
+    });
+  }
+
+  _isItemLoaded(index: number): boolean {
+    // Items that are already being loaded are treated as loaded, so they aren't requested twice.
+    return (
+      this.props.isItemLoaded(index) ||
+      isIndexInRanges(index, this._pendingRanges)
+    );
+  }
+
+  _loadUnloadedRanges(startIndex: number, stopIndex: number): void {
+    const { loadMoreItems } = this.props;
+
+    this._scanForUnloadedRanges(startIndex, stopIndex).forEach(range => {
+      const promise = loadMoreItems(range[0], range[1]);
+
+      if (promise != null && typeof promise.then === 'function') {
+        this._pendingRanges.push(range);
+
+        const onSettled = () => this._onRangeLoaded(range);
+        promise.then(onSettled, onSettled);
+      }
+    });
+  }
+
+  _onItemsRendered = ({
+    visibleRowStartIndex,
+    visibleRowStopIndex,
+    visibleStartIndex,
+    visibleStopIndex,
+  }: Object): void => {
+    // Grids report rows (and columns) rather than items.
+    if (typeof visibleRowStartIndex === 'number') {
+      visibleStartIndex = visibleRowStartIndex;
+      visibleStopIndex = visibleRowStopIndex;
+    }
+
+    const { itemCount, threshold } = this.props;
+
+    this._lastRenderedRange = [visibleStartIndex, visibleStopIndex];
+
+    this._loadUnloadedRanges(
+      Math.max(0, visibleStartIndex - threshold),
+      Math.min(itemCount - 1, visibleStopIndex + threshold)
+    );
+  };
+
+  _onRangeLoaded(range: Range): void {
+    this._pendingRanges = this._pendingRanges.filter(
+      pendingRange => pendingRange !== range
+    );
+
+    const listRef = this._listRef;
+    if (listRef == null) {
+      return;
+    }
+
+    // Variable size lists and grids have to re-measure items once they've loaded,
+    // Even if they aren't visible, so that the items after them are positioned correctly.
+    if (typeof listRef.resetAfterIndex === 'function') {
+      listRef.resetAfterIndex(range[0], false);
+    } else if (typeof listRef.resetAfterRowIndex === 'function') {
+      listRef.resetAfterRowIndex(range[0], false);
+    }
+
+    // Only refresh the wrapped component if the loaded items are currently visible.
+    const lastRenderedRange = this._lastRenderedRange;
+    if (
+      lastRenderedRange !== null &&
+      doRangesOverlap(range, lastRenderedRange)
+    ) {
+      listRef.forceUpdate();
+    }
+  }
+
+  // Unloaded items are grouped into contiguous ranges.
+  // The last range is extended forward (and the first one backward) to fill "minimumBatchSize",
+  // So that scrolling slowly doesn't result in a separate request for every few items.
+  _scanForUnloadedRanges(startIndex: number, stopIndex: number): Array<Range> {
+    const { itemCount, minimumBatchSize } = this.props;
+
+    const unloadedRanges = [];
+    let rangeStartIndex = -1;
+    let rangeStopIndex = -1;
+
+    for (let index = startIndex; index <= stopIndex; index++) {
+      if (!this._isItemLoaded(index)) {
+        if (rangeStartIndex === -1) {
+          rangeStartIndex = index;
+        }
+        rangeStopIndex = index;
+      } else if (rangeStartIndex !== -1) {
+        unloadedRanges.push([rangeStartIndex, rangeStopIndex]);
+        rangeStartIndex = rangeStopIndex = -1;
+      }
+    }
+
+    if (rangeStartIndex !== -1) {
+      const potentialStopIndex = Math.min(
+        Math.max(rangeStopIndex, rangeStartIndex + minimumBatchSize - 1),
+        itemCount - 1
+      );
+
+      while (
+        rangeStopIndex < potentialStopIndex &&
+        !this._isItemLoaded(rangeStopIndex + 1)
+      ) {
+        rangeStopIndex++;
+      }
+
+      unloadedRanges.push([rangeStartIndex, rangeStopIndex]);
+    }
+
+    if (unloadedRanges.length > 0) {
+      const firstRange = unloadedRanges[0];
+
+      while (
+        firstRange[1] - firstRange[0] + 1 < minimumBatchSize &&
+        firstRange[0] > 0 &&
+        !this._isItemLoaded(firstRange[0] - 1)
+      ) {
+        firstRange[0]--;
+      }
+    }
+
+    return unloadedRanges;
+  }
+
+  _setRef = (ref: any): void => {
+    this._listRef = ref;
+  };
+}
@@ -0,0 +1,152 @@
+// @flow
+
+import { Component } from 'react';
+import { findDOMNode, unstable_batchedUpdates } from 'react-dom';
+
+const ELEMENT_NODE = 1;
+
+type HandleNewMeasurement = (width: number, height: number) => void;
+
+export type ItemResizeObserver = {|
+  disconnect: () => void,
+  observe: (node: HTMLElement, measureItem: () => void) => void,
+  unobserve: (node: HTMLElement) => void,
+|};
+
+type Props = {|
+  handleNewMeasurement: HandleNewMeasurement,
+  isStretched: boolean,
+  item: React$Element<any>,
+  resizeObserver: ItemResizeObserver | null,
+|};
+
+// Shares a single ResizeObserver between all of the items of a list (or grid).
+// The observer reports all of the items that resized during a frame at once,
+// And the updates caused by their new measurements are batched so that the list only re-renders once.
+// The observer is only created once the first item is observed (lists with known item sizes never do).
+// Returns null if the browser doesn't support ResizeObserver.
+export function createItemResizeObserver(): ItemResizeObserver | null {
+  if (typeof ResizeObserver === 'undefined') {
+    return null;
+  }
+
+  const measureItems: Map<Element, () => void> = new Map();
+  let resizeObserver: ResizeObserver | null = null;
+
+  return {
+    disconnect: () => {
+      measureItems.clear();
+      if (resizeObserver !== null) {
+        resizeObserver.disconnect();
+      }
+    },
+    observe: (node: HTMLElement, measureItem: () => void) => {
+      if (resizeObserver === null) {
+        resizeObserver = new ResizeObserver(entries => {
+          unstable_batchedUpdates(() => {
+            entries.forEach(({ target }) => {
+              const measureItem = measureItems.get(target);
+              if (measureItem !== undefined) {
+                measureItem();
+              }
+            });
+          });
+        });
+      }
+      measureItems.set(node, measureItem);
+      resizeObserver.observe(node);
+    },
+    unobserve: (node: HTMLElement) => {
+      measureItems.delete(node);
+      if (resizeObserver !== null) {
+        resizeObserver.unobserve(node);
+      }
+    },
+  };
+}
+
+// Wraps a rendered item and reports its size after it's been mounted.
+// If the browser supports ResizeObserver, the item is re-measured whenever the observer reports that its size has changed.
+// Otherwise it's re-measured after each update (which forces a layout, so it's only a fallback).
+export default class ItemMeasurer extends Component<Props> {
+  _node: HTMLElement | null = null;
+
+  // Always use explicit constructor for React components.
+  // It produces less code after transpilation. (#26)
+  // eslint-disable-next-line no-useless-constructor
+  constructor(props: Props) {
+    super(props);
+  }
+
+  componentDidMount() {
+    const { resizeObserver } = this.props;
+
+    // Items are user-defined components, so we can't attach a ref to them.
+    // findDOMNode is the only way to find the element that should be measured.
+    // eslint-disable-next-line react/no-find-dom-node
+    const node = ((findDOMNode(this): any): HTMLElement | null);
+
+    // Items rendered by a non-DOM renderer (or ones that render text or nothing) can't be measured.
+    if (node == null || node.nodeType !== ELEMENT_NODE) {
+      return;
+    }
+
+    this._node = node;
+
+    if (resizeObserver !== null) {
+      resizeObserver.observe(node, this._measureItem);
+    }
+
+    this._measureItem();
+  }
+
+  componentDidUpdate() {
+    if (this.props.resizeObserver === null) {
+      this._measureItem();
+    }
+  }
+
+  componentWillUnmount() {
+    const { resizeObserver } = this.props;
+
+    if (resizeObserver !== null && this._node !== null) {
+      resizeObserver.unobserve(this._node);
+    }
+
+    this._node = null;
+  }
+
+  render() {
+    return this.props.item;
+  }
+
+  _measureItem = (): void => {
+    const { handleNewMeasurement, isStretched } = this.props;
+    const node = this._node;
+
+    if (node != null) {
+      const style = node.style;
+
+      // Stretched items (e.g. grid cells) are given a min-width and min-height to fill their row and column.
+      // Those constraints are lifted while measuring, so that the natural size of the item is reported.
+      // Otherwise a row or column could grow but would never be able to shrink.
+      let minHeight, minWidth;
+      if (isStretched) {
+        minHeight = style.minHeight;
+        minWidth = style.minWidth;
+        style.minHeight = '';
+        style.minWidth = '';
+      }
+
+      const width = node.offsetWidth;
+      const height = node.offsetHeight;
+
+      if (isStretched) {
+        style.minHeight = ((minHeight: any): string);
+        style.minWidth = ((minWidth: any): string);
+      }
+
+      handleNewMeasurement(width, height);
+    }
+  };
+}
@@ -0,0 +1,367 @@
+// @flow
+
+import createMasonryComponent from './createMasonryComponent';
+
+import type { ItemMetadata, Props } from './createMasonryComponent';
+import type { ScrollToAlign } from './createListComponent';
+
+const DEFAULT_ESTIMATED_ITEM_HEIGHT = 50;
+
+type InstanceProps = {|
+  columnCount: number,
+  columnHeights: Array<number>,
+  // The spatial index: the items of each column, in order.
+  // Items within a column never overlap, so they're sorted by offset as well as by index.
+  columnIndices: Array<Array<number>>,
+  estimatedItemHeight: number,
+  itemMetadataMap: { [index: number]: ItemMetadata },
+  lastMeasuredIndex: number,
+|};
+
+// Forgets the positions of all items at or after the specified index,
+// And rewinds the height of each column to the last of its items that's still placed.
+const resetAfterIndex = (instanceProps: InstanceProps, index: number): void => {
+  const { columnHeights, columnIndices, itemMetadataMap } = instanceProps;
+
+  for (let columnIndex = 0; columnIndex < columnIndices.length; columnIndex++) {
+    const indices = columnIndices[columnIndex];
+    while (indices.length > 0 && indices[indices.length - 1] >= index) {
+      indices.pop();
+    }
+
+    if (indices.length > 0) {
+      const { offset, size } = itemMetadataMap[indices[indices.length - 1]];
+      columnHeights[columnIndex] = offset + size;
+    } else {
+      columnHeights[columnIndex] = 0;
+    }
+  }
+
+  instanceProps.lastMeasuredIndex = Math.min(
+    instanceProps.lastMeasuredIndex,
+    index - 1
+  );
+};
+
+// Cached positions depend on the number of columns, so they're all discarded when it changes.
+// Items that have been removed are discarded as well, so they aren't mixed up with ones that might be added later.
+const syncInstanceProps = (
+  { columnCount, itemCount }: Props<any>,
+  instanceProps: InstanceProps
+): void => {
+  if (instanceProps.columnCount !== columnCount) {
+    instanceProps.columnCount = columnCount;
+    instanceProps.columnHeights = [];
+    instanceProps.columnIndices = [];
+    instanceProps.lastMeasuredIndex = -1;
+
+    for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+      instanceProps.columnHeights.push(0);
+      instanceProps.columnIndices.push([]);
+    }
+  } else if (instanceProps.lastMeasuredIndex >= itemCount) {
+    resetAfterIndex(instanceProps, itemCount);
+  }
+};
+
+const getShortestColumnIndex = (columnHeights: Array<number>): number => {
+  let shortestColumnIndex = 0;
+  for (let columnIndex = 1; columnIndex < columnHeights.length; columnIndex++) {
+    if (columnHeights[columnIndex] < columnHeights[shortestColumnIndex]) {
+      shortestColumnIndex = columnIndex;
+    }
+  }
+  return shortestColumnIndex;
+};
+
+// Each item is placed at the bottom of the shortest column (the left-most one if there's a tie).
+// That depends on the heights of all items before it, so items are always placed in order.
+const placeNextItem = (
+  { itemHeight }: Props<any>,
+  instanceProps: InstanceProps
+): number => {
+  const { columnHeights, columnIndices, itemMetadataMap } = instanceProps;
+
+  const index = instanceProps.lastMeasuredIndex + 1;
+  const columnIndex = getShortestColumnIndex(columnHeights);
+  const offset = columnHeights[columnIndex];
+  const size = itemHeight(index);
+
+  itemMetadataMap[index] = {
+    columnIndex,
+    offset,
+    size,
+  };
+
+  columnHeights[columnIndex] = offset + size;
+  columnIndices[columnIndex].push(index);
+  instanceProps.lastMeasuredIndex = index;
+
+  return columnIndex;
+};
+
+const getItemMetadata = (
+  props: Props<any>,
+  index: number,
+  instanceProps: InstanceProps
+): ItemMetadata => {
+  syncInstanceProps(props, instanceProps);
+
+  while (instanceProps.lastMeasuredIndex < index) {
+    placeNextItem(props, instanceProps);
+  }
+
+  return instanceProps.itemMetadataMap[index];
+};
+
+// Once every column reaches past the specified offset, any item placed after that will start below it.
+// Items are placed until that's the case (and each column has the requested number of items below it),
+// So that the range can be searched using only the items that have already been placed.
+const placeItemsThroughOffset = (
+  props: Props<any>,
+  offset: number,
+  overscanForward: number,
+  instanceProps: InstanceProps
+): void => {
+  const { columnCount, itemCount } = props;
+  const { columnHeights, columnIndices, itemMetadataMap } = instanceProps;
+
+  while (
+    instanceProps.lastMeasuredIndex < itemCount - 1 &&
+    columnHeights[getShortestColumnIndex(columnHeights)] < offset
+  ) {
+    placeNextItem(props, instanceProps);
+  }
+
+  // Items that were placed for an earlier range may already be below this one.
+  const overscanCounts = [];
+  let numOverscannedColumns = 0;
+  for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+    const indices = columnIndices[columnIndex];
+
+    let count = 0;
+    while (
+      count < overscanForward &&
+      count < indices.length &&
+      itemMetadataMap[indices[indices.length - 1 - count]].offset >= offset
+    ) {
+      count++;
+    }
+
+    overscanCounts.push(count);
+    if (count === overscanForward) {
+      numOverscannedColumns++;
+    }
+  }
+
+  while (
+    instanceProps.lastMeasuredIndex < itemCount - 1 &&
+    numOverscannedColumns < columnCount
+  ) {
+    const columnIndex = placeNextItem(props, instanceProps);
+
+    overscanCounts[columnIndex]++;
+    if (overscanCounts[columnIndex] === overscanForward) {
+      numOverscannedColumns++;
+    }
+  }
+};
+
+// Returns the position (within the column) of the first item that ends after the specified offset.
+const findNearestItemBinarySearch = (
+  indices: Array<number>,
+  itemMetadataMap: { [index: number]: ItemMetadata },
+  offset: number
+): number => {
+  let low = 0;
+  let high = indices.length;
+
+  while (low < high) {
+    const middle = low + Math.floor((high - low) / 2);
+    const { offset: itemOffset, size } = itemMetadataMap[indices[middle]];
+
+    if (itemOffset + size <= offset) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
+
+const getEstimatedTotalHeight = (
+  { columnCount, itemCount }: Props<any>,
+  instanceProps: InstanceProps
+): number => {
+  const {
+    columnHeights,
+    estimatedItemHeight,
+    lastMeasuredIndex,
+  } = instanceProps;
+
+  const numUnmeasuredItems = itemCount - lastMeasuredIndex - 1;
+
+  return (
+    Math.max(...columnHeights) +
+    Math.ceil(numUnmeasuredItems / columnCount) * estimatedItemHeight
+  );
+};
+
+const Masonry = createMasonryComponent({
+  getEstimatedTotalHeight: (
+    props: Props<any>,
+    instanceProps: InstanceProps
+  ): number => {
+    syncInstanceProps(props, instanceProps);
+
+    return getEstimatedTotalHeight(props, instanceProps);
+  },
+
+  getIndicesForOffsetRange: (
+    props: Props<any>,
+    startOffset: number,
+    stopOffset: number,
+    overscanBackward: number,
+    overscanForward: number,
+    instanceProps: InstanceProps
+  ): Array<number> => {
+    syncInstanceProps(props, instanceProps);
+    placeItemsThroughOffset(props, stopOffset, overscanForward, instanceProps);
+
+    const { columnIndices, itemMetadataMap } = instanceProps;
+    const indices = [];
+
+    for (
+      let columnIndex = 0;
+      columnIndex < columnIndices.length;
+      columnIndex++
+    ) {
+      const column = columnIndices[columnIndex];
+      const startPosition = findNearestItemBinarySearch(
+        column,
+        itemMetadataMap,
+        startOffset
+      );
+
+      let stopPosition = startPosition;
+      while (
+        stopPosition < column.length &&
+        itemMetadataMap[column[stopPosition]].offset < stopOffset
+      ) {
+        stopPosition++;
+      }
+
+      for (
+        let position = Math.max(0, startPosition - overscanBackward);
+        position < Math.min(column.length, stopPosition + overscanForward);
+        position++
+      ) {
+        indices.push(column[position]);
+      }
+    }
+
+    return indices.sort((a, b) => a - b);
+  },
+
+  getItemMetadata,
+
+  getOffsetForIndexAndAlignment: (
+    props: Props<any>,
+    index: number,
+    align: ScrollToAlign,
+    scrollOffset: number,
+    instanceProps: InstanceProps
+  ): number => {
+    const { height } = props;
+    const itemMetadata = getItemMetadata(props, index, instanceProps);
+
+    // Get estimated total height after ItemMetadata is computed,
+    // To ensure it reflects actual positions instead of just estimates.
+    const estimatedTotalHeight = getEstimatedTotalHeight(props, instanceProps);
+
+    const maxOffset = Math.max(
+      0,
+      Math.min(estimatedTotalHeight - height, itemMetadata.offset)
+    );
+    const minOffset = Math.max(
+      0,
+      itemMetadata.offset - height + itemMetadata.size
+    );
+
+    if (align === 'smart') {
+      if (
+        scrollOffset >= minOffset - height &&
+        scrollOffset <= maxOffset + height
+      ) {
+        align = 'auto';
+      } else {
+        align = 'center';
+      }
+    }
+
+    switch (align) {
+      case 'start':
+        return maxOffset;
+      case 'end':
+        return minOffset;
+      case 'center':
+        return Math.round(minOffset + (maxOffset - minOffset) / 2);
+      case 'auto':
+      default:
+        if (scrollOffset >= minOffset && scrollOffset <= maxOffset) {
+          return scrollOffset;
+        } else if (scrollOffset - minOffset < maxOffset - scrollOffset) {
+          return minOffset;
+        } else {
+          return maxOffset;
+        }
+    }
+  },
+
+  initInstanceProps(props: Props<any>, instance: any): InstanceProps {
+    const { estimatedItemHeight } = props;
+
+    const instanceProps = {
+      columnCount: 0,
+      columnHeights: [],
+      columnIndices: [],
+      estimatedItemHeight: estimatedItemHeight || DEFAULT_ESTIMATED_ITEM_HEIGHT,
+      itemMetadataMap: {},
+      lastMeasuredIndex: -1,
+    };
+
+    // Items at or after the specified index are placed again the next time they're needed,
+    // Since a change in the height of one item can move any of the items after it to another column.
+    instance.resetAfterIndex = (
+      index: number,
+      shouldForceUpdate?: boolean = true
+    ) => {
+      resetAfterIndex(instanceProps, index);
+
+      instance._evictItemStyleCacheAfterIndex(index);
+
+      if (shouldForceUpdate) {
+        instance.forceUpdate();
+      }
+    };
+
+    return instanceProps;
+  },
+
+  validateProps: ({ itemHeight }: Props<any>): void => {
+    if (process.env.NODE_ENV !== 'production') {
+      if (typeof itemHeight !== 'function') {
+        throw Error(
+          'An invalid "itemHeight" prop has been specified. ' +
+            'Value should be a function. ' +
+            `"${
+              itemHeight === null ? 'null' : typeof itemHeight
+            }" was specified.`
+        );
+      }
+    }
+  },
+});
+
+export default Masonry;
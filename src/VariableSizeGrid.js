@@ -1,14 +1,17 @@
 // @flow
 
 import createGridComponent from './createGridComponent';
+import createOffsetTree from './createOffsetTree';
 
 import type { Props, ScrollToAlign } from './createGridComponent';
+import type { OffsetTree } from './createOffsetTree';
 
 const DEFAULT_ESTIMATED_ITEM_SIZE = 50;
 
 type VariableSizeProps = {|
   estimatedColumnWidth: number,
   estimatedRowHeight: number,
+  useOffsetTree: boolean,
   ...Props<any>,
 |};
 
@@ -20,19 +23,104 @@ type ItemMetadata = {|
   size: number,
 |};
 type ItemMetadataMap = { [index: number]: ItemMetadata };
-type InstanceProps = {|
+export type CellSizeMap = { [index: number]: { [crossIndex: number]: number } };
+export type InstanceProps = {|
+  // Sizes of the cells that have been rendered and measured (by DynamicSizeGrid), by row (or column),
+  // Or null if rows (or columns) are sized by the "rowHeight" (or "columnWidth") prop.
+  cellHeightsByRow: CellSizeMap | null,
+  cellWidthsByColumn: CellSizeMap | null,
   columnMetadataMap: ItemMetadataMap,
+  // With "useOffsetTree", sizes are stored in these trees (instead of the metadata maps),
+  // And offsets are calculated from them.
+  columnOffsetTree: OffsetTree | null,
   estimatedColumnWidth: number,
   estimatedRowHeight: number,
   lastMeasuredColumnIndex: number,
   lastMeasuredRowIndex: number,
+  // Columns (or rows) after the last measured one (up to these indices) still have valid sizes,
+  // But their offsets need to be shifted (e.g. after resetColumnIndex) before they can be used.
+  lastSizedColumnIndex: number,
+  lastSizedRowIndex: number,
   rowMetadataMap: ItemMetadataMap,
+  rowOffsetTree: OffsetTree | null,
+  // Measured columns (or rows) whose sizes should be recalculated (the next time the offset tree is used).
+  staleColumnIndices: Array<number>,
+  staleRowIndices: Array<number>,
 |};
 
+// Columns (or rows) of a DynamicSizeGrid may still have a known size, if a columnWidth (or rowHeight) function was specified.
+// Otherwise their size is that of the largest cell measured within them,
+// And columns (or rows) without any measured cells are assumed to be of the estimated size.
+export const getSizeOfItem = (
+  itemType: ItemType,
+  props: Props<any>,
+  index: number,
+  instanceProps: InstanceProps
+): number => {
+  let cellSizeMap, estimatedItemSize, itemSize;
+  if (itemType === 'column') {
+    cellSizeMap = instanceProps.cellWidthsByColumn;
+    estimatedItemSize = instanceProps.estimatedColumnWidth;
+    itemSize = props.columnWidth;
+  } else {
+    cellSizeMap = instanceProps.cellHeightsByRow;
+    estimatedItemSize = instanceProps.estimatedRowHeight;
+    itemSize = props.rowHeight;
+  }
+
+  if (typeof itemSize === 'function') {
+    return ((itemSize: any): itemSizeGetter)(index);
+  } else if (cellSizeMap !== null && cellSizeMap.hasOwnProperty(index)) {
+    const cellSizes = cellSizeMap[index];
+
+    let size = 0;
+    for (let crossIndex in cellSizes) {
+      size = Math.max(size, cellSizes[((crossIndex: any): number)]);
+    }
+    return size;
+  } else {
+    return estimatedItemSize;
+  }
+};
+
+// Recalculates the sizes of columns (or rows) that have been reset (with resetColumnIndex or resetRowIndex)
+// Since the offset tree was last used.
+const updateStaleSizes = (
+  itemType: ItemType,
+  props: Props<any>,
+  instanceProps: InstanceProps,
+  offsetTree: OffsetTree
+): void => {
+  let lastMeasuredIndex, staleIndices;
+  if (itemType === 'column') {
+    lastMeasuredIndex = instanceProps.lastMeasuredColumnIndex;
+    staleIndices = instanceProps.staleColumnIndices;
+  } else {
+    lastMeasuredIndex = instanceProps.lastMeasuredRowIndex;
+    staleIndices = instanceProps.staleRowIndices;
+  }
+
+  if (staleIndices.length > 0) {
+    staleIndices.forEach(index => {
+      if (index <= lastMeasuredIndex) {
+        offsetTree.setSize(
+          index,
+          getSizeOfItem(itemType, props, index, instanceProps)
+        );
+      }
+    });
+
+    staleIndices.length = 0;
+  }
+};
+
 const getEstimatedTotalHeight = (
-  { rowCount }: Props<any>,
-  { rowMetadataMap, estimatedRowHeight, lastMeasuredRowIndex }: InstanceProps
+  props: Props<any>,
+  instanceProps: InstanceProps
 ) => {
+  const { rowCount } = props;
+  const { estimatedRowHeight } = instanceProps;
+  let { lastMeasuredRowIndex } = instanceProps;
   let totalSizeOfMeasuredRows = 0;
 
   // Edge case check for when the number of items decreases while a scroll is in progress.
@@ -42,7 +130,12 @@ const getEstimatedTotalHeight = (
   }
 
   if (lastMeasuredRowIndex >= 0) {
-    const itemMetadata = rowMetadataMap[lastMeasuredRowIndex];
+    const itemMetadata = getItemMetadata(
+      'row',
+      props,
+      lastMeasuredRowIndex,
+      instanceProps
+    );
     totalSizeOfMeasuredRows = itemMetadata.offset + itemMetadata.size;
   }
 
@@ -53,13 +146,12 @@ const getEstimatedTotalHeight = (
 };
 
 const getEstimatedTotalWidth = (
-  { columnCount }: Props<any>,
-  {
-    columnMetadataMap,
-    estimatedColumnWidth,
-    lastMeasuredColumnIndex,
-  }: InstanceProps
+  props: Props<any>,
+  instanceProps: InstanceProps
 ) => {
+  const { columnCount } = props;
+  const { estimatedColumnWidth } = instanceProps;
+  let { lastMeasuredColumnIndex } = instanceProps;
   let totalSizeOfMeasuredRows = 0;
 
   // Edge case check for when the number of items decreases while a scroll is in progress.
@@ -69,7 +161,12 @@ const getEstimatedTotalWidth = (
   }
 
   if (lastMeasuredColumnIndex >= 0) {
-    const itemMetadata = columnMetadataMap[lastMeasuredColumnIndex];
+    const itemMetadata = getItemMetadata(
+      'column',
+      props,
+      lastMeasuredColumnIndex,
+      instanceProps
+    );
     totalSizeOfMeasuredRows = itemMetadata.offset + itemMetadata.size;
   }
 
@@ -85,15 +182,40 @@ const getItemMetadata = (
   index: number,
   instanceProps: InstanceProps
 ): ItemMetadata => {
-  let itemMetadataMap, itemSize, lastMeasuredIndex;
+  let itemMetadataMap, lastMeasuredIndex, lastSizedIndex, offsetTree;
   if (itemType === 'column') {
     itemMetadataMap = instanceProps.columnMetadataMap;
-    itemSize = ((props.columnWidth: any): itemSizeGetter);
     lastMeasuredIndex = instanceProps.lastMeasuredColumnIndex;
+    lastSizedIndex = instanceProps.lastSizedColumnIndex;
+    offsetTree = instanceProps.columnOffsetTree;
   } else {
     itemMetadataMap = instanceProps.rowMetadataMap;
-    itemSize = ((props.rowHeight: any): itemSizeGetter);
     lastMeasuredIndex = instanceProps.lastMeasuredRowIndex;
+    lastSizedIndex = instanceProps.lastSizedRowIndex;
+    offsetTree = instanceProps.rowOffsetTree;
+  }
+
+  // Items are still sized in order (the first time they're needed),
+  // But their offsets are calculated from the tree (rather than stored).
+  if (offsetTree !== null) {
+    updateStaleSizes(itemType, props, instanceProps, offsetTree);
+
+    if (index > lastMeasuredIndex) {
+      for (let i = lastMeasuredIndex + 1; i <= index; i++) {
+        offsetTree.setSize(i, getSizeOfItem(itemType, props, i, instanceProps));
+      }
+
+      if (itemType === 'column') {
+        instanceProps.lastMeasuredColumnIndex = index;
+      } else {
+        instanceProps.lastMeasuredRowIndex = index;
+      }
+    }
+
+    return {
+      offset: offsetTree.getOffset(index),
+      size: offsetTree.getSize(index),
+    };
   }
 
   if (index > lastMeasuredIndex) {
@@ -104,7 +226,12 @@ const getItemMetadata = (
     }
 
     for (let i = lastMeasuredIndex + 1; i <= index; i++) {
-      let size = itemSize(i);
+      // Sizes that are still valid are reused (and only their offsets are shifted).
+      const itemMetadata = i <= lastSizedIndex ? itemMetadataMap[i] : undefined;
+      let size =
+        itemMetadata !== undefined
+          ? itemMetadata.size
+          : getSizeOfItem(itemType, props, i, instanceProps);
 
       itemMetadataMap[i] = {
         offset,
@@ -116,8 +243,10 @@ const getItemMetadata = (
 
     if (itemType === 'column') {
       instanceProps.lastMeasuredColumnIndex = index;
+      instanceProps.lastSizedColumnIndex = Math.max(lastSizedIndex, index);
     } else {
       instanceProps.lastMeasuredRowIndex = index;
+      instanceProps.lastSizedRowIndex = Math.max(lastSizedIndex, index);
     }
   }
 
@@ -130,40 +259,51 @@ const findNearestItem = (
   instanceProps: InstanceProps,
   offset: number
 ) => {
-  let itemMetadataMap, lastMeasuredIndex;
+  let itemMetadataMap, lastMeasuredIndex, offsetTree;
   if (itemType === 'column') {
     itemMetadataMap = instanceProps.columnMetadataMap;
     lastMeasuredIndex = instanceProps.lastMeasuredColumnIndex;
+    offsetTree = instanceProps.columnOffsetTree;
   } else {
     itemMetadataMap = instanceProps.rowMetadataMap;
     lastMeasuredIndex = instanceProps.lastMeasuredRowIndex;
+    offsetTree = instanceProps.rowOffsetTree;
   }
 
-  const lastMeasuredItemOffset =
-    lastMeasuredIndex > 0 ? itemMetadataMap[lastMeasuredIndex].offset : 0;
+  if (offsetTree !== null) {
+    updateStaleSizes(itemType, props, instanceProps, offsetTree);
 
-  if (lastMeasuredItemOffset >= offset) {
-    // If we've already measured items within this range just use a binary search as it's faster.
-    return findNearestItemBinarySearch(
-      itemType,
-      props,
-      instanceProps,
-      lastMeasuredIndex,
-      0,
-      offset
-    );
+    // If we've already measured items within this range, the offset tree can be searched in O(log n).
+    if (offsetTree.getOffset(lastMeasuredIndex + 1) > offset) {
+      return offsetTree.findIndex(offset);
+    }
   } else {
-    // If we haven't yet measured this high, fallback to an exponential search with an inner binary search.
-    // The exponential search avoids pre-computing sizes for the full set of items as a binary search would.
-    // The overall complexity for this approach is O(log n).
-    return findNearestItemExponentialSearch(
-      itemType,
-      props,
-      instanceProps,
-      Math.max(0, lastMeasuredIndex),
-      offset
-    );
+    const lastMeasuredItemOffset =
+      lastMeasuredIndex > 0 ? itemMetadataMap[lastMeasuredIndex].offset : 0;
+
+    if (lastMeasuredItemOffset >= offset) {
+      // If we've already measured items within this range just use a binary search as it's faster.
+      return findNearestItemBinarySearch(
+        itemType,
+        props,
+        instanceProps,
+        lastMeasuredIndex,
+        0,
+        offset
+      );
+    }
   }
+
+  // If we haven't yet measured this high, fallback to an exponential search with an inner binary search.
+  // The exponential search avoids pre-computing sizes for the full set of items as a binary search would.
+  // The overall complexity for this approach is O(log n).
+  return findNearestItemExponentialSearch(
+    itemType,
+    props,
+    instanceProps,
+    Math.max(0, lastMeasuredIndex),
+    offset
+  );
 };
 
 const findNearestItemBinarySearch = (
@@ -236,7 +376,7 @@ const getOffsetForIndexAndAlignment = (
   instanceProps: InstanceProps,
   scrollbarSize: number
 ): number => {
-  const size = itemType === 'column' ? props.width : props.height;
+  const size = ((itemType === 'column' ? props.width : props.height): any);
   const itemMetadata = getItemMetadata(itemType, props, index, instanceProps);
 
   // Get estimated total size after ItemMetadata is computed,
@@ -282,7 +422,55 @@ const getOffsetForIndexAndAlignment = (
   }
 };
 
-const VariableSizeGrid = createGridComponent({
+// Recalculates the size of a single column (or row) the next time it's needed.
+// Unlike resetAfterIndices, the sizes of the items after it are kept,
+// And their offsets are shifted (or calculated from the offset tree).
+export const resetItemSize = (
+  itemType: ItemType,
+  instanceProps: InstanceProps,
+  index: number
+): void => {
+  let itemMetadataMap, offsetTree;
+  if (itemType === 'column') {
+    itemMetadataMap = instanceProps.columnMetadataMap;
+    offsetTree = instanceProps.columnOffsetTree;
+  } else {
+    itemMetadataMap = instanceProps.rowMetadataMap;
+    offsetTree = instanceProps.rowOffsetTree;
+  }
+
+  if (offsetTree !== null) {
+    // Offsets are calculated from the tree, so they don't need to be shifted.
+    if (itemType === 'column') {
+      if (index <= instanceProps.lastMeasuredColumnIndex) {
+        instanceProps.staleColumnIndices.push(index);
+      }
+    } else {
+      if (index <= instanceProps.lastMeasuredRowIndex) {
+        instanceProps.staleRowIndices.push(index);
+      }
+    }
+  } else if (itemType === 'column') {
+    if (index <= instanceProps.lastSizedColumnIndex) {
+      delete itemMetadataMap[index];
+    }
+    instanceProps.lastMeasuredColumnIndex = Math.min(
+      instanceProps.lastMeasuredColumnIndex,
+      index - 1
+    );
+  } else {
+    if (index <= instanceProps.lastSizedRowIndex) {
+      delete itemMetadataMap[index];
+    }
+    instanceProps.lastMeasuredRowIndex = Math.min(
+      instanceProps.lastMeasuredRowIndex,
+      index - 1
+    );
+  }
+};
+
+// The layout functions are shared by the VariableSizeGrid component, DynamicSizeGrid and the useVirtualGrid hook.
+export const config = {
   getColumnOffset: (
     props: Props<any>,
     index: number,
@@ -326,7 +514,7 @@ const VariableSizeGrid = createGridComponent({
     props: Props<any>,
     index: number,
     instanceProps: InstanceProps
-  ): number => instanceProps.columnMetadataMap[index].size,
+  ): number => getItemMetadata('column', props, index, instanceProps).size,
 
   getEstimatedTotalHeight,
   getEstimatedTotalWidth,
@@ -377,7 +565,7 @@ const VariableSizeGrid = createGridComponent({
     props: Props<any>,
     index: number,
     instanceProps: InstanceProps
-  ): number => instanceProps.rowMetadataMap[index].size,
+  ): number => getItemMetadata('row', props, index, instanceProps).size,
 
   getRowStartIndexForOffset: (
     props: Props<any>,
@@ -412,19 +600,30 @@ const VariableSizeGrid = createGridComponent({
     return stopIndex;
   },
 
+  handleNewMeasurement: null,
+
   initInstanceProps(props: Props<any>, instance: any): InstanceProps {
     const {
       estimatedColumnWidth,
       estimatedRowHeight,
+      useOffsetTree,
     } = ((props: any): VariableSizeProps);
 
     const instanceProps = {
+      cellHeightsByRow: null,
+      cellWidthsByColumn: null,
       columnMetadataMap: {},
+      columnOffsetTree: useOffsetTree ? createOffsetTree() : null,
       estimatedColumnWidth: estimatedColumnWidth || DEFAULT_ESTIMATED_ITEM_SIZE,
       estimatedRowHeight: estimatedRowHeight || DEFAULT_ESTIMATED_ITEM_SIZE,
       lastMeasuredColumnIndex: -1,
       lastMeasuredRowIndex: -1,
+      lastSizedColumnIndex: -1,
+      lastSizedRowIndex: -1,
       rowMetadataMap: {},
+      rowOffsetTree: useOffsetTree ? createOffsetTree() : null,
+      staleColumnIndices: [],
+      staleRowIndices: [],
     };
 
     instance.resetAfterColumnIndex = (
@@ -450,24 +649,65 @@ const VariableSizeGrid = createGridComponent({
       rowIndex?: number,
       shouldForceUpdate: boolean,
     }) => {
+      const { columnOffsetTree, rowOffsetTree } = instanceProps;
+
+      // The sizes of the discarded items are appended again (in amortized O(1) each) as they're needed.
       if (typeof columnIndex === 'number') {
+        if (columnOffsetTree !== null) {
+          columnOffsetTree.truncate(columnIndex);
+        }
         instanceProps.lastMeasuredColumnIndex = Math.min(
           instanceProps.lastMeasuredColumnIndex,
           columnIndex - 1
         );
+        instanceProps.lastSizedColumnIndex = Math.min(
+          instanceProps.lastSizedColumnIndex,
+          columnIndex - 1
+        );
       }
       if (typeof rowIndex === 'number') {
+        if (rowOffsetTree !== null) {
+          rowOffsetTree.truncate(rowIndex);
+        }
         instanceProps.lastMeasuredRowIndex = Math.min(
           instanceProps.lastMeasuredRowIndex,
           rowIndex - 1
         );
+        instanceProps.lastSizedRowIndex = Math.min(
+          instanceProps.lastSizedRowIndex,
+          rowIndex - 1
+        );
       }
 
-      // We could potentially optimize further by only evicting styles after this index,
-      // But since styles are only cached while scrolling is in progress-
-      // It seems an unnecessary optimization.
-      // It's unlikely that resetAfterIndex() will be called while a user is scrolling.
-      instance._getItemStyleCache(-1);
+      // Only the styles of cells whose offsets (or sizes) may have changed are evicted,
+      // So that the cells before them aren't re-rendered.
+      instance._evictItemStyleCacheAfterIndices({ columnIndex, rowIndex });
+
+      if (shouldForceUpdate) {
+        instance.forceUpdate();
+      }
+    };
+
+    instance.resetColumnIndex = (
+      columnIndex: number,
+      shouldForceUpdate?: boolean = true
+    ) => {
+      resetItemSize('column', instanceProps, columnIndex);
+
+      instance._evictItemStyleCacheAfterIndices({ columnIndex });
+
+      if (shouldForceUpdate) {
+        instance.forceUpdate();
+      }
+    };
+
+    instance.resetRowIndex = (
+      rowIndex: number,
+      shouldForceUpdate?: boolean = true
+    ) => {
+      resetItemSize('row', instanceProps, rowIndex);
+
+      instance._evictItemStyleCacheAfterIndices({ rowIndex });
 
       if (shouldForceUpdate) {
         instance.forceUpdate();
@@ -498,6 +738,8 @@ const VariableSizeGrid = createGridComponent({
       }
     }
   },
-});
+};
+
+const VariableSizeGrid = createGridComponent(config);
 
 export default VariableSizeGrid;
@@ -1,13 +1,16 @@
 // @flow
 
 import createListComponent from './createListComponent';
+import createOffsetTree from './createOffsetTree';
 
 import type { Props, ScrollToAlign } from './createListComponent';
+import type { OffsetTree } from './createOffsetTree';
 
 const DEFAULT_ESTIMATED_ITEM_SIZE = 50;
 
 type VariableSizeProps = {|
   estimatedItemSize: number,
+  useOffsetTree: boolean,
   ...Props<any>,
 |};
 
@@ -17,19 +20,101 @@ type ItemMetadata = {|
   offset: number,
   size: number,
 |};
-type InstanceProps = {|
+export type InstanceProps = {|
   itemMetadataMap: { [index: number]: ItemMetadata },
   estimatedItemSize: number,
   lastMeasuredIndex: number,
+  // Items after the last measured one (up to this index) still have valid sizes,
+  // But their offsets need to be shifted (e.g. after resetIndex) before they can be used.
+  lastSizedIndex: number,
+  // Sizes of the items that have been rendered and measured (by DynamicSizeList),
+  // Or null if items are sized by the "itemSize" prop.
+  measuredSizeMap: { [index: number]: number } | null,
+  // With "useOffsetTree", sizes are stored in this tree (instead of itemMetadataMap),
+  // And offsets are calculated from it.
+  offsetTree: OffsetTree | null,
+  // Measured items whose sizes should be recalculated (the next time the offset tree is used).
+  staleIndices: Array<number>,
 |};
 
+// DynamicSizeList doesn't have an "itemSize" prop.
+// Its items are sized by their measurements instead (or estimated, until they've been rendered).
+const getSizeOfItem = (
+  props: Props<any>,
+  index: number,
+  instanceProps: InstanceProps
+): number => {
+  const { estimatedItemSize, measuredSizeMap } = instanceProps;
+
+  if (measuredSizeMap !== null) {
+    return measuredSizeMap.hasOwnProperty(index)
+      ? measuredSizeMap[index]
+      : estimatedItemSize;
+  }
+
+  const { itemSize } = ((props: any): VariableSizeProps);
+
+  return ((itemSize: any): itemSizeGetter)(index);
+};
+
+// Recalculates the sizes of items that have been reset (with resetIndex) since the offset tree was last used.
+const updateStaleSizes = (
+  props: Props<any>,
+  instanceProps: InstanceProps,
+  offsetTree: OffsetTree
+): void => {
+  const { lastMeasuredIndex, staleIndices } = instanceProps;
+
+  if (staleIndices.length > 0) {
+    staleIndices.forEach(index => {
+      if (index <= lastMeasuredIndex) {
+        offsetTree.setSize(index, getSizeOfItem(props, index, instanceProps));
+      }
+    });
+
+    instanceProps.staleIndices = [];
+  }
+};
+
+// Items are still sized in order (the first time they're needed),
+// But their offsets aren't stored, so changing the size of an item doesn't affect the metadata of the items after it.
+const getItemMetadataFromTree = (
+  props: Props<any>,
+  index: number,
+  instanceProps: InstanceProps,
+  offsetTree: OffsetTree
+): ItemMetadata => {
+  updateStaleSizes(props, instanceProps, offsetTree);
+
+  if (index > instanceProps.lastMeasuredIndex) {
+    for (let i = instanceProps.lastMeasuredIndex + 1; i <= index; i++) {
+      offsetTree.setSize(i, getSizeOfItem(props, i, instanceProps));
+    }
+
+    instanceProps.lastMeasuredIndex = index;
+  }
+
+  return {
+    offset: offsetTree.getOffset(index),
+    size: offsetTree.getSize(index),
+  };
+};
+
 const getItemMetadata = (
   props: Props<any>,
   index: number,
   instanceProps: InstanceProps
 ): ItemMetadata => {
-  const { itemSize } = ((props: any): VariableSizeProps);
-  const { itemMetadataMap, lastMeasuredIndex } = instanceProps;
+  const {
+    itemMetadataMap,
+    lastMeasuredIndex,
+    lastSizedIndex,
+    offsetTree,
+  } = instanceProps;
+
+  if (offsetTree !== null) {
+    return getItemMetadataFromTree(props, index, instanceProps, offsetTree);
+  }
 
   if (index > lastMeasuredIndex) {
     let offset = 0;
@@ -39,7 +124,12 @@ const getItemMetadata = (
     }
 
     for (let i = lastMeasuredIndex + 1; i <= index; i++) {
-      let size = ((itemSize: any): itemSizeGetter)(i);
+      // Sizes that are still valid are reused (and only their offsets are shifted).
+      const itemMetadata = i <= lastSizedIndex ? itemMetadataMap[i] : undefined;
+      let size =
+        itemMetadata !== undefined
+          ? itemMetadata.size
+          : getSizeOfItem(props, i, instanceProps);
 
       itemMetadataMap[i] = {
         offset,
@@ -50,6 +140,7 @@ const getItemMetadata = (
     }
 
     instanceProps.lastMeasuredIndex = index;
+    instanceProps.lastSizedIndex = Math.max(lastSizedIndex, index);
   }
 
   return itemMetadataMap[index];
@@ -60,31 +151,40 @@ const findNearestItem = (
   instanceProps: InstanceProps,
   offset: number
 ) => {
-  const { itemMetadataMap, lastMeasuredIndex } = instanceProps;
+  const { itemMetadataMap, lastMeasuredIndex, offsetTree } = instanceProps;
 
-  const lastMeasuredItemOffset =
-    lastMeasuredIndex > 0 ? itemMetadataMap[lastMeasuredIndex].offset : 0;
+  if (offsetTree !== null) {
+    updateStaleSizes(props, instanceProps, offsetTree);
 
-  if (lastMeasuredItemOffset >= offset) {
-    // If we've already measured items within this range just use a binary search as it's faster.
-    return findNearestItemBinarySearch(
-      props,
-      instanceProps,
-      lastMeasuredIndex,
-      0,
-      offset
-    );
+    // If we've already measured items within this range, the offset tree can be searched in O(log n).
+    if (offsetTree.getOffset(lastMeasuredIndex + 1) > offset) {
+      return offsetTree.findIndex(offset);
+    }
   } else {
-    // If we haven't yet measured this high, fallback to an exponential search with an inner binary search.
-    // The exponential search avoids pre-computing sizes for the full set of items as a binary search would.
-    // The overall complexity for this approach is O(log n).
-    return findNearestItemExponentialSearch(
-      props,
-      instanceProps,
-      Math.max(0, lastMeasuredIndex),
-      offset
-    );
+    const lastMeasuredItemOffset =
+      lastMeasuredIndex > 0 ? itemMetadataMap[lastMeasuredIndex].offset : 0;
+
+    if (lastMeasuredItemOffset >= offset) {
+      // If we've already measured items within this range just use a binary search as it's faster.
+      return findNearestItemBinarySearch(
+        props,
+        instanceProps,
+        lastMeasuredIndex,
+        0,
+        offset
+      );
+    }
   }
+
+  // If we haven't yet measured this high, fallback to an exponential search with an inner binary search.
+  // The exponential search avoids pre-computing sizes for the full set of items as a binary search would.
+  // The overall complexity for this approach is O(log n).
+  return findNearestItemExponentialSearch(
+    props,
+    instanceProps,
+    Math.max(0, lastMeasuredIndex),
+    offset
+  );
 };
 
 const findNearestItemBinarySearch = (
@@ -141,9 +241,12 @@ const findNearestItemExponentialSearch = (
 };
 
 const getEstimatedTotalSize = (
-  { itemCount }: Props<any>,
-  { itemMetadataMap, estimatedItemSize, lastMeasuredIndex }: InstanceProps
+  props: Props<any>,
+  instanceProps: InstanceProps
 ) => {
+  const { itemCount } = props;
+  const { estimatedItemSize } = instanceProps;
+  let { lastMeasuredIndex } = instanceProps;
   let totalSizeOfMeasuredItems = 0;
 
   // Edge case check for when the number of items decreases while a scroll is in progress.
@@ -153,7 +256,11 @@ const getEstimatedTotalSize = (
   }
 
   if (lastMeasuredIndex >= 0) {
-    const itemMetadata = itemMetadataMap[lastMeasuredIndex];
+    const itemMetadata = getItemMetadata(
+      props,
+      lastMeasuredIndex,
+      instanceProps
+    );
     totalSizeOfMeasuredItems = itemMetadata.offset + itemMetadata.size;
   }
 
@@ -163,7 +270,32 @@ const getEstimatedTotalSize = (
   return totalSizeOfMeasuredItems + totalSizeOfUnmeasuredItems;
 };
 
-const VariableSizeList = createListComponent({
+// Recalculates the size of a single item (the next time it's needed).
+// The sizes of the items after it are kept, and their offsets are shifted (or calculated from the offset tree).
+export const resetItemSize = (
+  instanceProps: InstanceProps,
+  index: number
+): void => {
+  const { itemMetadataMap, offsetTree } = instanceProps;
+
+  if (offsetTree !== null) {
+    // Offsets are calculated from the tree, so they don't need to be shifted.
+    if (index <= instanceProps.lastMeasuredIndex) {
+      instanceProps.staleIndices.push(index);
+    }
+  } else {
+    if (index <= instanceProps.lastSizedIndex) {
+      delete itemMetadataMap[index];
+    }
+    instanceProps.lastMeasuredIndex = Math.min(
+      instanceProps.lastMeasuredIndex,
+      index - 1
+    );
+  }
+};
+
+// The layout functions are shared by the VariableSizeList component, DynamicSizeList and the useVirtualList hook.
+export const config = {
   getItemOffset: (
     props: Props<any>,
     index: number,
@@ -174,7 +306,7 @@ const VariableSizeList = createListComponent({
     props: Props<any>,
     index: number,
     instanceProps: InstanceProps
-  ): number => instanceProps.itemMetadataMap[index].size,
+  ): number => getItemMetadata(props, index, instanceProps).size,
 
   getEstimatedTotalSize,
 
@@ -266,29 +398,62 @@ const VariableSizeList = createListComponent({
     return stopIndex;
   },
 
+  handleNewMeasurement: null,
+
   initInstanceProps(props: Props<any>, instance: any): InstanceProps {
-    const { estimatedItemSize } = ((props: any): VariableSizeProps);
+    const {
+      estimatedItemSize,
+      useOffsetTree,
+    } = ((props: any): VariableSizeProps);
 
     const instanceProps = {
       itemMetadataMap: {},
       estimatedItemSize: estimatedItemSize || DEFAULT_ESTIMATED_ITEM_SIZE,
       lastMeasuredIndex: -1,
+      lastSizedIndex: -1,
+      measuredSizeMap: null,
+      offsetTree: useOffsetTree ? createOffsetTree() : null,
+      staleIndices: [],
     };
 
     instance.resetAfterIndex = (
       index: number,
       shouldForceUpdate?: boolean = true
     ) => {
+      const { offsetTree } = instanceProps;
+
+      // The sizes of the discarded items are appended again (in amortized O(1) each) as they're needed.
+      if (offsetTree !== null) {
+        offsetTree.truncate(index);
+      }
+
       instanceProps.lastMeasuredIndex = Math.min(
         instanceProps.lastMeasuredIndex,
         index - 1
       );
+      instanceProps.lastSizedIndex = Math.min(
+        instanceProps.lastSizedIndex,
+        index - 1
+      );
+
+      // Only the styles of items whose offsets (or sizes) may have changed are evicted,
+      // So that the items before them aren't re-rendered.
+      instance._evictItemStyleCacheAfterIndex(index);
+
+      if (shouldForceUpdate) {
+        instance.forceUpdate();
+      }
+    };
 
-      // We could potentially optimize further by only evicting styles after this index,
-      // But since styles are only cached while scrolling is in progress-
-      // It seems an unnecessary optimization.
-      // It's unlikely that resetAfterIndex() will be called while a user is scrolling.
-      instance._getItemStyleCache(-1);
+    // Unlike resetAfterIndex, this only recalculates the size of the specified item.
+    // The sizes of the items after it are kept, and their offsets are shifted the next time they're needed.
+    instance.resetIndex = (
+      index: number,
+      shouldForceUpdate?: boolean = true
+    ) => {
+      resetItemSize(instanceProps, index);
+
+      instance._evictItemStyleCacheAfterIndex(index);
 
       if (shouldForceUpdate) {
         instance.forceUpdate();
@@ -298,6 +463,85 @@ const VariableSizeList = createListComponent({
     return instanceProps;
   },
 
+  // Cached sizes are moved along with the items they belong to,
+  // So items that were already measured don't need their sizes to be recalculated.
+  shiftItems: (
+    props: Props<any>,
+    count: number,
+    instanceProps: InstanceProps
+  ): void => {
+    const {
+      itemMetadataMap,
+      lastMeasuredIndex,
+      measuredSizeMap,
+      offsetTree,
+    } = instanceProps;
+
+    // Measurements are moved as well, so that inserted items are sized by their estimate until they've been rendered.
+    if (measuredSizeMap !== null) {
+      const shiftedMeasuredSizeMap = {};
+
+      Object.keys(measuredSizeMap).forEach(key => {
+        const index = parseInt(key, 10) + count;
+        if (index >= 0) {
+          shiftedMeasuredSizeMap[index] = measuredSizeMap[(key: any)];
+        }
+      });
+
+      instanceProps.measuredSizeMap = shiftedMeasuredSizeMap;
+    }
+
+    if (offsetTree !== null) {
+      const sizes = [];
+      for (let i = 0; i < count; i++) {
+        sizes.push(getSizeOfItem(props, i, instanceProps));
+      }
+      for (let i = Math.max(0, -count); i <= lastMeasuredIndex; i++) {
+        sizes.push(offsetTree.getSize(i));
+      }
+
+      instanceProps.offsetTree = createOffsetTree(sizes);
+      instanceProps.lastMeasuredIndex = sizes.length - 1;
+      // Stale sizes are recalculated for the items they belong to.
+      instanceProps.staleIndices = instanceProps.staleIndices
+        .map(index => index + count)
+        .filter(index => index >= 0);
+      return;
+    }
+
+    const shiftedItemMetadataMap = {};
+
+    let offset = 0;
+
+    // Inserted items
+    for (let i = 0; i < count; i++) {
+      const size = getSizeOfItem(props, i, instanceProps);
+
+      shiftedItemMetadataMap[i] = {
+        offset,
+        size,
+      };
+
+      offset += size;
+    }
+
+    // Items that were measured before the shift (excluding any removed items)
+    for (let i = Math.max(0, -count); i <= lastMeasuredIndex; i++) {
+      const { size } = itemMetadataMap[i];
+
+      shiftedItemMetadataMap[i + count] = {
+        offset,
+        size,
+      };
+
+      offset += size;
+    }
+
+    instanceProps.itemMetadataMap = shiftedItemMetadataMap;
+    instanceProps.lastMeasuredIndex = Math.max(-1, lastMeasuredIndex + count);
+    instanceProps.lastSizedIndex = instanceProps.lastMeasuredIndex;
+  },
+
   shouldResetStyleCacheOnItemSizeChange: false,
 
   validateProps: ({ itemSize }: Props<any>): void => {
@@ -311,6 +555,8 @@ const VariableSizeList = createListComponent({
       }
     }
   },
-});
+};
+
+const VariableSizeList = createListComponent(config);
 
 export default VariableSizeList;
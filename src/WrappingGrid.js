@@ -0,0 +1,448 @@
+// @flow
+
+import memoizeOne from 'memoize-one';
+import { createElement, PureComponent } from 'react';
+import FixedSizeGrid from './FixedSizeGrid';
+import { getScrollbarSize } from './domHelpers';
+
+import type { ScrollOptions, ScrollToAlign } from './createListComponent';
+
+type RenderComponentProps<T> = {|
+  data: T,
+  index: number,
+  isScrolling?: boolean,
+  style: Object,
+|};
+type RenderComponent<T> = React$ComponentType<$Shape<RenderComponentProps<T>>>;
+
+type onItemsRenderedCallback = ({
+  overscanStartIndex: number,
+  overscanStopIndex: number,
+  visibleStartIndex: number,
+  visibleStopIndex: number,
+}) => void;
+type onScrollCallback = ({
+  scrollDirection: 'forward' | 'backward',
+  scrollOffset: number,
+  scrollUpdateWasRequested: boolean,
+}) => void;
+
+// Passed to the cells of the underlying grid (as its "itemData"),
+// So that they can map their row and column back to an item.
+type CellData<T> = {|
+  children: RenderComponent<T>,
+  columnCount: number,
+  itemCount: number,
+  itemData: T,
+|};
+
+type Props<T> = {|
+  autoSize: boolean,
+  children: RenderComponent<T>,
+  className?: string,
+  direction: 'ltr' | 'rtl',
+  height?: number,
+  initialScrollOffset?: number,
+  innerRef?: any,
+  innerElementType?: any,
+  itemCount: number,
+  itemData: T,
+  itemHeight: number,
+  itemKey?: (index: number, data: T) => any,
+  itemWidth: number,
+  onItemsRendered?: onItemsRenderedCallback,
+  onScroll?: onScrollCallback,
+  outerRef?: any,
+  outerElementType?: any,
+  overscanRowCount?: number,
+  style?: Object,
+  useIsScrolling: boolean,
+  width?: number,
+|};
+
+type State = {|
+  outerHeight: number,
+  outerWidth: number,
+|};
+
+const defaultItemKey = (index: number, data: any) => index;
+
+// Empty cells are keyed by their position,
+// Which is namespaced so that it can't collide with the keys of items.
+const EMPTY_CELL_KEY_PREFIX = '__wrappingGridEmptyCell:';
+
+// Rows are filled from the start, so cells after the last item (in the last row) are left empty.
+class Cell extends PureComponent<{
+  columnIndex: number,
+  data: CellData<any>,
+  isScrolling?: boolean,
+  rowIndex: number,
+  style: Object,
+}> {
+  render() {
+    const { columnIndex, data, isScrolling, rowIndex, style } = this.props;
+    const { children, columnCount, itemCount, itemData } = data;
+
+    const index = rowIndex * columnCount + columnIndex;
+    if (index >= itemCount) {
+      return null;
+    }
+
+    return createElement(children, {
+      data: itemData,
+      index,
+      isScrolling,
+      style,
+    });
+  }
+}
+
+// Lays out a flat list of items (e.g. cards) in as many columns as fit within its width,
+// And wraps the rest onto the next row.
+// Items are rendered by a FixedSizeGrid, but "children", "itemKey", "onItemsRendered" and the scroll methods
+// Only deal with (flat) item indices.
+export default class WrappingGrid<T> extends PureComponent<Props<T>, State> {
+  _gridRef: any = null;
+  _outerRef: ?HTMLDivElement;
+  _resizeObserver: any = null;
+
+  static defaultProps = {
+    autoSize: false,
+    direction: 'ltr',
+    itemData: undefined,
+    useIsScrolling: false,
+  };
+
+  // Always use explicit constructor for React components.
+  // It produces less code after transpilation. (#26)
+  // eslint-disable-next-line no-useless-constructor
+  constructor(props: Props<T>) {
+    super(props);
+  }
+
+  state: State = {
+    outerHeight: 0,
+    outerWidth: 0,
+  };
+
+  scrollTo(scrollOffset: number, options?: ScrollOptions): Promise<boolean> {
+    return this._gridRef.scrollTo({
+      ...options,
+      scrollLeft: 0,
+      scrollTop: scrollOffset,
+    });
+  }
+
+  scrollToItem(
+    index: number,
+    align: ScrollToAlign = 'auto',
+    options?: ScrollOptions
+  ): Promise<boolean> {
+    const { itemCount } = this.props;
+
+    index = Math.max(0, Math.min(index, itemCount - 1));
+
+    return this._gridRef.scrollToItem({
+      ...options,
+      align,
+      rowIndex: Math.floor(index / this._getColumnCount()),
+    });
+  }
+
+  componentDidMount() {
+    if (this.props.autoSize) {
+      this._observeOuterSize();
+      this._updateOuterSize();
+    }
+  }
+
+  componentDidUpdate(prevProps: Props<T>) {
+    const { autoSize } = this.props;
+
+    if (prevProps.autoSize !== autoSize) {
+      if (autoSize) {
+        this._observeOuterSize();
+        this._updateOuterSize();
+      } else {
+        this._unobserveOuterSize();
+      }
+    }
+  }
+
+  componentWillUnmount() {
+    this._unobserveOuterSize();
+  }
+
+  render() {
+    const {
+      autoSize,
+      children,
+      className,
+      direction,
+      height,
+      initialScrollOffset,
+      innerRef,
+      innerElementType,
+      itemCount,
+      itemData,
+      itemHeight,
+      itemWidth,
+      outerElementType,
+      overscanRowCount,
+      style,
+      useIsScrolling,
+      width,
+    } = this.props;
+
+    validateProps(this.props);
+
+    const columnCount = this._getColumnCount();
+
+    return createElement(FixedSizeGrid, {
+      autoSize,
+      children: Cell,
+      className,
+      columnCount,
+      columnWidth: itemWidth,
+      direction,
+      height,
+      initialScrollTop: initialScrollOffset,
+      innerRef,
+      innerElementType,
+      itemData: this._getCellData(children, columnCount, itemCount, itemData),
+      itemKey: this._getCellKey,
+      onItemsRendered: this._onItemsRendered,
+      onScroll: this._onScroll,
+      outerRef: this._outerRefSetter,
+      outerElementType,
+      overscanColumnCount: 0,
+      overscanRowCount,
+      ref: (this._gridRefSetter: any),
+      rowCount: Math.ceil(itemCount / columnCount),
+      rowHeight: itemHeight,
+      style,
+      useIsScrolling,
+      width,
+    });
+  }
+
+  _getCellData: (
+    children: RenderComponent<any>,
+    columnCount: number,
+    itemCount: number,
+    itemData: any
+  ) => CellData<any>;
+  _getCellData = memoizeOne(
+    (
+      children: RenderComponent<any>,
+      columnCount: number,
+      itemCount: number,
+      itemData: any
+    ): CellData<any> => ({
+      children,
+      columnCount,
+      itemCount,
+      itemData,
+    })
+  );
+
+  // Cells are keyed by their item (rather than their position),
+  // So that items keep their state when they're moved to another row or column.
+  _getCellKey = ({
+    columnIndex,
+    data,
+    rowIndex,
+  }: {
+    columnIndex: number,
+    data: CellData<any>,
+    rowIndex: number,
+  }): any => {
+    const { itemKey = defaultItemKey } = this.props;
+    const { columnCount, itemCount, itemData } = data;
+
+    const index = rowIndex * columnCount + columnIndex;
+    if (index >= itemCount) {
+      // Empty cells don't have an item to be keyed by.
+      return `${EMPTY_CELL_KEY_PREFIX}${rowIndex}:${columnIndex}`;
+    }
+
+    return itemKey(index, itemData);
+  };
+
+  // As many columns as fit (but at least one).
+  // If the items don't fit within the height, space is left for the vertical scrollbar,
+  // So that the last column doesn't cause the grid to scroll horizontally as well.
+  _getColumnCount(): number {
+    const { autoSize, itemCount, itemHeight, itemWidth } = this.props;
+    const { outerHeight, outerWidth } = this.state;
+
+    // Auto-sized grids are measured instead.
+    const height = autoSize ? outerHeight : ((this.props.height: any): number);
+    const width = autoSize ? outerWidth : ((this.props.width: any): number);
+
+    const columnCount = Math.max(1, Math.floor(width / itemWidth));
+    if (Math.ceil(itemCount / columnCount) * itemHeight <= height) {
+      return columnCount;
+    }
+
+    return Math.max(1, Math.floor((width - getScrollbarSize()) / itemWidth));
+  }
+
+  _gridRefSetter = (ref: any): void => {
+    this._gridRef = ref;
+  };
+
+  // Auto-sized grids measure their outer element to determine how many columns fit,
+  // And re-measure it whenever a ResizeObserver reports that its size has changed.
+  _observeOuterSize(): void {
+    if (
+      this._outerRef != null &&
+      this._resizeObserver === null &&
+      typeof ResizeObserver !== 'undefined'
+    ) {
+      this._resizeObserver = new ResizeObserver(this._onOuterResize);
+      this._resizeObserver.observe(this._outerRef);
+    }
+  }
+
+  _onItemsRendered = ({
+    overscanColumnStartIndex,
+    overscanColumnStopIndex,
+    overscanRowStartIndex,
+    overscanRowStopIndex,
+    visibleColumnStartIndex,
+    visibleColumnStopIndex,
+    visibleRowStartIndex,
+    visibleRowStopIndex,
+  }: Object): void => {
+    const { itemCount, onItemsRendered } = this.props;
+
+    if (typeof onItemsRendered === 'function') {
+      const columnCount = this._getColumnCount();
+
+      onItemsRendered({
+        overscanStartIndex:
+          overscanRowStartIndex * columnCount + overscanColumnStartIndex,
+        overscanStopIndex: Math.min(
+          itemCount - 1,
+          overscanRowStopIndex * columnCount + overscanColumnStopIndex
+        ),
+        visibleStartIndex:
+          visibleRowStartIndex * columnCount + visibleColumnStartIndex,
+        visibleStopIndex: Math.min(
+          itemCount - 1,
+          visibleRowStopIndex * columnCount + visibleColumnStopIndex
+        ),
+      });
+    }
+  };
+
+  _onOuterResize = (): void => {
+    this._updateOuterSize();
+  };
+
+  _onScroll = ({
+    scrollTop,
+    scrollUpdateWasRequested,
+    verticalScrollDirection,
+  }: Object): void => {
+    const { onScroll } = this.props;
+
+    if (typeof onScroll === 'function') {
+      onScroll({
+        scrollDirection: verticalScrollDirection,
+        scrollOffset: scrollTop,
+        scrollUpdateWasRequested,
+      });
+    }
+  };
+
+  _outerRefSetter = (ref: any): void => {
+    const { outerRef } = this.props;
+
+    this._outerRef = ((ref: any): HTMLDivElement);
+
+    if (typeof outerRef === 'function') {
+      outerRef(ref);
+    } else if (
+      outerRef != null &&
+      typeof outerRef === 'object' &&
+      outerRef.hasOwnProperty('current')
+    ) {
+      outerRef.current = ref;
+    }
+  };
+
+  _unobserveOuterSize(): void {
+    if (this._resizeObserver !== null) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+  }
+
+  _updateOuterSize(): void {
+    const outerRef = this._outerRef;
+
+    if (outerRef != null) {
+      const outerHeight = outerRef.offsetHeight;
+      const outerWidth = outerRef.offsetWidth;
+
+      this.setState(
+        prevState =>
+          prevState.outerHeight === outerHeight &&
+          prevState.outerWidth === outerWidth
+            ? null
+            : { outerHeight, outerWidth }
+      );
+    }
+  }
+}
+
+const validateProps = ({
+  autoSize,
+  height,
+  itemHeight,
+  itemWidth,
+  width,
+}: Props<any>): void => {
+  if (process.env.NODE_ENV !== 'production') {
+    if (typeof itemWidth !== 'number' || itemWidth <= 0) {
+      throw Error(
+        'An invalid "itemWidth" prop has been specified. ' +
+          'Value should be a number greater than 0. ' +
+          `"${
+            typeof itemWidth === 'number'
+              ? itemWidth
+              : itemWidth === null
+                ? 'null'
+                : typeof itemWidth
+          }" was specified.`
+      );
+    }
+
+    if (typeof itemHeight !== 'number') {
+      throw Error(
+        'An invalid "itemHeight" prop has been specified. ' +
+          'Value should be a number. ' +
+          `"${itemHeight === null ? 'null' : typeof itemHeight}" was specified.`
+      );
+    }
+
+    // Wrapping grids that are auto-sized are measured instead.
+    if (!autoSize && typeof width !== 'number') {
+      throw Error(
+        'An invalid "width" prop has been specified. ' +
+          'Wrapping grids must specify a number for width. ' +
+          `"${width === null ? 'null' : typeof width}" was specified.`
+      );
+    }
+
+    if (!autoSize && typeof height !== 'number') {
+      throw Error(
+        'An invalid "height" prop has been specified. ' +
+          'Wrapping grids must specify a number for height. ' +
+          `"${height === null ? 'null' : typeof height}" was specified.`
+      );
+    }
+  }
+};
@@ -0,0 +1,212 @@
+import React, { createRef, PureComponent } from 'react';
+import { render } from 'react-dom';
+import ReactTestRenderer from 'react-test-renderer';
+import { DynamicSizeGrid } from '..';
+
+describe('DynamicSizeGrid', () => {
+  let cellSizes, defaultProps, innerRef, itemRenderer, onItemsRendered;
+
+  // Use PureComponent to test memoization.
+  // Pass through to itemRenderer mock for easier test assertions.
+  class PureItemRenderer extends PureComponent {
+    render() {
+      return itemRenderer(this.props);
+    }
+  }
+
+  const findItemStyle = (rowIndex, columnIndex) =>
+    itemRenderer.mock.calls
+      .filter(
+        ([params]) =>
+          params.rowIndex === rowIndex && params.columnIndex === columnIndex
+      )
+      .pop()[0].style;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    const getSize = (size, minSize) =>
+      Math.max(parseInt(size, 10) || 0, parseInt(minSize, 10) || 0);
+    Object.defineProperties(HTMLElement.prototype, {
+      offsetHeight: {
+        configurable: true,
+        get: function() {
+          return getSize(this.style.height, this.style.minHeight);
+        },
+      },
+      offsetWidth: {
+        configurable: true,
+        get: function() {
+          return getSize(this.style.width, this.style.minWidth);
+        },
+      },
+    });
+
+    // Cells determine their own size (unless the grid specifies one).
+    cellSizes = {};
+    itemRenderer = jest.fn(({ columnIndex, rowIndex, style }) => {
+      const size = cellSizes[`${rowIndex}:${columnIndex}`] || {};
+      return (
+        <div
+          style={{
+            ...style,
+            height:
+              style.height !== undefined ? style.height : size.height || 20,
+            width: style.width !== undefined ? style.width : size.width || 40,
+          }}
+        />
+      );
+    });
+    innerRef = createRef();
+    onItemsRendered = jest.fn();
+    defaultProps = {
+      children: PureItemRenderer,
+      columnCount: 10,
+      estimatedColumnWidth: 50,
+      estimatedRowHeight: 50,
+      height: 100,
+      innerRef,
+      onItemsRendered,
+      overscanColumnCount: 0,
+      overscanRowCount: 0,
+      rowCount: 20,
+      width: 200,
+    };
+  });
+
+  it('should render an empty grid', () => {
+    ReactTestRenderer.create(
+      <DynamicSizeGrid {...defaultProps} columnCount={0} rowCount={0} />
+    );
+    expect(itemRenderer).not.toHaveBeenCalled();
+    expect(onItemsRendered).not.toHaveBeenCalled();
+  });
+
+  it('should stretch cells to fill measured rows and columns', () => {
+    ReactTestRenderer.create(<DynamicSizeGrid {...defaultProps} />);
+    const style = findItemStyle(0, 0);
+    expect(style.height).toBeUndefined();
+    expect(style.width).toBeUndefined();
+    expect(style.minHeight).toBe(50);
+    expect(style.minWidth).toBe(50);
+  });
+
+  it('should size rows and columns to fit their largest measured cell', () => {
+    cellSizes['1:1'] = { height: 35 };
+    cellSizes['2:2'] = { width: 70 };
+    render(
+      <DynamicSizeGrid {...defaultProps} />,
+      document.createElement('div')
+    );
+    expect(findItemStyle(1, 0).minHeight).toBe(35);
+    expect(findItemStyle(2, 0).top).toBe(55);
+    expect(findItemStyle(3, 0).top).toBe(75);
+    expect(findItemStyle(0, 2).minWidth).toBe(70);
+    expect(findItemStyle(0, 3).left).toBe(150);
+    expect(findItemStyle(0, 4).left).toBe(190);
+  });
+
+  it('should size rows and columns from their measured cells with an offset tree', () => {
+    cellSizes['1:1'] = { height: 35 };
+    cellSizes['2:2'] = { width: 70 };
+    render(
+      <DynamicSizeGrid {...defaultProps} useOffsetTree />,
+      document.createElement('div')
+    );
+    expect(findItemStyle(2, 0).top).toBe(55);
+    expect(findItemStyle(3, 0).top).toBe(75);
+    expect(findItemStyle(0, 3).left).toBe(150);
+    expect(findItemStyle(0, 4).left).toBe(190);
+    expect(innerRef.current.style.height).toBe('835px');
+  });
+
+  it('should update the estimated total size once cells are measured', () => {
+    render(
+      <DynamicSizeGrid {...defaultProps} />,
+      document.createElement('div')
+    );
+    expect(onItemsRendered).toHaveBeenLastCalledWith({
+      overscanColumnStartIndex: 0,
+      overscanColumnStopIndex: 5,
+      overscanRowStartIndex: 0,
+      overscanRowStopIndex: 5,
+      visibleColumnStartIndex: 0,
+      visibleColumnStopIndex: 4,
+      visibleRowStartIndex: 0,
+      visibleRowStopIndex: 4,
+    });
+    // 6 measured rows at 20px and 14 estimated rows at 50px.
+    expect(innerRef.current.style.height).toBe('820px');
+    // 6 measured columns at 40px and 4 estimated columns at 50px.
+    expect(innerRef.current.style.width).toBe('440px');
+  });
+
+  it('should shrink rows and columns when their largest cell shrinks', () => {
+    const container = document.createElement('div');
+    cellSizes['1:1'] = { height: 35, width: 60 };
+    render(<DynamicSizeGrid {...defaultProps} itemData="a" />, container);
+    expect(findItemStyle(2, 2).top).toBe(55);
+    expect(findItemStyle(2, 2).left).toBe(100);
+    cellSizes['1:1'] = { height: 25 };
+    render(<DynamicSizeGrid {...defaultProps} itemData="b" />, container);
+    expect(findItemStyle(2, 2).top).toBe(45);
+    expect(findItemStyle(2, 2).left).toBe(80);
+  });
+
+  it('should not measure rows or columns of a known size', () => {
+    const columnWidth = jest.fn(() => 100);
+    cellSizes['1:1'] = { height: 35, width: 70 };
+    render(
+      <DynamicSizeGrid {...defaultProps} columnWidth={columnWidth} />,
+      document.createElement('div')
+    );
+    const style = findItemStyle(1, 1);
+    expect(style.left).toBe(100);
+    expect(style.width).toBe(100);
+    expect(style.minWidth).toBeUndefined();
+    expect(style.minHeight).toBe(35);
+    expect(findItemStyle(0, 2).left).toBe(200);
+    // 3 columns at 100px and 7 columns (not yet rendered) estimated at 50px.
+    expect(innerRef.current.style.width).toBe('650px');
+  });
+
+  it('should scroll to cells based on their measured sizes', () => {
+    const instance = render(
+      <DynamicSizeGrid {...defaultProps} />,
+      document.createElement('div')
+    );
+    instance.scrollToItem({ align: 'start', columnIndex: 2, rowIndex: 3 });
+    expect(instance.state.scrollLeft).toBe(80);
+    expect(instance.state.scrollTop).toBe(60);
+  });
+
+  describe('props validation', () => {
+    beforeEach(() => spyOn(console, 'error'));
+
+    it('should fail if a non-function columnWidth is provided', () => {
+      expect(() =>
+        ReactTestRenderer.create(
+          <DynamicSizeGrid {...defaultProps} columnWidth={100} />
+        )
+      ).toThrow(
+        'An invalid "columnWidth" prop has been specified. ' +
+          'Value should be a function (or omitted to measure columns). ' +
+          '"number" was specified.'
+      );
+    });
+
+    it('should fail if a non-function rowHeight is provided', () => {
+      expect(() =>
+        ReactTestRenderer.create(
+          <DynamicSizeGrid {...defaultProps} rowHeight={100} />
+        )
+      ).toThrow(
+        'An invalid "rowHeight" prop has been specified. ' +
+          'Value should be a function (or omitted to measure rows). ' +
+          '"number" was specified.'
+      );
+    });
+  });
+});
@@ -0,0 +1,260 @@
+import React, { createRef, PureComponent } from 'react';
+import { render } from 'react-dom';
+import ReactTestRenderer from 'react-test-renderer';
+import { DynamicSizeList } from '..';
+
+describe('DynamicSizeList', () => {
+  let defaultProps, innerRef, itemRenderer, itemSizes, onItemsRendered;
+
+  // Use PureComponent to test memoization.
+  // Pass through to itemRenderer mock for easier test assertions.
+  class PureItemRenderer extends PureComponent {
+    render() {
+      return itemRenderer(this.props);
+    }
+  }
+
+  const findItemStyle = index =>
+    itemRenderer.mock.calls
+      .filter(([params]) => params.index === index)
+      .pop()[0].style;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      offsetHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      offsetWidth: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.width, 10) || 0;
+        },
+      },
+    });
+
+    // Items determine their own size; the list only positions them.
+    itemSizes = {};
+    itemRenderer = jest.fn(({ index, style }) => (
+      <div
+        style={{
+          ...style,
+          height: style.height === '100%' ? '100%' : itemSizes[index] || 20,
+          width: style.width === '100%' ? '100%' : itemSizes[index] || 20,
+        }}
+      >
+        {index}
+      </div>
+    ));
+    innerRef = createRef();
+    onItemsRendered = jest.fn();
+    defaultProps = {
+      children: PureItemRenderer,
+      estimatedItemSize: 50,
+      height: 100,
+      innerRef,
+      itemCount: 20,
+      onItemsRendered,
+      width: 50,
+    };
+  });
+
+  it('should render an empty list', () => {
+    ReactTestRenderer.create(
+      <DynamicSizeList {...defaultProps} itemCount={0} />
+    );
+    expect(itemRenderer).not.toHaveBeenCalled();
+    expect(onItemsRendered).not.toHaveBeenCalled();
+  });
+
+  it('should not constrain the size of items along the layout axis', () => {
+    ReactTestRenderer.create(<DynamicSizeList {...defaultProps} />);
+    const style = itemRenderer.mock.calls[0][0].style;
+    expect(style.height).toBeUndefined();
+    expect(style.width).toBe('100%');
+  });
+
+  it('should estimate the size of items before they have been measured', () => {
+    const rendered = ReactTestRenderer.create(
+      <DynamicSizeList {...defaultProps} overscanCount={0} />
+    );
+    // Items can't be measured without a DOM, so their sizes remain estimates.
+    const scrollContainer = rendered.root.children[0].children[0];
+    expect(scrollContainer.props.style.height).toEqual(1000);
+    expect(findItemStyle(1).top).toBe(50);
+  });
+
+  it('should update item offsets and the estimated total size once items are measured', () => {
+    render(
+      <DynamicSizeList {...defaultProps} overscanCount={0} />,
+      document.createElement('div')
+    );
+    // Items 0-2 are rendered initially (based on the 50px estimate),
+    // But once measured at 20px each, more items are needed to fill the list.
+    expect(findItemStyle(1).top).toBe(20);
+    expect(findItemStyle(2).top).toBe(40);
+    expect(onItemsRendered).toHaveBeenLastCalledWith({
+      overscanStartIndex: 0,
+      overscanStopIndex: 5,
+      visibleStartIndex: 0,
+      visibleStopIndex: 4,
+    });
+    // 6 measured items at 20px and 14 estimated items at 50px.
+    expect(innerRef.current.style.height).toBe('820px');
+  });
+
+  it('should re-measure items when they re-render', () => {
+    const container = document.createElement('div');
+    render(
+      <DynamicSizeList {...defaultProps} itemCount={5} itemData="a" />,
+      container
+    );
+    expect(innerRef.current.style.height).toBe('100px');
+    itemSizes[0] = 60;
+    render(
+      <DynamicSizeList {...defaultProps} itemCount={5} itemData="b" />,
+      container
+    );
+    expect(findItemStyle(1).top).toBe(60);
+    expect(innerRef.current.style.height).toBe('140px');
+  });
+
+  it('should re-measure items when a ResizeObserver reports a change', () => {
+    const observers = [];
+    window.ResizeObserver = jest.fn(callback => {
+      const observer = {
+        callback,
+        disconnect: jest.fn(),
+        observe: jest.fn(),
+        unobserve: jest.fn(),
+      };
+      observers.push(observer);
+      return observer;
+    });
+
+    try {
+      const container = document.createElement('div');
+      render(<DynamicSizeList {...defaultProps} itemCount={5} />, container);
+
+      // All items share the list's observer.
+      expect(observers).toHaveLength(1);
+      const [observer] = observers;
+      expect(observer.observe).toHaveBeenCalledTimes(5);
+      expect(innerRef.current.style.height).toBe('100px');
+
+      // Simulate two items resizing themselves (e.g. images loading)
+      // Without the list re-rendering them.
+      const items = innerRef.current.children;
+      items[1].style.height = '30px';
+      items[2].style.height = '45px';
+      itemRenderer.mockClear();
+      observer.callback([{ target: items[1] }, { target: items[2] }]);
+      expect(innerRef.current.style.height).toBe('135px');
+      expect(items[3].style.top).toBe('95px');
+
+      // Both measurements are applied in a single update.
+      expect(
+        itemRenderer.mock.calls.filter(([params]) => params.index === 3)
+      ).toHaveLength(1);
+
+      render(<div />, container);
+      expect(observer.disconnect).toHaveBeenCalled();
+    } finally {
+      delete window.ResizeObserver;
+    }
+  });
+
+  it('should measure the width of items in horizontal lists', () => {
+    itemSizes[0] = 10;
+    render(
+      <DynamicSizeList
+        {...defaultProps}
+        itemCount={5}
+        layout="horizontal"
+        width={100}
+      />,
+      document.createElement('div')
+    );
+    const style = findItemStyle(1);
+    expect(style.left).toBe(10);
+    expect(style.height).toBe('100%');
+    expect(style.width).toBeUndefined();
+    expect(innerRef.current.style.width).toBe('90px');
+  });
+
+  it('should scroll to items based on their measured sizes', () => {
+    const instance = render(
+      <DynamicSizeList {...defaultProps} />,
+      document.createElement('div')
+    );
+    instance.scrollToItem(3, 'start');
+    expect(instance.state.scrollOffset).toBe(60);
+  });
+
+  it('should keep measured items in place when items are inserted at the start', () => {
+    const container = document.createElement('div');
+    itemSizes[0] = 60;
+    const instance = render(
+      <DynamicSizeList {...defaultProps} itemCount={5} useScrollAnchoring />,
+      container
+    );
+    expect(innerRef.current.style.height).toBe('140px');
+    itemSizes = { 0: 30, 1: 30, 2: 60 };
+    render(
+      <DynamicSizeList
+        {...defaultProps}
+        firstItemIndex={-2}
+        itemCount={7}
+        useScrollAnchoring
+      />,
+      container
+    );
+    // The inserted items are initially estimated at 50px each,
+    // But the list should settle on their measured size once they've been rendered.
+    expect(instance.state.scrollOffset).toBe(60);
+    expect(findItemStyle(2).top).toBe(60);
+    expect(innerRef.current.style.height).toBe('200px');
+  });
+
+  it('should stay scrolled to the end while new items are measured', () => {
+    const container = document.createElement('div');
+    const instance = render(
+      <DynamicSizeList {...defaultProps} anchorToEnd itemCount={8} />,
+      container
+    );
+    // Items are estimated at 50px, but all 8 of them turn out to be 20px.
+    expect(innerRef.current.style.height).toBe('160px');
+    expect(instance.state.scrollOffset).toBe(60);
+    // Some of the new items are only rendered (and measured) after the list has scrolled to them.
+    for (let index = 8; index < 13; index++) {
+      itemSizes[index] = 70;
+    }
+    render(
+      <DynamicSizeList {...defaultProps} anchorToEnd itemCount={13} />,
+      container
+    );
+    expect(innerRef.current.style.height).toBe('510px');
+    expect(instance.state.scrollOffset).toBe(410);
+  });
+
+  describe('props validation', () => {
+    beforeEach(() => spyOn(console, 'error'));
+
+    it('should fail if an itemSize is provided', () => {
+      expect(() =>
+        ReactTestRenderer.create(
+          <DynamicSizeList {...defaultProps} itemSize={25} />
+        )
+      ).toThrow(
+        'An unexpected "itemSize" prop has been specified. ' +
+          'DynamicSizeList measures the size of its items once they have been rendered.'
+      );
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import React, { createRef, forwardRef, PureComponent } from 'react';
 import ReactDOM from 'react-dom';
+import ReactDOMServer from 'react-dom/server';
 import ReactTestRenderer from 'react-test-renderer';
 import ReactTestUtils from 'react-dom/test-utils';
 import { FixedSizeGrid } from '..';
@@ -828,6 +829,164 @@ describe('FixedSizeGrid', () => {
   });
 
   // onItemsRendered is pretty well covered by other snapshot tests
+  describe('scroll snapshots', () => {
+    it('should restore the first visible cell after rows have been added', () => {
+      const itemKey = ({ columnIndex, data, rowIndex }) =>
+        `${data[rowIndex]}:${columnIndex}`;
+      const rows = Array.from({ length: 100 }, (_, index) => `row-${index}`);
+      let instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} itemData={rows} itemKey={itemKey} />,
+        document.createElement('div')
+      );
+      simulateScroll(instance, { scrollLeft: 350, scrollTop: 110 });
+      const snapshot = instance.getScrollSnapshot();
+      expect(snapshot).toEqual({
+        columnIndex: 3,
+        columnOffset: 50,
+        key: 'row-4:3',
+        rowIndex: 4,
+        rowOffset: 10,
+        scrollLeft: 350,
+        scrollTop: 110,
+      });
+
+      instance = ReactDOM.render(
+        <FixedSizeGrid
+          {...defaultProps}
+          initialScrollSnapshot={snapshot}
+          itemData={['a', 'b', ...rows]}
+          itemKey={itemKey}
+          rowCount={102}
+        />,
+        document.createElement('div')
+      );
+      expect(instance.state.scrollLeft).toBe(350);
+      expect(instance.state.scrollTop).toBe(160);
+      expect(instance._outerRef.scrollTop).toBe(160);
+    });
+  });
+
+  describe('layout queries', () => {
+    it('should return row and column offsets and sizes', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      expect(instance.getColumnOffset(10)).toBe(1000);
+      expect(instance.getColumnWidth(10)).toBe(100);
+      expect(instance.getRowOffset(10)).toBe(250);
+      expect(instance.getRowHeight(10)).toBe(25);
+      expect(instance.getEstimatedTotalHeight()).toBe(2500);
+      expect(instance.getEstimatedTotalWidth()).toBe(10000);
+    });
+
+    it('should return the range of cells that was last rendered', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      simulateScroll(instance, { scrollLeft: 350, scrollTop: 110 });
+      expect(instance.getVisibleRange()).toEqual(
+        onItemsRendered.mock.calls[onItemsRendered.mock.calls.length - 1][0]
+      );
+      expect(instance.getVisibleRange()).toMatchObject({
+        visibleColumnStartIndex: 3,
+        visibleColumnStopIndex: 5,
+        visibleRowStartIndex: 4,
+        visibleRowStopIndex: 8,
+      });
+    });
+  });
+
+  describe('scroll method promises', () => {
+    it('should resolve once the requested cell has been rendered', async () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      const isComplete = await instance.scrollToItem({
+        columnIndex: 20,
+        rowIndex: 50,
+      });
+      expect(isComplete).toBe(true);
+      expect(
+        itemRenderer.mock.calls.some(
+          ([params]) => params.columnIndex === 20 && params.rowIndex === 50
+        )
+      ).toBe(true);
+    });
+
+    it('should resolve to false if replaced by a newer request', async () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      const promise = instance.scrollTo({
+        behavior: 'smooth',
+        scrollLeft: 500,
+        scrollTop: 500,
+      });
+      const newerPromise = instance.scrollTo({ scrollLeft: 0, scrollTop: 0 });
+      expect(await promise).toBe(false);
+      expect(await newerPromise).toBe(true);
+    });
+  });
+
+  describe('smooth scrolling', () => {
+    let currentTime;
+
+    beforeEach(() => {
+      // Animations are timed with Date.now (in environments without performance.now).
+      currentTime = 0;
+      spyOn(Date, 'now').and.callFake(() => currentTime);
+    });
+
+    const advanceTime = ms => {
+      currentTime += ms;
+      jest.runOnlyPendingTimers();
+    };
+
+    it('should animate scrollTo', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      instance.scrollTo({
+        behavior: 'smooth',
+        duration: 100,
+        scrollLeft: 1000,
+        scrollTop: 500,
+      });
+      advanceTime(50);
+      expect(instance.state.scrollLeft).toBe(500);
+      expect(instance.state.scrollTop).toBe(250);
+      advanceTime(50);
+      expect(instance.state.scrollLeft).toBe(1000);
+      expect(instance.state.scrollTop).toBe(500);
+      expect(instance._outerRef.scrollLeft).toBe(1000);
+      expect(instance._outerRef.scrollTop).toBe(500);
+    });
+
+    it('should animate scrollToItem', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      instance.scrollToItem({
+        align: 'start',
+        behavior: 'smooth',
+        columnIndex: 10,
+        duration: 100,
+        easing: progress => progress,
+      });
+      advanceTime(25);
+      expect(instance.state.scrollLeft).toBe(250);
+      expect(instance.state.scrollTop).toBe(0);
+      advanceTime(75);
+      expect(instance.state.scrollLeft).toBe(1000);
+    });
+  });
+
   describe('onScroll', () => {
     it('should call onScroll after mount', () => {
       const onScroll = jest.fn();
@@ -875,6 +1034,458 @@ describe('FixedSizeGrid', () => {
     });
   });
 
+  describe('stickyColumnCount and stickyRowCount', () => {
+    const findStickyContainers = rendered =>
+      rendered.root.findAll(
+        node =>
+          node.type === 'div' &&
+          node.props.style != null &&
+          node.props.style.position === 'sticky'
+      );
+
+    it('should always render cells in sticky rows and columns', () => {
+      ReactTestRenderer.create(
+        <FixedSizeGrid
+          {...defaultProps}
+          initialScrollLeft={1000}
+          initialScrollTop={500}
+          itemData="foo"
+          stickyColumnCount={1}
+          stickyRowCount={2}
+        />
+      );
+      const cells = itemRenderer.mock.calls.map(
+        ([{ columnIndex, rowIndex }]) => `${rowIndex}:${columnIndex}`
+      );
+      // Scrolled to rows 20-23 and columns 10-11.
+      expect(cells).toContain('0:0');
+      expect(cells).toContain('1:0');
+      expect(cells).toContain('0:10');
+      expect(cells).toContain('1:11');
+      expect(cells).toContain('20:0');
+      expect(cells).toContain('20:10');
+      expect(cells).not.toContain('2:10');
+      expect(cells).not.toContain('20:1');
+      // Each cell should only be rendered once.
+      expect(new Set(cells).size).toBe(cells.length);
+      itemRenderer.mock.calls.forEach(([params]) =>
+        expect(params.data).toBe('foo')
+      );
+    });
+
+    it('should position sticky cells the same way as other cells', () => {
+      ReactTestRenderer.create(
+        <FixedSizeGrid
+          {...defaultProps}
+          initialScrollLeft={1000}
+          initialScrollTop={500}
+          stickyColumnCount={1}
+          stickyRowCount={1}
+        />
+      );
+      const findStyle = (rowIndex, columnIndex) =>
+        itemRenderer.mock.calls.find(
+          ([params]) =>
+            params.rowIndex === rowIndex && params.columnIndex === columnIndex
+        )[0].style;
+      expect(findStyle(0, 0)).toEqual(
+        expect.objectContaining({ left: 0, top: 0 })
+      );
+      expect(findStyle(0, 10)).toEqual(
+        expect.objectContaining({ left: 1000, top: 0 })
+      );
+      expect(findStyle(20, 0)).toEqual(
+        expect.objectContaining({ left: 0, top: 500 })
+      );
+    });
+
+    it('should stick sticky containers to the top and the left', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeGrid
+          {...defaultProps}
+          stickyColumnCount={1}
+          stickyRowCount={1}
+        />
+      );
+      const [columns, rows, corner] = findStickyContainers(rendered);
+      expect(columns.props.style).toEqual(
+        expect.objectContaining({ left: 0, right: undefined, top: undefined })
+      );
+      expect(rows.props.style).toEqual(
+        expect.objectContaining({ left: undefined, right: undefined, top: 0 })
+      );
+      expect(corner.props.style).toEqual(
+        expect.objectContaining({ left: 0, right: undefined, top: 0 })
+      );
+    });
+
+    it('should stick sticky containers to the top and the right for rtl grids', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeGrid
+          {...defaultProps}
+          direction="rtl"
+          stickyColumnCount={1}
+          stickyRowCount={1}
+        />
+      );
+      const [columns, rows, corner] = findStickyContainers(rendered);
+      expect(columns.props.style).toEqual(
+        expect.objectContaining({ left: undefined, right: 0, top: undefined })
+      );
+      expect(rows.props.style).toEqual(
+        expect.objectContaining({ left: undefined, right: undefined, top: 0 })
+      );
+      expect(corner.props.style).toEqual(
+        expect.objectContaining({ left: undefined, right: 0, top: 0 })
+      );
+      expect(
+        itemRenderer.mock.calls.find(
+          ([params]) => params.rowIndex === 0 && params.columnIndex === 1
+        )[0].style
+      ).toEqual(expect.objectContaining({ right: 100 }));
+    });
+
+    it('should not render sticky containers unless requested', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeGrid {...defaultProps} />
+      );
+      expect(findStickyContainers(rendered)).toHaveLength(0);
+    });
+
+    it('should not render more sticky cells than there are rows and columns', () => {
+      ReactTestRenderer.create(
+        <FixedSizeGrid
+          {...defaultProps}
+          columnCount={2}
+          rowCount={2}
+          stickyColumnCount={5}
+          stickyRowCount={5}
+        />
+      );
+      expect(itemRenderer).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not scroll cells underneath the sticky rows and columns', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid
+          {...defaultProps}
+          stickyColumnCount={1}
+          stickyRowCount={2}
+        />,
+        document.createElement('div')
+      );
+
+      // The sticky rows are 50px high and the sticky column is 100px wide.
+      instance.scrollToItem({ align: 'start', columnIndex: 5, rowIndex: 10 });
+      expect(instance.state.scrollLeft).toBe(400);
+      expect(instance.state.scrollTop).toBe(200);
+
+      // Row 9 is (partially) covered by the sticky rows, so it's scrolled into view below them.
+      instance.scrollToItem({ align: 'auto', rowIndex: 9 });
+      expect(instance.state.scrollTop).toBe(175);
+      instance.scrollToItem({ align: 'auto', rowIndex: 10 });
+      expect(instance.state.scrollTop).toBe(175);
+
+      // Cells in the sticky rows and columns are always visible.
+      instance.scrollToItem({ align: 'start', columnIndex: 0, rowIndex: 1 });
+      expect(instance.state.scrollLeft).toBe(400);
+      expect(instance.state.scrollTop).toBe(175);
+    });
+  });
+
+  describe('useAriaAttributes', () => {
+    it('should not describe the grid or its cells by default', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(<FixedSizeGrid {...defaultProps} />, container);
+      const outer = container.firstChild;
+      expect(outer.hasAttribute('role')).toBe(false);
+      expect(outer.hasAttribute('aria-rowcount')).toBe(false);
+      expect(outer.querySelector('[role="row"]')).toBeNull();
+      expect(itemRenderer.mock.calls[0][0].ariaAttributes).toBeUndefined();
+    });
+
+    it('should describe the grid and the position of each cell', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} columnCount={50} useAriaAttributes>
+          {({ ariaAttributes, style }) => (
+            <div {...ariaAttributes} style={style} />
+          )}
+        </FixedSizeGrid>,
+        container
+      );
+      const outer = container.firstChild;
+      expect(outer.getAttribute('role')).toBe('grid');
+      expect(outer.getAttribute('aria-colcount')).toBe('50');
+      expect(outer.getAttribute('aria-rowcount')).toBe('100');
+
+      const cell = outer.querySelector(
+        '[aria-rowindex="2"][aria-colindex="3"]'
+      );
+      expect(cell.getAttribute('role')).toBe('gridcell');
+      expect(cell.style.top).toBe('25px');
+      expect(cell.style.left).toBe('200px');
+    });
+
+    it('should clear cached attributes once scrolling stops', () => {
+      const getAttributes = ({ columnIndex, rowIndex }) =>
+        itemRenderer.mock.calls
+          .filter(
+            ([params]) =>
+              params.columnIndex === columnIndex && params.rowIndex === rowIndex
+          )
+          .map(([params]) => params.ariaAttributes);
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} useAriaAttributes />,
+        document.createElement('div')
+      );
+      const [initialAttributes] = getAttributes({
+        columnIndex: 0,
+        rowIndex: 0,
+      });
+
+      simulateScroll(instance, { scrollLeft: 0, scrollTop: 1000 });
+      jest.runAllTimers();
+      simulateScroll(instance, { scrollLeft: 0, scrollTop: 0 });
+
+      // The attributes of the first cell were evicted (along with its style) once scrolling stopped.
+      const attributes = getAttributes({ columnIndex: 0, rowIndex: 0 });
+      expect(attributes[attributes.length - 1]).not.toBe(initialAttributes);
+      expect(attributes[attributes.length - 1]).toEqual(initialAttributes);
+    });
+
+    it('should group cells into rows', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(
+        <FixedSizeGrid
+          {...defaultProps}
+          stickyColumnCount={1}
+          useAriaAttributes
+        >
+          {({ ariaAttributes, style }) => (
+            <div {...ariaAttributes} style={style} />
+          )}
+        </FixedSizeGrid>,
+        container
+      );
+      const inner = container.firstChild.firstChild;
+      expect(inner.getAttribute('role')).toBe('rowgroup');
+
+      // Every cell is owned by the row it's in.
+      const cells = inner.querySelectorAll('[role="gridcell"]');
+      expect(cells.length).toBeGreaterThan(0);
+      cells.forEach(cell => {
+        const row = cell.parentNode;
+        expect(row.getAttribute('role')).toBe('row');
+        expect(row.getAttribute('aria-rowindex')).toBe(
+          cell.getAttribute('aria-rowindex')
+        );
+      });
+
+      // Cells in the sticky column are grouped into rows within their own section.
+      const rows = inner.querySelectorAll('[role="row"][aria-rowindex="2"]');
+      expect(
+        Array.from(rows).map(row =>
+          Array.from(row.children).map(cell =>
+            cell.getAttribute('aria-colindex')
+          )
+        )
+      ).toEqual([['2', '3', '4'], ['1']]);
+    });
+
+    it('should not re-render cells because of their attributes', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} useAriaAttributes />,
+        document.createElement('div')
+      );
+      itemRenderer.mockClear();
+      instance.forceUpdate();
+      expect(itemRenderer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('useKeyboardNavigation', () => {
+    const pressKey = (instance, key, options) =>
+      ReactTestUtils.Simulate.keyDown(instance._outerRef, { key, ...options });
+    const getActiveCell = instance => [
+      instance.state.activeRowIndex,
+      instance.state.activeColumnIndex,
+    ];
+
+    it('should pass isActive to cells only if enabled', () => {
+      ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} />,
+        document.createElement('div')
+      );
+      expect(itemRenderer.mock.calls[0][0].isActive).toBeUndefined();
+
+      itemRenderer.mockClear();
+      ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      const activeCells = itemRenderer.mock.calls
+        .filter(([params]) => params.isActive)
+        .map(([params]) => [params.rowIndex, params.columnIndex]);
+      expect(activeCells).toEqual([[0, 0]]);
+    });
+
+    it('should move the active cell with the arrow keys and scroll it into view', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      expect(instance._outerRef.getAttribute('tabindex')).toBe('0');
+      pressKey(instance, 'ArrowRight');
+      pressKey(instance, 'ArrowRight');
+      pressKey(instance, 'ArrowDown');
+      expect(getActiveCell(instance)).toEqual([1, 2]);
+      expect(instance.state.scrollLeft).toBe(100);
+      pressKey(instance, 'ArrowLeft');
+      pressKey(instance, 'ArrowUp');
+      expect(getActiveCell(instance)).toEqual([0, 1]);
+    });
+
+    it('should move the active cell within the row or the grid with Home and End', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      pressKey(instance, 'PageDown');
+      expect(getActiveCell(instance)).toEqual([4, 0]);
+      pressKey(instance, 'End');
+      expect(getActiveCell(instance)).toEqual([4, 99]);
+      pressKey(instance, 'Home');
+      expect(getActiveCell(instance)).toEqual([4, 0]);
+      pressKey(instance, 'End', { ctrlKey: true });
+      expect(getActiveCell(instance)).toEqual([99, 99]);
+      expect(instance.state.scrollLeft).toBe(9800);
+      expect(instance.state.scrollTop).toBe(2400);
+      pressKey(instance, 'Home', { ctrlKey: true });
+      expect(getActiveCell(instance)).toEqual([0, 0]);
+    });
+
+    it('should reverse the left and right arrow keys for rtl grids', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid
+          {...defaultProps}
+          direction="rtl"
+          useKeyboardNavigation
+        />,
+        document.createElement('div')
+      );
+      pressKey(instance, 'ArrowLeft');
+      expect(getActiveCell(instance)).toEqual([0, 1]);
+      pressKey(instance, 'ArrowRight');
+      expect(getActiveCell(instance)).toEqual([0, 0]);
+    });
+  });
+
+  describe('server rendering', () => {
+    it('should hydrate the server markup without warnings', () => {
+      const element = (
+        <FixedSizeGrid
+          {...defaultProps}
+          serverColumnCount={1}
+          serverRowCount={2}
+        />
+      );
+      const container = document.createElement('div');
+      container.innerHTML = ReactDOMServer.renderToString(element);
+      spyOn(console, 'error');
+      ReactDOM.hydrate(element, container);
+      expect(console.error).not.toHaveBeenCalled();
+      // Once mounted, the grid is rendered again based on its actual size.
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+      expect(onItemsRendered.mock.calls[0][0]).toMatchObject({
+        visibleColumnStartIndex: 0,
+        visibleColumnStopIndex: 2,
+        visibleRowStartIndex: 0,
+        visibleRowStopIndex: 4,
+      });
+    });
+  });
+
+  describe('autoSize', () => {
+    let observers;
+
+    beforeEach(() => {
+      Object.defineProperties(HTMLElement.prototype, {
+        offsetHeight: {
+          configurable: true,
+          get: function() {
+            return parseInt(this.style.height, 10) || 0;
+          },
+        },
+        offsetWidth: {
+          configurable: true,
+          get: function() {
+            return parseInt(this.style.width, 10) || 0;
+          },
+        },
+      });
+
+      observers = [];
+      window.ResizeObserver = jest.fn(callback => {
+        const observer = {
+          callback,
+          disconnect: jest.fn(),
+          observe: jest.fn(),
+        };
+        observers.push(observer);
+        return observer;
+      });
+    });
+
+    afterEach(() => {
+      delete window.ResizeObserver;
+    });
+
+    it('should measure the outer element to determine which cells to render', () => {
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeGrid
+          {...defaultProps}
+          autoSize
+          height={undefined}
+          style={{ height: 100, width: 200 }}
+          width={undefined}
+        />,
+        container
+      );
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+      expect(onItemsRendered.mock.calls[0][0]).toMatchObject({
+        visibleColumnStopIndex: 2,
+        visibleRowStopIndex: 4,
+      });
+
+      instance._outerRef.style.width = '400px';
+      observers[0].callback();
+      expect(onItemsRendered).toHaveBeenCalledTimes(2);
+      expect(onItemsRendered.mock.calls[1][0]).toMatchObject({
+        visibleColumnStopIndex: 4,
+        visibleRowStopIndex: 4,
+      });
+
+      ReactDOM.unmountComponentAtNode(container);
+      expect(observers[0].disconnect).toHaveBeenCalled();
+    });
+
+    it('should fill the parent element by default', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeGrid
+          {...defaultProps}
+          autoSize
+          height={undefined}
+          width={undefined}
+        />,
+        document.createElement('div')
+      );
+      expect(instance._outerRef.style.height).toBe('100%');
+      expect(instance._outerRef.style.width).toBe('100%');
+    });
+  });
+
   describe('itemKey', () => {
     it('should be used', () => {
       const itemKey = jest.fn(
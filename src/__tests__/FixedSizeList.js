@@ -1,8 +1,9 @@
 import React, { createRef, forwardRef, PureComponent } from 'react';
 import ReactDOM from 'react-dom';
+import ReactDOMServer from 'react-dom/server';
 import ReactTestRenderer from 'react-test-renderer';
 import ReactTestUtils from 'react-dom/test-utils';
-import { FixedSizeList } from '..';
+import { createScrollStateCache, FixedSizeList } from '..';
 
 const simulateScroll = (instance, scrollOffset, direction = 'vertical') => {
   if (direction === 'horizontal') {
@@ -402,6 +403,180 @@ describe('FixedSizeList', () => {
     });
   });
 
+  describe('layout queries', () => {
+    it('should return item offsets and sizes', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      expect(instance.getItemOffset(10)).toBe(250);
+      expect(instance.getItemSize(10)).toBe(25);
+      expect(instance.getEstimatedTotalSize()).toBe(2500);
+    });
+
+    it('should return the range of items that was last rendered', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      simulateScroll(instance, 110);
+      expect(instance.getVisibleRange()).toEqual({
+        overscanStartIndex: 3,
+        overscanStopIndex: 10,
+        visibleStartIndex: 4,
+        visibleStopIndex: 8,
+      });
+      expect(instance.getVisibleRange()).toEqual(
+        onItemsRendered.mock.calls[onItemsRendered.mock.calls.length - 1][0]
+      );
+    });
+  });
+
+  describe('scroll method promises', () => {
+    it('should resolve once the requested item has been rendered', async () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      const isComplete = await instance.scrollToItem(50);
+      expect(isComplete).toBe(true);
+      expect(instance._outerRef.scrollTop).toBe(1175);
+      expect(
+        itemRenderer.mock.calls.some(([params]) => params.index === 50)
+      ).toBe(true);
+    });
+
+    it('should resolve if the scroll offset does not change', async () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      expect(await instance.scrollTo(0)).toBe(true);
+    });
+
+    it('should resolve to false if replaced by a newer request', async () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      const promise = instance.scrollToItem(50, 'auto', { behavior: 'smooth' });
+      const newerPromise = instance.scrollToItem(10);
+      expect(await promise).toBe(false);
+      expect(await newerPromise).toBe(true);
+    });
+
+    it('should resolve to false if the list is unmounted first', async () => {
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        container
+      );
+      const promise = instance.scrollTo(500, { behavior: 'smooth' });
+      ReactDOM.unmountComponentAtNode(container);
+      expect(await promise).toBe(false);
+    });
+  });
+
+  describe('smooth scrolling', () => {
+    let currentTime;
+
+    beforeEach(() => {
+      // Animations are timed with Date.now (in environments without performance.now).
+      currentTime = 0;
+      spyOn(Date, 'now').and.callFake(() => currentTime);
+    });
+
+    const advanceTime = ms => {
+      currentTime += ms;
+      jest.runOnlyPendingTimers();
+    };
+
+    it('should animate scrollTo', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      instance.scrollTo(1000, { behavior: 'smooth', duration: 100 });
+      expect(instance.state.scrollOffset).toBe(0);
+      advanceTime(50);
+      expect(instance.state.scrollOffset).toBe(500);
+      expect(instance._outerRef.scrollTop).toBe(500);
+      advanceTime(50);
+      expect(instance.state.scrollOffset).toBe(1000);
+      expect(instance._outerRef.scrollTop).toBe(1000);
+    });
+
+    it('should support custom easing functions', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      instance.scrollTo(1000, {
+        behavior: 'smooth',
+        duration: 100,
+        easing: progress => progress,
+      });
+      advanceTime(25);
+      expect(instance.state.scrollOffset).toBe(250);
+      advanceTime(25);
+      expect(instance.state.scrollOffset).toBe(500);
+    });
+
+    it('should animate scrollToItem', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      instance.scrollToItem(50, 'start', { behavior: 'smooth' });
+      advanceTime(150);
+      expect(instance.state.scrollOffset).toBe(625);
+      advanceTime(150);
+      expect(instance.state.scrollOffset).toBe(1250);
+    });
+
+    it('should resolve scroll method promises once the animation has finished', async () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      let isComplete = null;
+      instance
+        .scrollToItem(50, 'start', { behavior: 'smooth' })
+        .then(value => (isComplete = value));
+      advanceTime(150);
+      await Promise.resolve();
+      expect(isComplete).toBe(null);
+      advanceTime(150);
+      await Promise.resolve();
+      expect(isComplete).toBe(true);
+    });
+
+    it('should stop animating when scrolled without an animation', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      instance.scrollTo(1000, { behavior: 'smooth', duration: 100 });
+      advanceTime(50);
+      instance.scrollTo(100);
+      advanceTime(50);
+      expect(instance.state.scrollOffset).toBe(100);
+    });
+
+    it('should stop animating once unmounted', () => {
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        container
+      );
+      spyOn(instance, 'setState');
+      instance.scrollTo(1000, { behavior: 'smooth', duration: 100 });
+      ReactDOM.unmountComponentAtNode(container);
+      advanceTime(100);
+      expect(instance.setState).not.toHaveBeenCalled();
+    });
+  });
+
   describe('scrollToItem method', () => {
     it('should not set invalid offsets when the list contains few items', () => {
       const onScroll = jest.fn();
@@ -579,6 +754,229 @@ describe('FixedSizeList', () => {
     });
   });
 
+  describe('anchorToEnd', () => {
+    it('should start scrolled to the end', () => {
+      const onIsAtEndChange = jest.fn();
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          anchorToEnd
+          onIsAtEndChange={onIsAtEndChange}
+        />,
+        document.createElement('div')
+      );
+      expect(instance.state.scrollOffset).toBe(2400);
+      expect(instance._outerRef.scrollTop).toBe(2400);
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+      expect(onItemsRendered.mock.calls[0][0].visibleStopIndex).toBe(99);
+      expect(onIsAtEndChange.mock.calls).toEqual([[true]]);
+    });
+
+    it('should not override an initial scroll offset', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          anchorToEnd
+          initialScrollOffset={50}
+        />,
+        document.createElement('div')
+      );
+      expect(instance.state.scrollOffset).toBe(50);
+    });
+
+    it('should follow new items while scrolled to the end', () => {
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} anchorToEnd />,
+        container
+      );
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} anchorToEnd itemCount={110} />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(2650);
+      expect(instance._outerRef.scrollTop).toBe(2650);
+    });
+
+    it('should stop following new items once scrolled away from the end', () => {
+      const onIsAtEndChange = jest.fn();
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          anchorToEnd
+          onIsAtEndChange={onIsAtEndChange}
+        />,
+        container
+      );
+      simulateScroll(instance, 1000);
+      ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          anchorToEnd
+          itemCount={110}
+          onIsAtEndChange={onIsAtEndChange}
+        />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(1000);
+
+      // Following should resume once the user scrolls back to the end.
+      simulateScroll(instance, 2650);
+      ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          anchorToEnd
+          itemCount={120}
+          onIsAtEndChange={onIsAtEndChange}
+        />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(2900);
+      expect(onIsAtEndChange.mock.calls).toEqual([[true], [false], [true]]);
+    });
+
+    it('should not follow new items unless requested', () => {
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} itemCount={4} />,
+        container
+      );
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} itemCount={10} />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(0);
+    });
+  });
+
+  describe('isStickyIndex', () => {
+    const isStickyIndex = index => index % 10 === 0;
+    const findSection = rendered =>
+      rendered.root.find(
+        node =>
+          node.type === 'div' &&
+          node.props.style != null &&
+          node.props.style.pointerEvents === 'none'
+      );
+
+    it('should render the active sticky item even when it is outside of the rendered range', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollOffset={375}
+          isStickyIndex={isStickyIndex}
+        />
+      );
+      expect(onItemsRendered.mock.calls[0][0].overscanStartIndex).toBe(13);
+      const indices = itemRenderer.mock.calls.map(([params]) => params.index);
+      expect(indices).toContain(10);
+      expect(indices).not.toContain(0);
+      expect(new Set(indices).size).toBe(indices.length);
+
+      const section = findSection(rendered);
+      expect(section.props.style).toEqual(
+        expect.objectContaining({ height: 250, top: 250 })
+      );
+      expect(section.children[0].props.index).toBe(10);
+      expect(section.children[0].props.style).toEqual(
+        expect.objectContaining({ height: 25, position: 'sticky', top: 0 })
+      );
+    });
+
+    it('should end the section of the sticky item at the next sticky item', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollOffset={450}
+          isStickyIndex={isStickyIndex}
+        />
+      );
+      // Item 20 pushes item 10 away as it reaches the top of the list.
+      expect(findSection(rendered).props.style).toEqual(
+        expect.objectContaining({ height: 250, top: 250 })
+      );
+      const indices = itemRenderer.mock.calls.map(([params]) => params.index);
+      expect(indices.filter(index => index === 20)).toHaveLength(1);
+    });
+
+    it('should end the section of the sticky item at the end of the rendered items', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollOffset={25}
+          isStickyIndex={isStickyIndex}
+        />
+      );
+      // Items 0-7 are rendered (including overscan).
+      expect(findSection(rendered).props.style).toEqual(
+        expect.objectContaining({ height: 200, top: 0 })
+      );
+    });
+
+    it('should position sticky items in horizontal rtl lists', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeList
+          {...defaultProps}
+          direction="rtl"
+          initialScrollOffset={375}
+          isStickyIndex={isStickyIndex}
+          layout="horizontal"
+        />
+      );
+      const section = findSection(rendered);
+      expect(section.props.style).toEqual(
+        expect.objectContaining({ height: '100%', right: 250, width: 250 })
+      );
+      expect(section.children[0].props.style).toEqual(
+        expect.objectContaining({ position: 'sticky', right: 0, width: 25 })
+      );
+    });
+
+    it('should only search the items scrolled past since the previous render', () => {
+      const isStickyIndexMock = jest.fn(isStickyIndex);
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollOffset={375}
+          isStickyIndex={isStickyIndexMock}
+        />
+      );
+      const instance = rendered.getInstance();
+      const searchedIndices = () =>
+        isStickyIndexMock.mock.calls
+          .map(([index]) => index)
+          .filter(index => index <= 10);
+
+      // Items 11-20 are still checked to find the end of the section.
+      isStickyIndexMock.mockClear();
+      instance.scrollTo(400);
+      expect(searchedIndices()).toEqual([]);
+      expect(findSection(rendered).children[0].props.index).toBe(10);
+
+      // Scrolling back past the sticky item searches for the previous one.
+      instance.scrollTo(200);
+      expect(findSection(rendered).children[0].props.index).toBe(0);
+
+      // A new function invalidates the previous result.
+      rendered.update(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollOffset={375}
+          isStickyIndex={index => index % 4 === 0}
+        />
+      );
+      expect(findSection(rendered).children[0].props.index).toBe(8);
+    });
+
+    it('should not render a sticky item if none precede the visible items', () => {
+      const rendered = ReactTestRenderer.create(
+        <FixedSizeList {...defaultProps} isStickyIndex={index => index > 50} />
+      );
+      expect(() => findSection(rendered)).toThrow();
+    });
+  });
+
   describe('itemKey', () => {
     it('should be used', () => {
       const itemKey = jest.fn(index => index);
@@ -820,6 +1218,573 @@ describe('FixedSizeList', () => {
     });
   });
 
+  describe('useAriaAttributes', () => {
+    it('should not describe the list or its items by default', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(<FixedSizeList {...defaultProps} />, container);
+      expect(container.firstChild.hasAttribute('role')).toBe(false);
+      expect(itemRenderer.mock.calls[0][0].ariaAttributes).toBeUndefined();
+    });
+
+    it('should describe the list and the position of each item', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} useAriaAttributes>
+          {({ ariaAttributes, index, style }) => (
+            <div {...ariaAttributes} style={style}>
+              {index}
+            </div>
+          )}
+        </FixedSizeList>,
+        container
+      );
+      const outer = container.firstChild;
+      expect(outer.getAttribute('role')).toBe('list');
+      const item = outer.firstChild.children[3];
+      expect(item.getAttribute('role')).toBe('listitem');
+      expect(item.getAttribute('aria-posinset')).toBe('4');
+      expect(item.getAttribute('aria-setsize')).toBe('100');
+    });
+
+    it('should update the set size when the item count changes', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} useAriaAttributes />,
+        container
+      );
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} itemCount={50} useAriaAttributes />,
+        container
+      );
+      expect(itemRenderer.mock.calls.pop()[0].ariaAttributes).toEqual({
+        'aria-posinset': 7,
+        'aria-setsize': 50,
+        role: 'listitem',
+      });
+    });
+
+    it('should not re-render items because of their attributes', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} useAriaAttributes />,
+        document.createElement('div')
+      );
+      itemRenderer.mockClear();
+      instance.forceUpdate();
+      expect(itemRenderer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('useKeyboardNavigation', () => {
+    const pressKey = (instance, key, options) =>
+      ReactTestUtils.Simulate.keyDown(instance._outerRef, { key, ...options });
+    const isItemActive = index =>
+      itemRenderer.mock.calls
+        .filter(([params]) => params.index === index)
+        .pop()[0].isActive;
+
+    it('should not pass isActive to items unless enabled', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      expect(itemRenderer.mock.calls[0][0].isActive).toBeUndefined();
+      expect(instance._outerRef.hasAttribute('tabindex')).toBe(false);
+      pressKey(instance, 'ArrowDown');
+      expect(instance.state.activeIndex).toBe(0);
+    });
+
+    it('should make the list focusable and mark the first item as active', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      expect(instance._outerRef.getAttribute('tabindex')).toBe('0');
+      expect(isItemActive(0)).toBe(true);
+      expect(isItemActive(1)).toBe(false);
+    });
+
+    it('should move the active item with the arrow keys and scroll it into view', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      for (let i = 0; i < 5; i++) {
+        pressKey(instance, 'ArrowDown');
+      }
+      expect(instance.state.activeIndex).toBe(5);
+      expect(instance.state.scrollOffset).toBe(50);
+      expect(isItemActive(0)).toBe(false);
+      expect(isItemActive(5)).toBe(true);
+
+      pressKey(instance, 'ArrowUp');
+      expect(instance.state.activeIndex).toBe(4);
+      expect(instance.state.scrollOffset).toBe(50);
+    });
+
+    it('should move the active item by a page and to the first and last items', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      pressKey(instance, 'PageDown');
+      expect(instance.state.activeIndex).toBe(4);
+      pressKey(instance, 'End');
+      expect(instance.state.activeIndex).toBe(99);
+      expect(instance.state.scrollOffset).toBe(2400);
+      // Items 96-99 are visible.
+      pressKey(instance, 'PageUp');
+      expect(instance.state.activeIndex).toBe(96);
+      pressKey(instance, 'Home', { ctrlKey: true });
+      expect(instance.state.activeIndex).toBe(0);
+      expect(instance.state.scrollOffset).toBe(0);
+    });
+
+    it('should not move the active item past the first or last item', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} itemCount={3} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      pressKey(instance, 'ArrowUp');
+      expect(instance.state.activeIndex).toBe(0);
+      pressKey(instance, 'PageDown');
+      expect(instance.state.activeIndex).toBe(2);
+    });
+
+    it('should use the arrow keys that match the direction of horizontal lists', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          direction="rtl"
+          layout="horizontal"
+          useKeyboardNavigation
+        />,
+        document.createElement('div')
+      );
+      pressKey(instance, 'ArrowDown');
+      expect(instance.state.activeIndex).toBe(0);
+      pressKey(instance, 'ArrowLeft');
+      expect(instance.state.activeIndex).toBe(1);
+      pressKey(instance, 'ArrowRight');
+      expect(instance.state.activeIndex).toBe(0);
+    });
+
+    it('should prevent the default behavior of handled keys only', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} useKeyboardNavigation />,
+        document.createElement('div')
+      );
+      const preventDefault = jest.fn();
+      pressKey(instance, 'Tab', { preventDefault });
+      expect(preventDefault).not.toHaveBeenCalled();
+      pressKey(instance, 'ArrowDown', { preventDefault });
+      expect(preventDefault).toHaveBeenCalled();
+    });
+  });
+
+  describe('server rendering', () => {
+    it('should hydrate the server markup without warnings', () => {
+      const element = <FixedSizeList {...defaultProps} serverItemCount={2} />;
+      const container = document.createElement('div');
+      container.innerHTML = ReactDOMServer.renderToString(element);
+      spyOn(console, 'error');
+      ReactDOM.hydrate(element, container);
+      expect(console.error).not.toHaveBeenCalled();
+      // Once mounted, the list is rendered again based on its actual size.
+      expect(onItemsRendered.mock.calls).toEqual([
+        [
+          {
+            overscanStartIndex: 0,
+            overscanStopIndex: 6,
+            visibleStartIndex: 0,
+            visibleStopIndex: 4,
+          },
+        ],
+      ]);
+      expect(container.firstChild.firstChild.children).toHaveLength(7);
+    });
+  });
+
+  describe('autoSize', () => {
+    let observers;
+
+    beforeEach(() => {
+      Object.defineProperties(HTMLElement.prototype, {
+        offsetHeight: {
+          configurable: true,
+          get: function() {
+            return parseInt(this.style.height, 10) || 0;
+          },
+        },
+        offsetWidth: {
+          configurable: true,
+          get: function() {
+            return parseInt(this.style.width, 10) || 0;
+          },
+        },
+      });
+
+      observers = [];
+      window.ResizeObserver = jest.fn(callback => {
+        const observer = {
+          callback,
+          disconnect: jest.fn(),
+          observe: jest.fn(),
+        };
+        observers.push(observer);
+        return observer;
+      });
+    });
+
+    afterEach(() => {
+      delete window.ResizeObserver;
+    });
+
+    it('should measure the outer element to determine which items to render', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          autoSize
+          height={undefined}
+          style={{ height: 200 }}
+        />,
+        document.createElement('div')
+      );
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+      expect(onItemsRendered.mock.calls[0][0].visibleStopIndex).toBe(8);
+
+      instance._outerRef.style.height = '100px';
+      observers[0].callback();
+      expect(onItemsRendered).toHaveBeenCalledTimes(2);
+      expect(onItemsRendered.mock.calls[1][0].visibleStopIndex).toBe(4);
+    });
+
+    it('should fill the parent element by default', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          autoSize
+          height={undefined}
+          width={undefined}
+        />,
+        document.createElement('div')
+      );
+      expect(instance._outerRef.style.height).toBe('100%');
+      expect(instance._outerRef.style.width).toBe('100%');
+    });
+
+    it('should use the measured size when scrolling to an item', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          autoSize
+          height={undefined}
+          style={{ height: 200 }}
+        />,
+        document.createElement('div')
+      );
+      instance.scrollToItem(20, 'end');
+      expect(instance.state.scrollOffset).toBe(325);
+    });
+
+    it('should stop observing the outer element once unmounted', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} autoSize height={undefined} />,
+        container
+      );
+      expect(observers).toHaveLength(1);
+      ReactDOM.unmountComponentAtNode(container);
+      expect(observers[0].disconnect).toHaveBeenCalled();
+    });
+  });
+
+  describe('scroll snapshots', () => {
+    it('should describe the scroll offset relative to the first visible item', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      simulateScroll(instance, 110);
+      expect(instance.getScrollSnapshot()).toEqual({
+        index: 4,
+        key: 4,
+        offset: 10,
+        scrollOffset: 110,
+      });
+    });
+
+    it('should restore the first visible item after items have changed', () => {
+      const itemKey = (index, data) => data[index];
+      const items = Array.from({ length: 100 }, (_, index) => `item-${index}`);
+      let instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} itemData={items} itemKey={itemKey} />,
+        document.createElement('div')
+      );
+      simulateScroll(instance, 110);
+      const snapshot = JSON.parse(JSON.stringify(instance.getScrollSnapshot()));
+      expect(snapshot.key).toBe('item-4');
+
+      // Items are added to the start of the list, and they're bigger than before.
+      onItemsRendered.mockClear();
+      instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollSnapshot={snapshot}
+          itemCount={105}
+          itemData={['a', 'b', 'c', 'd', 'e', ...items]}
+          itemKey={itemKey}
+          itemSize={50}
+        />,
+        document.createElement('div')
+      );
+      expect(instance.state.scrollOffset).toBe(460);
+      expect(instance._outerRef.scrollTop).toBe(460);
+      expect(onItemsRendered.mock.calls[0][0].visibleStartIndex).toBe(9);
+    });
+
+    it('should fall back to the raw scroll offset if the item has been removed', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          initialScrollOffset={50}
+          initialScrollSnapshot={{
+            index: 4,
+            key: 'removed',
+            offset: 10,
+            scrollOffset: 110,
+          }}
+        />,
+        document.createElement('div')
+      );
+      expect(instance.state.scrollOffset).toBe(110);
+    });
+  });
+
+  describe('scrollStateCache', () => {
+    it('should restore the scroll offset of a list that is mounted again', () => {
+      const scrollStateCache = createScrollStateCache();
+      const element = (
+        <FixedSizeList
+          {...defaultProps}
+          scrollStateCache={scrollStateCache}
+          scrollStateKey="list"
+        />
+      );
+
+      let container = document.createElement('div');
+      let instance = ReactDOM.render(element, container);
+      simulateScroll(instance, 300);
+      ReactDOM.unmountComponentAtNode(container);
+      expect(scrollStateCache.get('list')).toBe(300);
+
+      onItemsRendered.mockClear();
+      container = document.createElement('div');
+      instance = ReactDOM.render(element, container);
+      expect(instance.state.scrollOffset).toBe(300);
+      expect(instance._outerRef.scrollTop).toBe(300);
+      expect(onItemsRendered.mock.calls[0][0].visibleStartIndex).toBe(12);
+    });
+
+    it('should restore the scroll offsets of nested lists that are rendered again', () => {
+      const scrollStateCache = createScrollStateCache();
+      const innerLists = {};
+      const Row = ({ index, style }) => (
+        <div style={style}>
+          <FixedSizeList
+            height={25}
+            itemCount={100}
+            itemSize={50}
+            layout="horizontal"
+            ref={ref => (innerLists[index] = ref)}
+            scrollStateCache={scrollStateCache}
+            scrollStateKey={`row-${index}`}
+            width={100}
+          >
+            {itemRenderer}
+          </FixedSizeList>
+        </div>
+      );
+      const outerList = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          itemKey={index => `row-${index}`}
+          onItemsRendered={undefined}
+        >
+          {Row}
+        </FixedSizeList>,
+        document.createElement('div')
+      );
+
+      simulateScroll(innerLists[0], 200, 'horizontal');
+      simulateScroll(outerList, 1000);
+      expect(innerLists[0]).toBe(null);
+
+      simulateScroll(outerList, 0);
+      expect(innerLists[0].state.scrollOffset).toBe(200);
+      expect(innerLists[0]._outerRef.scrollLeft).toBe(200);
+      expect(innerLists[1].state.scrollOffset).toBe(0);
+    });
+
+    it('should swap scroll offsets when the key of a mounted list changes', () => {
+      const scrollStateCache = createScrollStateCache();
+      const container = document.createElement('div');
+      const render = scrollStateKey =>
+        ReactDOM.render(
+          <FixedSizeList
+            {...defaultProps}
+            scrollStateCache={scrollStateCache}
+            scrollStateKey={scrollStateKey}
+          />,
+          container
+        );
+
+      const instance = render('a');
+      simulateScroll(instance, 300);
+      render('b');
+      expect(instance.state.scrollOffset).toBe(0);
+      expect(instance._outerRef.scrollTop).toBe(0);
+      render('a');
+      expect(instance.state.scrollOffset).toBe(300);
+      expect(instance._outerRef.scrollTop).toBe(300);
+    });
+
+    it('should fail if a cache is specified without a key', () => {
+      spyOn(console, 'error');
+      expect(() =>
+        ReactTestRenderer.create(
+          <FixedSizeList
+            {...defaultProps}
+            scrollStateCache={createScrollStateCache()}
+          />
+        )
+      ).toThrow(
+        'An invalid "scrollStateKey" prop has been specified. ' +
+          'Lists with a scroll state cache must specify a key to store their scroll offset under. ' +
+          '"undefined" was specified.'
+      );
+    });
+  });
+
+  describe('scrollElement', () => {
+    let listTop, scrollElement;
+
+    beforeEach(() => {
+      listTop = 50;
+      scrollElement = document.createElement('div');
+      scrollElement.style.height = '100px';
+      scrollElement.getBoundingClientRect = () => ({
+        bottom: 100,
+        left: 0,
+        right: 100,
+        top: 0,
+      });
+
+      // The list starts 50px into the content of the scroll element.
+      spyOn(HTMLElement.prototype, 'getBoundingClientRect').and.callFake(
+        () => ({
+          bottom: listTop + 2500,
+          left: 0,
+          right: 50,
+          top: listTop - scrollElement.scrollTop,
+        })
+      );
+    });
+
+    it('should render the items visible within the scroll element', () => {
+      ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          height={undefined}
+          scrollElement={scrollElement}
+        />,
+        document.createElement('div')
+      );
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+      expect(onItemsRendered.mock.calls[0][0].visibleStopIndex).toBe(4);
+
+      scrollElement.scrollTop = 300;
+      scrollElement.dispatchEvent(new Event('scroll'));
+      const params = onItemsRendered.mock.calls[1][0];
+      expect(params.visibleStartIndex).toBe(10);
+      expect(params.visibleStopIndex).toBe(14);
+    });
+
+    it('should let the list grow to fit its items', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          height={undefined}
+          scrollElement={scrollElement}
+        />,
+        document.createElement('div')
+      );
+      expect(instance._outerRef.style.overflow).toBe('visible');
+      expect(instance._outerRef.firstChild.style.height).toBe('2500px');
+    });
+
+    it('should scroll the scroll element to the requested item', () => {
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} scrollElement={scrollElement} />,
+        document.createElement('div')
+      );
+      instance.scrollToItem(20, 'start');
+      expect(instance.state.scrollOffset).toBe(500);
+      expect(scrollElement.scrollTop).toBe(550);
+    });
+
+    it('should stop listening to the scroll element once unmounted', () => {
+      const container = document.createElement('div');
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} scrollElement={scrollElement} />,
+        container
+      );
+      ReactDOM.unmountComponentAtNode(container);
+      scrollElement.scrollTop = 300;
+      scrollElement.dispatchEvent(new Event('scroll'));
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+    });
+
+    it('should support the window as the scroll element', () => {
+      spyOn(window, 'scrollBy');
+      listTop = -300;
+      const instance = ReactDOM.render(
+        <FixedSizeList
+          {...defaultProps}
+          height={undefined}
+          scrollElement={window}
+        />,
+        document.createElement('div')
+      );
+      expect(instance.state.scrollOffset).toBe(300);
+      expect(instance.state.scrollElementSize).toBe(window.innerHeight);
+
+      instance.scrollTo(500);
+      expect(window.scrollBy).toHaveBeenCalledWith(0, 200);
+    });
+  });
+
+  describe('firstItemIndex', () => {
+    it('should adjust the scroll offset when items are added to or removed from the start', () => {
+      const container = document.createElement('div');
+      const instance = ReactDOM.render(
+        <FixedSizeList {...defaultProps} />,
+        container
+      );
+      instance.scrollTo(100);
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} firstItemIndex={-2} itemCount={102} />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(150);
+      expect(instance._outerRef.scrollTop).toBe(150);
+      ReactDOM.render(
+        <FixedSizeList {...defaultProps} firstItemIndex={1} itemCount={99} />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(75);
+    });
+  });
+
   describe('props validation', () => {
     beforeEach(() => spyOn(console, 'error'));
 
@@ -0,0 +1,220 @@
+import React from 'react';
+import { render } from 'react-dom';
+import { Simulate } from 'react-dom/test-utils';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  FixedSizeGrid,
+  FixedSizeList,
+  InfiniteLoader,
+  VariableSizeList,
+} from '..';
+
+const simulateScroll = (instance, scrollOffset) => {
+  instance._outerRef.scrollTop = scrollOffset;
+  Simulate.scroll(instance._outerRef);
+};
+
+// Lets pending promise callbacks run.
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('InfiniteLoader', () => {
+  let isItemLoaded, itemRenderer, loadedItems, loadMoreItems, resolveLoads;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      clientHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      scrollHeight: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+    });
+
+    loadedItems = new Set();
+    resolveLoads = [];
+    isItemLoaded = jest.fn(index => loadedItems.has(index));
+    itemRenderer = jest.fn(() => null);
+    loadMoreItems = jest.fn(
+      (startIndex, stopIndex) =>
+        new Promise(resolve =>
+          resolveLoads.push(() => {
+            for (let index = startIndex; index <= stopIndex; index++) {
+              loadedItems.add(index);
+            }
+            resolve();
+          })
+        )
+    );
+  });
+
+  const renderList = (props = {}, List = FixedSizeList, listProps = {}) => {
+    let list = null;
+    const container = document.createElement('div');
+    render(
+      <InfiniteLoader
+        isItemLoaded={isItemLoaded}
+        itemCount={100}
+        loadMoreItems={loadMoreItems}
+        {...props}
+      >
+        {({ onItemsRendered, ref }) => (
+          <List
+            height={100}
+            itemCount={100}
+            itemSize={List === FixedSizeList ? 25 : () => 25}
+            onItemsRendered={onItemsRendered}
+            ref={instance => {
+              list = instance;
+              ref(instance);
+            }}
+            width={100}
+            {...listProps}
+          >
+            {itemRenderer}
+          </List>
+        )}
+      </InfiniteLoader>,
+      container
+    );
+    return list;
+  };
+
+  it('should load the visible items and those within the threshold', () => {
+    renderList({ threshold: 5 });
+    // Items 0-4 are visible.
+    expect(loadMoreItems).toHaveBeenCalledTimes(1);
+    expect(loadMoreItems).toHaveBeenCalledWith(0, 9);
+  });
+
+  it('should only load ranges of items that have not been loaded', () => {
+    [2, 3, 7].forEach(index => loadedItems.add(index));
+    renderList({ minimumBatchSize: 1, threshold: 5 });
+    expect(loadMoreItems.mock.calls).toEqual([[0, 1], [4, 6], [8, 9]]);
+  });
+
+  it('should extend ranges to fill the minimum batch size', () => {
+    for (let index = 0; index < 8; index++) {
+      loadedItems.add(index);
+    }
+    renderList({ minimumBatchSize: 10, threshold: 5 });
+    expect(loadMoreItems.mock.calls).toEqual([[8, 17]]);
+  });
+
+  it('should extend the first range backward to fill the minimum batch size', () => {
+    for (let index = 0; index < 100; index++) {
+      if (index < 93 || index > 96) {
+        loadedItems.add(index);
+      }
+    }
+    const list = renderList({ minimumBatchSize: 10, threshold: 0 });
+    expect(loadMoreItems).not.toHaveBeenCalled();
+    // Items 96-99 are visible but only 96 is missing, and there are no items after 99.
+    // So the range is extended backward until it reaches items that have already been loaded.
+    simulateScroll(list, 2400);
+    expect(loadMoreItems.mock.calls).toEqual([[93, 96]]);
+  });
+
+  it('should not request items that are already being loaded', () => {
+    const list = renderList({ minimumBatchSize: 1, threshold: 5 });
+    expect(loadMoreItems.mock.calls).toEqual([[0, 9]]);
+    simulateScroll(list, 50);
+    // Items 2-6 are visible, so items 0-11 are needed.
+    expect(loadMoreItems.mock.calls).toEqual([[0, 9], [10, 11]]);
+  });
+
+  it('should refresh the list once visible items have loaded', async () => {
+    const list = renderList({}, VariableSizeList);
+    spyOn(list, 'resetAfterIndex').and.callThrough();
+    spyOn(list, 'forceUpdate');
+    resolveLoads.forEach(resolveLoad => resolveLoad());
+    await flushPromises();
+    expect(list.resetAfterIndex).toHaveBeenCalledWith(0, false);
+    expect(list.forceUpdate).toHaveBeenCalled();
+  });
+
+  it('should re-measure variable size lists once items that are no longer visible have loaded', async () => {
+    // Loaded items are taller than the placeholders for them.
+    const list = renderList(
+      { minimumBatchSize: 1, threshold: 0 },
+      VariableSizeList,
+      {
+        itemSize: index => (loadedItems.has(index) ? 50 : 25),
+      }
+    );
+    expect(loadMoreItems.mock.calls).toEqual([[0, 3]]);
+    simulateScroll(list, 1000);
+    spyOn(list, 'forceUpdate');
+    resolveLoads[0]();
+    await flushPromises();
+    expect(list.forceUpdate).not.toHaveBeenCalled();
+
+    // Items after the loaded ones are shifted by their new sizes the next time the list renders.
+    itemRenderer.mockClear();
+    simulateScroll(list, 1025);
+    const [{ style }] = itemRenderer.mock.calls.find(
+      ([{ index }]) => index === 40
+    );
+    expect(style.top).toBe(4 * 50 + 36 * 25);
+  });
+
+  it('should refresh fixed size lists by re-rendering them', async () => {
+    const list = renderList();
+    spyOn(list, 'forceUpdate');
+    resolveLoads.forEach(resolveLoad => resolveLoad());
+    await flushPromises();
+    expect(list.forceUpdate).toHaveBeenCalled();
+  });
+
+  it('should not refresh the list if the loaded items are no longer visible', async () => {
+    const list = renderList({ minimumBatchSize: 1, threshold: 0 });
+    expect(loadMoreItems.mock.calls).toEqual([[0, 4]]);
+    simulateScroll(list, 1000);
+    spyOn(list, 'forceUpdate');
+    resolveLoads[0]();
+    await flushPromises();
+    expect(list.forceUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should request items again if loading them failed', async () => {
+    loadMoreItems = jest.fn(() => Promise.reject());
+    const list = renderList({ minimumBatchSize: 1, threshold: 0 });
+    await flushPromises();
+    simulateScroll(list, 25);
+    expect(loadMoreItems.mock.calls).toEqual([[0, 4], [1, 5]]);
+  });
+
+  it('should load the rows of grids', () => {
+    ReactTestRenderer.create(
+      <InfiniteLoader
+        isItemLoaded={isItemLoaded}
+        itemCount={100}
+        loadMoreItems={loadMoreItems}
+        threshold={5}
+      >
+        {({ onItemsRendered, ref }) => (
+          <FixedSizeGrid
+            columnCount={100}
+            columnWidth={100}
+            height={100}
+            onItemsRendered={onItemsRendered}
+            ref={ref}
+            rowCount={100}
+            rowHeight={25}
+            width={100}
+          >
+            {itemRenderer}
+          </FixedSizeGrid>
+        )}
+      </InfiniteLoader>
+    );
+    expect(loadMoreItems.mock.calls).toEqual([[0, 9]]);
+  });
+});
@@ -0,0 +1,317 @@
+import React, { createRef, PureComponent } from 'react';
+import { render } from 'react-dom';
+import { Simulate } from 'react-dom/test-utils';
+import ReactTestRenderer from 'react-test-renderer';
+import { Masonry } from '..';
+
+const HEIGHTS = [40, 60, 20, 50];
+
+const simulateScroll = (instance, scrollOffset) => {
+  instance._outerRef.scrollTop = scrollOffset;
+  Simulate.scroll(instance._outerRef);
+};
+
+describe('Masonry', () => {
+  let itemRenderer, itemHeight, defaultProps, onItemsRendered;
+
+  // Use PureComponent to test memoization.
+  // Pass through to itemRenderer mock for easier test assertions.
+  class PureItemRenderer extends PureComponent {
+    render() {
+      return itemRenderer(this.props);
+    }
+  }
+
+  const getRenderedIndices = () =>
+    itemRenderer.mock.calls.map(([{ index }]) => index);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      clientHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      scrollHeight: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+    });
+
+    itemRenderer = jest.fn(({ style, ...rest }) => (
+      <div style={style}>{JSON.stringify(rest, null, 2)}</div>
+    ));
+    itemHeight = jest.fn(index => HEIGHTS[index % HEIGHTS.length]);
+    onItemsRendered = jest.fn();
+    defaultProps = {
+      children: PureItemRenderer,
+      columnCount: 3,
+      columnWidth: 100,
+      height: 100,
+      itemCount: 100,
+      itemHeight,
+      onItemsRendered,
+      overscanCount: 1,
+      width: 300,
+    };
+  });
+
+  it('should render an empty layout', () => {
+    ReactTestRenderer.create(<Masonry {...defaultProps} itemCount={0} />);
+    expect(itemHeight).not.toHaveBeenCalled();
+    expect(itemRenderer).not.toHaveBeenCalled();
+    expect(onItemsRendered).not.toHaveBeenCalled();
+  });
+
+  it('should place each item into the shortest column', () => {
+    ReactTestRenderer.create(<Masonry {...defaultProps} />);
+    const styles = {};
+    itemRenderer.mock.calls.forEach(([{ index, style }]) => {
+      styles[index] = style;
+    });
+    expect(styles[3]).toEqual({
+      position: 'absolute',
+      left: 200,
+      top: 20,
+      height: 50,
+      width: 100,
+    });
+    expect(styles[7]).toMatchObject({ left: 0, top: 80 });
+    expect(styles[8]).toMatchObject({ left: 200, top: 90 });
+    // Columns 0 and 2 have the same height here, so the left-most one is used.
+    expect(styles[10]).toMatchObject({ left: 0, top: 130 });
+  });
+
+  it('should only place items that are needed to render the visible range', () => {
+    ReactTestRenderer.create(<Masonry {...defaultProps} itemCount={1000} />);
+    expect(itemHeight.mock.calls.length).toBeLessThan(20);
+  });
+
+  it('should render the items that intersect the viewport (plus overscan)', () => {
+    const instance = render(
+      <Masonry {...defaultProps} />,
+      document.createElement('div')
+    );
+    // Items 0-8 are visible, and items 9-11 are the next ones in each column.
+    expect(getRenderedIndices()).toEqual([
+      0,
+      1,
+      2,
+      3,
+      4,
+      5,
+      6,
+      7,
+      8,
+      9,
+      10,
+      11,
+    ]);
+    expect(onItemsRendered.mock.calls).toEqual([
+      [
+        {
+          overscanStartIndex: 0,
+          overscanStopIndex: 11,
+          visibleStartIndex: 0,
+          visibleStopIndex: 8,
+        },
+      ],
+    ]);
+
+    itemRenderer.mockClear();
+    onItemsRendered.mockClear();
+    simulateScroll(instance, 200);
+    // Item 9 was already rendered as overscan.
+    // Item 14 ends at the top of the viewport, so it's only rendered as overscan.
+    expect(getRenderedIndices()).toEqual([
+      12,
+      13,
+      14,
+      15,
+      16,
+      17,
+      18,
+      19,
+      20,
+      21,
+      22,
+      23,
+      26,
+    ]);
+    expect(onItemsRendered.mock.calls).toEqual([
+      [
+        {
+          overscanStartIndex: 9,
+          overscanStopIndex: 26,
+          visibleStartIndex: 13,
+          visibleStopIndex: 21,
+        },
+      ],
+    ]);
+  });
+
+  it('should position items from the right for rtl direction', () => {
+    ReactTestRenderer.create(<Masonry {...defaultProps} direction="rtl" />);
+    expect(itemRenderer.mock.calls[3][0].style).toEqual({
+      position: 'absolute',
+      right: 200,
+      top: 20,
+      height: 50,
+      width: 100,
+    });
+  });
+
+  it('should estimate the total height of items that have not been placed yet', () => {
+    const rendered = ReactTestRenderer.create(
+      <Masonry {...defaultProps} estimatedItemHeight={30} />
+    );
+    // Items 0-11 have been placed (the tallest column ends at 180),
+    // And the other 88 items are estimated to add 30 rows.
+    expect(rendered.toJSON().children[0].props.style.height).toBe(1080);
+  });
+
+  describe('scrollToItem method', () => {
+    it('should scroll to the column offset of an item', async () => {
+      const ref = createRef();
+      render(
+        <Masonry {...defaultProps} ref={ref} />,
+        document.createElement('div')
+      );
+
+      // Item 21 is at 290-350.
+      const promise = ref.current.scrollToItem(21, 'start');
+      expect(ref.current.state.scrollOffset).toBe(290);
+      expect(ref.current._outerRef.scrollTop).toBe(290);
+      expect(onItemsRendered.mock.calls[1][0]).toMatchObject({
+        visibleStartIndex: 17,
+      });
+      await expect(promise).resolves.toBe(true);
+
+      ref.current.scrollToItem(21, 'end');
+      expect(ref.current.state.scrollOffset).toBe(250);
+
+      ref.current.scrollToItem(21, 'auto');
+      expect(ref.current.state.scrollOffset).toBe(250);
+
+      ref.current.scrollToItem(0);
+      expect(ref.current.state.scrollOffset).toBe(0);
+    });
+
+    it('should place the items before the target item', () => {
+      const ref = createRef();
+      ReactTestRenderer.create(
+        <Masonry {...defaultProps} itemCount={1000} ref={ref} />
+      );
+      itemHeight.mockClear();
+      ref.current.scrollToItem(500, 'start');
+      expect(itemHeight).toHaveBeenCalledWith(500);
+      expect(itemHeight).not.toHaveBeenCalledWith(999);
+    });
+  });
+
+  describe('resetAfterIndex method', () => {
+    it('should place items again after their heights have changed', () => {
+      const ref = createRef();
+      ReactTestRenderer.create(<Masonry {...defaultProps} ref={ref} />);
+      itemHeight.mockImplementation(() => 25);
+      itemRenderer.mockClear();
+      ref.current.resetAfterIndex(4);
+
+      // Items 0-3 keep their positions (and aren't re-rendered),
+      // The items after them are placed into the shortest columns again.
+      const styles = {};
+      itemRenderer.mock.calls.forEach(([{ index, style }]) => {
+        styles[index] = style;
+      });
+      expect(styles[0]).toBeUndefined();
+      expect(styles[4]).toMatchObject({ height: 25, left: 0, top: 40 });
+      expect(styles[5]).toMatchObject({ height: 25, left: 100, top: 60 });
+      expect(styles[6]).toMatchObject({ height: 25, left: 0, top: 65 });
+    });
+
+    it('should not re-render if shouldForceUpdate is false', () => {
+      const ref = createRef();
+      ReactTestRenderer.create(<Masonry {...defaultProps} ref={ref} />);
+      itemRenderer.mockClear();
+      ref.current.resetAfterIndex(0, false);
+      expect(itemRenderer).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should place items again when the number of columns changes', () => {
+    const rendered = ReactTestRenderer.create(<Masonry {...defaultProps} />);
+    itemRenderer.mockClear();
+    rendered.update(<Masonry {...defaultProps} columnCount={2} width={200} />);
+    const styles = {};
+    itemRenderer.mock.calls.forEach(([{ index, style }]) => {
+      styles[index] = style;
+    });
+    expect(styles[2]).toMatchObject({ left: 0, top: 40 });
+    expect(styles[3]).toMatchObject({ left: 0, top: 60 });
+  });
+
+  it('should only place new items when items are appended', () => {
+    const rendered = ReactTestRenderer.create(
+      <Masonry {...defaultProps} itemCount={5} />
+    );
+    itemHeight.mockClear();
+    rendered.update(<Masonry {...defaultProps} itemCount={10} />);
+    expect(itemHeight.mock.calls.map(([index]) => index)).toEqual([
+      5,
+      6,
+      7,
+      8,
+      9,
+    ]);
+  });
+
+  it('should only describe the list and its items with useAriaAttributes', () => {
+    const container = document.createElement('div');
+    render(<Masonry {...defaultProps} />, container);
+    expect(container.firstChild.hasAttribute('role')).toBe(false);
+    expect(itemRenderer.mock.calls[0][0].ariaAttributes).toBeUndefined();
+
+    render(<Masonry {...defaultProps} useAriaAttributes />, container);
+    expect(container.firstChild.getAttribute('role')).toBe('list');
+    expect(itemRenderer.mock.calls.pop()[0].ariaAttributes).toEqual(
+      expect.objectContaining({ 'aria-setsize': 100, role: 'listitem' })
+    );
+  });
+
+  describe('props validation', () => {
+    beforeEach(() => spyOn(console, 'error'));
+
+    it('should fail if itemHeight is not a function', () => {
+      expect(() =>
+        ReactTestRenderer.create(<Masonry {...defaultProps} itemHeight={50} />)
+      ).toThrow(
+        'An invalid "itemHeight" prop has been specified. ' +
+          'Value should be a function. "number" was specified.'
+      );
+    });
+
+    it('should fail if columnCount is less than 1', () => {
+      expect(() =>
+        ReactTestRenderer.create(<Masonry {...defaultProps} columnCount={0} />)
+      ).toThrow(
+        'An invalid "columnCount" prop has been specified. ' +
+          'Value should be a number greater than 0. "0" was specified.'
+      );
+    });
+
+    it('should fail if height is not a number', () => {
+      expect(() =>
+        ReactTestRenderer.create(<Masonry {...defaultProps} height="100%" />)
+      ).toThrow(
+        'An invalid "height" prop has been specified. ' +
+          'Masonry layouts must specify a number for height. ' +
+          '"string" was specified.'
+      );
+    });
+  });
+});
@@ -518,15 +518,364 @@ describe('VariableSizeGrid', () => {
         />
       );
       // Reset styles for columns and rows 4 and 5.
-      // And verify that the affected rows are re-rendered with new styles.
+      // And verify that only the affected cells are re-rendered with new styles.
       itemRenderer.mockClear();
       rendered.getInstance().resetAfterIndices({ columnIndex: 3, rowIndex: 3 });
-      expect(itemRenderer).toHaveBeenCalledTimes(25);
+      expect(itemRenderer).toHaveBeenCalledTimes(16);
       expect(findItemRendererCall(3, 3).style.height).toBe(35);
       expect(findItemRendererCall(3, 3).style.width).toBe(75);
     });
   });
 
+  describe('resetColumnIndex and resetRowIndex methods', () => {
+    it('should only recalculate the size of the specified column or row', () => {
+      [false, true].forEach(useOffsetTree => {
+        const rendered = ReactTestRenderer.create(
+          <VariableSizeGrid
+            {...defaultProps}
+            columnWidth={() => 50}
+            rowHeight={() => 25}
+            useOffsetTree={useOffsetTree}
+          />
+        );
+        const columnWidth = jest.fn(index => (index === 1 ? 80 : 10));
+        const rowHeight = jest.fn(index => (index === 2 ? 40 : 10));
+        rendered.update(
+          <VariableSizeGrid
+            {...defaultProps}
+            columnWidth={columnWidth}
+            rowHeight={rowHeight}
+            useOffsetTree={useOffsetTree}
+          />
+        );
+        itemRenderer.mockClear();
+        rendered.getInstance().resetColumnIndex(1);
+        rendered.getInstance().resetRowIndex(2);
+        expect(columnWidth.mock.calls).toEqual([[1]]);
+        expect(rowHeight.mock.calls).toEqual([[2]]);
+        // Cells before the reset column and row are not re-rendered,
+        // And the cells after them keep their sizes but are shifted.
+        expect(
+          itemRenderer.mock.calls.some(
+            ([{ columnIndex, rowIndex }]) => columnIndex === 0 && rowIndex === 0
+          )
+        ).toBe(false);
+        const [[{ style }]] = itemRenderer.mock.calls
+          .filter(
+            ([{ columnIndex, rowIndex }]) => columnIndex === 2 && rowIndex === 3
+          )
+          .slice(-1);
+        expect(style).toMatchObject({
+          height: 25,
+          left: 130,
+          top: 90,
+          width: 50,
+        });
+      });
+    });
+
+    it('should only update a single node of the offset tree', () => {
+      const instance = ReactTestRenderer.create(
+        <VariableSizeGrid {...defaultProps} useOffsetTree={true} />
+      ).getInstance();
+      instance.scrollToItem({ columnIndex: 9, rowIndex: 19 });
+
+      const setSize = jest.spyOn(
+        instance._instanceProps.rowOffsetTree,
+        'setSize'
+      );
+      rowHeight.mockClear();
+      instance.resetRowIndex(0);
+      expect(instance._instanceProps.rowOffsetTree.getOffset(20)).toBe(
+        25 * 20 + 19 * 20 / 2
+      );
+      expect(rowHeight.mock.calls).toEqual([[0]]);
+      expect(setSize.mock.calls).toEqual([[0, 25]]);
+    });
+  });
+
+  describe('useOffsetTree', () => {
+    it('should render the same cells as the default storage', () => {
+      const renderedStyles = [];
+      [false, true].forEach(useOffsetTree => {
+        itemRenderer.mockClear();
+        const instance = render(
+          <VariableSizeGrid
+            {...defaultProps}
+            columnCount={50}
+            rowCount={100}
+            useOffsetTree={useOffsetTree}
+          />,
+          document.createElement('div')
+        );
+        simulateScroll(instance, { scrollLeft: 120, scrollTop: 250 });
+        instance.scrollToItem({
+          align: 'center',
+          columnIndex: 30,
+          rowIndex: 60,
+        });
+        simulateScroll(instance, { scrollLeft: 500, scrollTop: 1000 });
+        instance.resetAfterIndices({ columnIndex: 5, rowIndex: 20 });
+        renderedStyles.push(
+          itemRenderer.mock.calls.map(([{ columnIndex, rowIndex, style }]) => [
+            rowIndex,
+            columnIndex,
+            style,
+          ])
+        );
+      });
+      expect(renderedStyles[1]).toEqual(renderedStyles[0]);
+    });
+
+    it('should only recalculate the sizes after the reset indices', () => {
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeGrid {...defaultProps} useOffsetTree={true} />
+      );
+      columnWidth.mockClear();
+      rowHeight.mockClear();
+      rendered.getInstance().resetAfterIndices({ columnIndex: 2, rowIndex: 3 });
+      expect(columnWidth).not.toHaveBeenCalledWith(1);
+      expect(columnWidth).toHaveBeenCalledWith(2);
+      expect(rowHeight).not.toHaveBeenCalledWith(2);
+      expect(rowHeight).toHaveBeenCalledWith(3);
+      expect(findScrollContainer(rendered).props.style).toMatchObject({
+        // Rows 0-3 (plus the overscanned row) have been measured, the other 15 rows are estimated.
+        height: 25 + 26 + 27 + 28 + 29 + 15 * 50,
+      });
+    });
+  });
+
+  describe('useScrollAnchoring', () => {
+    const renderScrolledGrid = (props = {}) => {
+      const container = document.createElement('div');
+      const instance = render(
+        <VariableSizeGrid {...defaultProps} {...props} />,
+        container
+      );
+      // Column 2 (offset 101) and row 3 (offset 78) contain the first visible cell.
+      instance.scrollTo({ scrollLeft: 120, scrollTop: 100 });
+      // Supplying new size functions alone should not impact anything.
+      render(
+        <VariableSizeGrid
+          {...defaultProps}
+          {...props}
+          columnWidth={() => 100}
+          rowHeight={() => 50}
+        />,
+        container
+      );
+      return instance;
+    };
+
+    it('should keep the first visible cell in place when rows or columns before it change size', () => {
+      const instance = renderScrolledGrid({ useScrollAnchoring: true });
+      instance.resetAfterIndices({ columnIndex: 0, rowIndex: 0 });
+      // Column 2 is now at offset 200 and row 3 is at offset 150.
+      expect(instance.state.scrollLeft).toBe(219);
+      expect(instance.state.scrollTop).toBe(172);
+      expect(instance._outerRef.scrollLeft).toBe(219);
+      expect(instance._outerRef.scrollTop).toBe(172);
+    });
+
+    it('should only adjust the axis that changed', () => {
+      const instance = renderScrolledGrid({ useScrollAnchoring: true });
+      instance.resetAfterRowIndex(0);
+      expect(instance.state.scrollLeft).toBe(120);
+      expect(instance.state.scrollTop).toBe(172);
+    });
+
+    it('should not adjust scroll offsets unless requested', () => {
+      const instance = renderScrolledGrid();
+      instance.resetAfterIndices({ columnIndex: 0, rowIndex: 0 });
+      expect(instance.state.scrollLeft).toBe(120);
+      expect(instance.state.scrollTop).toBe(100);
+    });
+  });
+
+  describe('getCellSpan', () => {
+    const findItemRendererCalls = (rowIndex, columnIndex) =>
+      itemRenderer.mock.calls.filter(
+        ([params]) =>
+          params.rowIndex === rowIndex && params.columnIndex === columnIndex
+      );
+
+    it('should render a merged cell across the rows and columns it spans', () => {
+      const getCellSpan = ({ columnIndex, rowIndex }) =>
+        columnIndex < 2 && rowIndex < 2
+          ? { columnIndex: 0, columnSpan: 2, rowIndex: 0, rowSpan: 2 }
+          : null;
+      ReactTestRenderer.create(
+        <VariableSizeGrid {...defaultProps} getCellSpan={getCellSpan} />
+      );
+
+      expect(findItemRendererCalls(0, 0)).toHaveLength(1);
+      expect(findItemRendererCall(0, 0).style).toEqual({
+        position: 'absolute',
+        left: 0,
+        top: 0,
+        height: 51,
+        width: 101,
+      });
+      expect(findItemRendererCalls(0, 1)).toHaveLength(0);
+      expect(findItemRendererCalls(1, 0)).toHaveLength(0);
+      expect(findItemRendererCalls(1, 1)).toHaveLength(0);
+      expect(findItemRendererCall(0, 2).style).toMatchObject({
+        height: 25,
+        left: 101,
+        top: 0,
+        width: 52,
+      });
+    });
+
+    it('should render a merged cell whose first cell is outside of the range', () => {
+      const getCellSpan = ({ columnIndex, rowIndex }) =>
+        columnIndex === 0 && rowIndex < 10
+          ? { columnIndex: 0, columnSpan: 1, rowIndex: 0, rowSpan: 10 }
+          : null;
+      ReactTestRenderer.create(
+        <VariableSizeGrid
+          {...defaultProps}
+          getCellSpan={getCellSpan}
+          initialScrollTop={200}
+        />
+      );
+
+      expect(onItemsRendered.mock.calls[0][0]).toMatchObject({
+        overscanRowStartIndex: 6,
+        visibleRowStartIndex: 7,
+      });
+      expect(findItemRendererCalls(0, 0)).toHaveLength(1);
+      expect(findItemRendererCall(0, 0).style).toMatchObject({
+        height: 295,
+        top: 0,
+      });
+      expect(findItemRendererCalls(7, 0)).toHaveLength(0);
+      expect(findItemRendererCall(10, 0).style).toMatchObject({ top: 295 });
+    });
+
+    it('should render merged cells that start in sticky rows with the sticky rows', () => {
+      const getCellSpan = ({ columnIndex, rowIndex }) =>
+        rowIndex < 2 && columnIndex < 3
+          ? { columnIndex: 0, columnSpan: 3, rowIndex: 0, rowSpan: 2 }
+          : null;
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeGrid
+          {...defaultProps}
+          getCellSpan={getCellSpan}
+          stickyRowCount={1}
+        />
+      );
+
+      expect(findItemRendererCalls(0, 0)).toHaveLength(1);
+      expect(findItemRendererCall(0, 0).style).toMatchObject({
+        height: 51,
+        width: 153,
+      });
+      expect(findItemRendererCalls(1, 0)).toHaveLength(0);
+
+      const stickyRows = rendered.root.findAll(
+        element =>
+          element.type === 'div' &&
+          element.props.style != null &&
+          element.props.style.position === 'sticky'
+      );
+      expect(stickyRows).toHaveLength(1);
+      expect(
+        stickyRows[0]
+          .findAllByType(PureItemRenderer)
+          .map(item => [item.props.rowIndex, item.props.columnIndex])
+      ).toEqual([[0, 0], [0, 3], [0, 4]]);
+    });
+
+    it('should update styles when getCellSpan changes', () => {
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeGrid
+          {...defaultProps}
+          getCellSpan={() => ({
+            columnIndex: 0,
+            columnSpan: 2,
+            rowIndex: 0,
+            rowSpan: 1,
+          })}
+        />
+      );
+      itemRenderer.mockClear();
+      rendered.update(<VariableSizeGrid {...defaultProps} />);
+
+      expect(findItemRendererCall(0, 0).style).toMatchObject({
+        height: 25,
+        width: 50,
+      });
+      expect(findItemRendererCalls(0, 1)).toHaveLength(1);
+    });
+
+    it('should only evict the styles of merged cells that span into the reset rows or columns', () => {
+      const getCellSpan = ({ columnIndex, rowIndex }) =>
+        columnIndex === 0 && rowIndex < 3
+          ? { columnIndex: 0, columnSpan: 1, rowIndex: 0, rowSpan: 3 }
+          : null;
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeGrid
+          {...defaultProps}
+          columnWidth={index => 50}
+          getCellSpan={getCellSpan}
+          rowHeight={index => 25}
+        />
+      );
+      rendered.update(
+        <VariableSizeGrid
+          {...defaultProps}
+          columnWidth={index => 50}
+          getCellSpan={getCellSpan}
+          rowHeight={index => 35}
+        />
+      );
+
+      itemRenderer.mockClear();
+      rendered.getInstance().resetAfterRowIndex(2);
+
+      // The merged cell spans into row 2, but the other cells of rows 0 and 1 keep their styles.
+      expect(findItemRendererCall(0, 0).style.height).toBe(25 + 25 + 35);
+      expect(findItemRendererCalls(0, 1)).toHaveLength(0);
+      expect(findItemRendererCalls(1, 1)).toHaveLength(0);
+      // Rows 2-4 (without the cell covered by the merged cell) and the merged cell are re-rendered.
+      expect(itemRenderer).toHaveBeenCalledTimes(3 * 5 - 1 + 1);
+    });
+
+    it('should only re-render cells whose spans changed when an inline getCellSpan is re-created', () => {
+      const renderGrid = columnSpan => (
+        <VariableSizeGrid
+          {...defaultProps}
+          getCellSpan={({ columnIndex, rowIndex }) =>
+            rowIndex === 0 && columnIndex < columnSpan
+              ? { columnIndex: 0, columnSpan, rowIndex: 0, rowSpan: 1 }
+              : null
+          }
+        />
+      );
+      const rendered = ReactTestRenderer.create(renderGrid(2));
+      const mergedCellStyle = findItemRendererCall(0, 0).style;
+
+      // A new callback that returns the same spans keeps the cached styles, so pure cells aren't re-rendered.
+      itemRenderer.mockClear();
+      rendered.update(renderGrid(2));
+      expect(itemRenderer).not.toHaveBeenCalled();
+
+      itemRenderer.mockClear();
+      rendered.update(renderGrid(3));
+      expect(itemRenderer).toHaveBeenCalledTimes(1);
+      expect(findItemRendererCall(0, 0).style).not.toBe(mergedCellStyle);
+      expect(findItemRendererCall(0, 0).style).toMatchObject({ width: 153 });
+
+      itemRenderer.mockClear();
+      rendered.update(<VariableSizeGrid {...defaultProps} />);
+      expect(findItemRendererCall(0, 0).style).toMatchObject({ width: 50 });
+      expect(findItemRendererCalls(0, 1)).toHaveLength(1);
+      expect(findItemRendererCalls(0, 2)).toHaveLength(1);
+      expect(findItemRendererCalls(1, 1)).toHaveLength(0);
+    });
+  });
+
   describe('props validation', () => {
     beforeEach(() => spyOn(console, 'error'));
 
@@ -216,6 +216,59 @@ describe('VariableSizeList', () => {
     });
   });
 
+  describe('smooth scrolling', () => {
+    let currentTime;
+
+    beforeEach(() => {
+      // Animations are timed with Date.now (in environments without performance.now).
+      currentTime = 0;
+      spyOn(Date, 'now').and.callFake(() => currentTime);
+    });
+
+    const advanceTime = ms => {
+      currentTime += ms;
+      jest.runOnlyPendingTimers();
+    };
+
+    it('should re-calculate the target if item sizes change mid-animation', () => {
+      const itemSizes = new Array(100).fill(25);
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeList
+          {...defaultProps}
+          itemCount={100}
+          itemSize={index => itemSizes[index]}
+        />
+      );
+      const instance = rendered.getInstance();
+      instance.scrollToItem(50, 'start', { behavior: 'smooth', duration: 100 });
+      advanceTime(50);
+      expect(instance.state.scrollOffset).toBe(625);
+
+      // Items before the target grow while the list is scrolling towards it.
+      itemSizes.fill(50, 0, 10);
+      instance.resetAfterIndex(0);
+      advanceTime(50);
+      expect(instance.state.scrollOffset).toBe(1500);
+    });
+  });
+
+  describe('layout queries', () => {
+    it('should return the same estimates that are used to render', () => {
+      const instance = render(
+        <VariableSizeList {...defaultProps} />,
+        document.createElement('div')
+      );
+      // Items 0-5 have been measured, the other 14 are estimated.
+      expect(instance.getEstimatedTotalSize()).toBe(515);
+      expect(instance.getItemOffset(3)).toBe(78);
+      expect(instance.getItemSize(3)).toBe(28);
+
+      // Measuring the offset of item 10 refines the estimate.
+      expect(instance.getItemOffset(10)).toBe(295);
+      expect(instance.getEstimatedTotalSize()).toBe(555);
+    });
+  });
+
   describe('resetAfterIndex method', () => {
     it('should recalculate the estimated total size', () => {
       const itemSize = jest.fn(() => 75);
@@ -297,11 +350,343 @@ describe('VariableSizeList', () => {
         <VariableSizeList {...defaultProps} itemCount={5} itemSize={itemSize} />
       );
       // Reset styles for rows 4 and 5.
-      // And verify that the affected rows are re-rendered with new styles.
+      // And verify that only the affected rows are re-rendered with new styles.
       itemRenderer.mockClear();
       rendered.getInstance().resetAfterIndex(3);
-      expect(itemRenderer).toHaveBeenCalledTimes(5);
-      expect(itemRenderer.mock.calls[3][0].style.height).toBe(75);
+      expect(itemRenderer).toHaveBeenCalledTimes(2);
+      expect(itemRenderer.mock.calls[0][0].index).toBe(3);
+      expect(itemRenderer.mock.calls[0][0].style.height).toBe(75);
+    });
+  });
+
+  describe('resetIndex method', () => {
+    it('should only recalculate the size of the specified item', () => {
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeList {...defaultProps} itemCount={5} itemSize={() => 25} />
+      );
+      const itemSize = jest.fn(index => (index === 2 ? 50 : 10));
+      rendered.update(
+        <VariableSizeList {...defaultProps} itemCount={5} itemSize={itemSize} />
+      );
+      itemRenderer.mockClear();
+      rendered.getInstance().resetIndex(2);
+      expect(itemSize.mock.calls).toEqual([[2]]);
+      // Items 0 and 1 are not re-rendered,
+      // And items 3 and 4 keep their sizes but are shifted down.
+      expect(
+        itemRenderer.mock.calls.map(([{ index, style }]) => [
+          index,
+          style.top,
+          style.height,
+        ])
+      ).toEqual([[2, 50, 50], [3, 100, 25], [4, 125, 25]]);
+    });
+
+    it('should not recalculate sizes that have not been calculated yet', () => {
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeList {...defaultProps} />
+      );
+      itemSize.mockClear();
+      rendered.getInstance().resetIndex(15);
+      expect(itemSize).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('useOffsetTree', () => {
+    const getRenderedStyles = () =>
+      itemRenderer.mock.calls.map(([{ index, style }]) => [index, style]);
+
+    it('should render the same items as the default storage', () => {
+      const renderedStyles = [];
+      [false, true].forEach(useOffsetTree => {
+        itemRenderer.mockClear();
+        const instance = render(
+          <VariableSizeList
+            {...defaultProps}
+            itemCount={100}
+            useOffsetTree={useOffsetTree}
+          />,
+          document.createElement('div')
+        );
+        simulateScroll(instance, 250);
+        instance.scrollToItem(60, 'center');
+        simulateScroll(instance, 1000);
+        instance.resetAfterIndex(20);
+        renderedStyles.push(getRenderedStyles());
+      });
+      expect(renderedStyles[1]).toEqual(renderedStyles[0]);
+    });
+
+    it('should only recalculate the size of an item that has been reset', () => {
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeList
+          {...defaultProps}
+          itemCount={5}
+          itemSize={() => 25}
+          useOffsetTree={true}
+        />
+      );
+      const itemSize = jest.fn(index => (index === 2 ? 50 : 10));
+      rendered.update(
+        <VariableSizeList
+          {...defaultProps}
+          itemCount={5}
+          itemSize={itemSize}
+          useOffsetTree={true}
+        />
+      );
+      itemRenderer.mockClear();
+      rendered.getInstance().resetIndex(2);
+      expect(itemSize.mock.calls).toEqual([[2]]);
+      expect(
+        itemRenderer.mock.calls.map(([{ index, style }]) => [
+          index,
+          style.top,
+          style.height,
+        ])
+      ).toEqual([[2, 50, 50], [3, 100, 25], [4, 125, 25]]);
+    });
+
+    it('should keep sizes when items are prepended', () => {
+      const itemKey = index => index;
+      const rendered = ReactTestRenderer.create(
+        <VariableSizeList
+          {...defaultProps}
+          firstItemIndex={0}
+          itemCount={10}
+          itemKey={itemKey}
+          useOffsetTree={true}
+        />
+      );
+      rendered.getInstance().scrollToItem(9);
+      itemSize.mockClear();
+      rendered.update(
+        <VariableSizeList
+          {...defaultProps}
+          firstItemIndex={-2}
+          itemCount={12}
+          itemKey={itemKey}
+          useOffsetTree={true}
+        />
+      );
+      expect(itemSize.mock.calls).toEqual([[0], [1]]);
+      // The previous item 0 (25px) is now item 2, after two items of 25px and 26px.
+      expect(rendered.getInstance().getItemOffset(3)).toBe(76);
+    });
+
+    // Changing the size of an item near the top of a list moves all of the items after it.
+    // With the default storage, their offsets are recalculated one by one (the next time they're needed),
+    // But the offset tree only needs to update the size of the item itself (which is O(log n)).
+    it('should only update the tree once to resize an item near the top of the list', () => {
+      const instance = ReactTestRenderer.create(
+        <VariableSizeList
+          {...defaultProps}
+          itemCount={100}
+          useOffsetTree={true}
+        />
+      ).getInstance();
+      instance.scrollToItem(99);
+
+      const setSize = jest.spyOn(instance._instanceProps.offsetTree, 'setSize');
+      itemSize.mockClear();
+      instance.resetIndex(0);
+      expect(instance.getItemOffset(99)).toBe(25 * 99 + 98 * 99 / 2);
+      expect(itemSize.mock.calls).toEqual([[0]]);
+      expect(setSize.mock.calls).toEqual([[0, 25]]);
+    });
+
+    it('should match the default storage after resizing an item near the top of a huge list', () => {
+      const itemCount = 1000000;
+      const indices = [0, 2, 3, 1000, 500000, itemCount - 1];
+      let itemSizeCallCount = 0;
+
+      const offsets = [false, true].map(useOffsetTree => {
+        let resizedItemSize = 0;
+        const instance = ReactTestRenderer.create(
+          <VariableSizeList
+            {...defaultProps}
+            itemCount={itemCount}
+            itemSize={index => {
+              itemSizeCallCount++;
+              return index === 2 ? 25 + resizedItemSize : 20 + index % 7;
+            }}
+            useOffsetTree={useOffsetTree}
+          />
+        ).getInstance();
+        instance.scrollToItem(itemCount - 1);
+
+        resizedItemSize = 100;
+        itemSizeCallCount = 0;
+        instance.resetIndex(2);
+        return indices.map(index => instance.getItemOffset(index));
+      });
+
+      expect(offsets[1]).toEqual(offsets[0]);
+      // Items 0 and 1 are 20px and 21px, and item 2 has grown to 125px.
+      expect(offsets[1][indices.indexOf(3)]).toBe(20 + 21 + 125);
+      // Only the resized item is measured again.
+      expect(itemSizeCallCount).toBe(1);
+    });
+
+    it('should only resize the items after the index when reset after it', () => {
+      const instance = ReactTestRenderer.create(
+        <VariableSizeList
+          {...defaultProps}
+          itemCount={100}
+          useOffsetTree={true}
+        />
+      ).getInstance();
+      instance.scrollToItem(99);
+
+      const setSize = jest.spyOn(instance._instanceProps.offsetTree, 'setSize');
+      instance.resetAfterIndex(90);
+      expect(instance.getItemOffset(99)).toBe(25 * 99 + 98 * 99 / 2);
+      expect(setSize.mock.calls.map(([index]) => index)).toEqual([
+        90,
+        91,
+        92,
+        93,
+        94,
+        95,
+        96,
+        97,
+        98,
+        99,
+      ]);
+    });
+  });
+
+  describe('useScrollAnchoring', () => {
+    const renderScrolledList = (props = {}) => {
+      const container = document.createElement('div');
+      const instance = render(
+        <VariableSizeList {...defaultProps} {...props} />,
+        container
+      );
+      // Item 3 (offset 78) is the first visible item.
+      instance.scrollTo(100);
+      // Supplying a new itemSize alone should not impact anything.
+      render(
+        <VariableSizeList {...defaultProps} {...props} itemSize={() => 50} />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(100);
+      return instance;
+    };
+
+    it('should keep the first visible item in place when items before it change size', () => {
+      const instance = renderScrolledList({ useScrollAnchoring: true });
+      onItemsRendered.mockClear();
+      instance.resetAfterIndex(0);
+      // Item 3 is now at offset 150, so the list should scroll down by 72px.
+      expect(instance.state.scrollOffset).toBe(172);
+      expect(instance._outerRef.scrollTop).toBe(172);
+      expect(onItemsRendered).toHaveBeenCalledTimes(1);
+      expect(onItemsRendered.mock.calls[0][0].visibleStartIndex).toBe(3);
+    });
+
+    it('should not adjust the scroll offset when items after the anchor change size', () => {
+      const instance = renderScrolledList({ useScrollAnchoring: true });
+      instance.resetAfterIndex(4);
+      expect(instance.state.scrollOffset).toBe(100);
+    });
+
+    it('should not override an explicitly requested scroll offset', () => {
+      const instance = renderScrolledList({ useScrollAnchoring: true });
+      instance.resetAfterIndex(0, false);
+      instance.scrollToItem(10, 'start');
+      expect(instance.state.scrollOffset).toBe(500);
+    });
+
+    it('should not adjust the scroll offset unless requested', () => {
+      const instance = renderScrolledList();
+      instance.resetAfterIndex(0);
+      expect(instance.state.scrollOffset).toBe(100);
+    });
+  });
+
+  describe('firstItemIndex', () => {
+    // Offsets are 0, 25, 51, 78, 106, ... so item 3 is the first visible item after scrolling to 100.
+    const renderScrolledList = (container, props = {}) => {
+      const instance = render(
+        <VariableSizeList {...defaultProps} {...props} />,
+        container
+      );
+      instance.scrollTo(100);
+      return instance;
+    };
+
+    it('should keep visible items in place when items are inserted at the start', () => {
+      const container = document.createElement('div');
+      const instance = renderScrolledList(container);
+      const shiftedItemSize = jest.fn(
+        index => (index < 3 ? 10 : 25 + index - 3)
+      );
+      onItemsRendered.mockClear();
+      render(
+        <VariableSizeList
+          {...defaultProps}
+          firstItemIndex={-3}
+          itemCount={23}
+          itemSize={shiftedItemSize}
+        />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(130);
+      expect(instance._outerRef.scrollTop).toBe(130);
+      expect(onItemsRendered.mock.calls[0][0].visibleStartIndex).toBe(6);
+      // Sizes of the items that were already measured should have been moved, not recalculated.
+      expect(shiftedItemSize).toHaveBeenCalledWith(0);
+      expect(shiftedItemSize).not.toHaveBeenCalledWith(3);
+      expect(instance._getItemStyle(6)).toEqual(
+        expect.objectContaining({ height: 28, top: 108 })
+      );
+    });
+
+    it('should keep visible items in place when items are removed from the start', () => {
+      const container = document.createElement('div');
+      const instance = renderScrolledList(container);
+      render(
+        <VariableSizeList
+          {...defaultProps}
+          firstItemIndex={3}
+          itemCount={17}
+          itemSize={index => 25 + index + 3}
+        />,
+        container
+      );
+      expect(instance.state.scrollOffset).toBe(22);
+      expect(instance._getItemStyle(0)).toEqual(
+        expect.objectContaining({ height: 28, top: 0 })
+      );
+    });
+
+    it('should only shift items once when rendered in strict mode', () => {
+      const container = document.createElement('div');
+      const listRef = createRef();
+      render(
+        <React.StrictMode>
+          <VariableSizeList {...defaultProps} ref={listRef} />
+        </React.StrictMode>,
+        container
+      );
+      listRef.current.scrollTo(100);
+      render(
+        <React.StrictMode>
+          <VariableSizeList
+            {...defaultProps}
+            firstItemIndex={-3}
+            itemCount={23}
+            itemSize={index => (index < 3 ? 10 : 25 + index - 3)}
+            ref={listRef}
+          />
+        </React.StrictMode>,
+        container
+      );
+      expect(listRef.current.state.scrollOffset).toBe(130);
+      expect(listRef.current._getItemStyle(6)).toEqual(
+        expect.objectContaining({ height: 28, top: 108 })
+      );
     });
   });
 
@@ -0,0 +1,316 @@
+import React, { createRef, PureComponent } from 'react';
+import { render } from 'react-dom';
+import ReactTestRenderer from 'react-test-renderer';
+import { WrappingGrid } from '..';
+import * as domHelpers from '../domHelpers';
+
+describe('WrappingGrid', () => {
+  let itemRenderer, defaultProps, getScrollbarSize, onItemsRendered;
+
+  // Use PureComponent to test memoization.
+  // Pass through to itemRenderer mock for easier test assertions.
+  class PureItemRenderer extends PureComponent {
+    render() {
+      return itemRenderer(this.props);
+    }
+  }
+
+  const getRenderedStyles = () => {
+    const styles = {};
+    itemRenderer.mock.calls.forEach(([{ index, style }]) => {
+      styles[index] = style;
+    });
+    return styles;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      clientHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      clientWidth: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.width, 10) || 0;
+        },
+      },
+      scrollHeight: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+      scrollWidth: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+    });
+
+    getScrollbarSize = domHelpers.getScrollbarSize = jest.fn(() => 0);
+
+    itemRenderer = jest.fn(({ style, ...rest }) => (
+      <div style={style}>{JSON.stringify(rest, null, 2)}</div>
+    ));
+    onItemsRendered = jest.fn();
+    defaultProps = {
+      children: PureItemRenderer,
+      height: 100,
+      itemCount: 10,
+      itemHeight: 50,
+      itemWidth: 100,
+      onItemsRendered,
+      overscanRowCount: 1,
+      width: 350,
+    };
+  });
+
+  it('should fit as many columns as the width allows', () => {
+    ReactTestRenderer.create(<WrappingGrid {...defaultProps} />);
+    const styles = getRenderedStyles();
+    expect(styles[2]).toMatchObject({ left: 200, top: 0 });
+    expect(styles[4]).toEqual({
+      position: 'absolute',
+      left: 100,
+      top: 50,
+      height: 50,
+      width: 100,
+    });
+  });
+
+  it('should leave space for the vertical scrollbar if the items overflow', () => {
+    getScrollbarSize.mockImplementation(() => 20);
+
+    ReactTestRenderer.create(<WrappingGrid {...defaultProps} width={300} />);
+    expect(getRenderedStyles()[2]).toMatchObject({ left: 0, top: 50 });
+
+    itemRenderer.mockClear();
+    ReactTestRenderer.create(
+      <WrappingGrid {...defaultProps} itemCount={6} width={300} />
+    );
+    expect(getRenderedStyles()[2]).toMatchObject({ left: 200, top: 0 });
+  });
+
+  it('should render at least one column', () => {
+    ReactTestRenderer.create(<WrappingGrid {...defaultProps} width={50} />);
+    expect(getRenderedStyles()[1]).toMatchObject({ left: 0, top: 50 });
+  });
+
+  it('should pass flat indices to children and onItemsRendered', () => {
+    ReactTestRenderer.create(
+      <WrappingGrid {...defaultProps} itemData="data" />
+    );
+    // Rows 0-2 are visible, and row 3 is overscanned.
+    // The last row only has a single item, so the other cells in it are empty.
+    expect(itemRenderer.mock.calls.map(([{ index }]) => index)).toEqual([
+      0,
+      1,
+      2,
+      3,
+      4,
+      5,
+      6,
+      7,
+      8,
+      9,
+    ]);
+    expect(itemRenderer.mock.calls[0][0]).toMatchObject({
+      data: 'data',
+      index: 0,
+    });
+    expect(onItemsRendered.mock.calls).toEqual([
+      [
+        {
+          overscanStartIndex: 0,
+          overscanStopIndex: 9,
+          visibleStartIndex: 0,
+          visibleStopIndex: 8,
+        },
+      ],
+    ]);
+  });
+
+  it('should reflow items when the width changes', () => {
+    const mounted = jest.fn();
+    const moved = jest.fn();
+    class MountedItem extends PureComponent {
+      componentDidMount() {
+        mounted(this.props.index);
+      }
+      componentDidUpdate(prevProps) {
+        if (prevProps.index !== this.props.index) {
+          moved(prevProps.index, this.props.index);
+        }
+      }
+      render() {
+        return null;
+      }
+    }
+
+    const itemKey = jest.fn(index => `item-${index}`);
+    const rendered = ReactTestRenderer.create(
+      <WrappingGrid {...defaultProps} itemKey={itemKey} />
+    );
+    rendered.update(
+      <WrappingGrid {...defaultProps} itemKey={itemKey} width={250} />
+    );
+    expect(getRenderedStyles()[4]).toMatchObject({ left: 0, top: 100 });
+
+    // Items are keyed by their index, so each of them keeps its component when it's moved to another cell.
+    rendered.update(
+      <WrappingGrid {...defaultProps} itemKey={itemKey}>
+        {MountedItem}
+      </WrappingGrid>
+    );
+    mounted.mockClear();
+    rendered.update(
+      <WrappingGrid {...defaultProps} itemKey={itemKey} width={250}>
+        {MountedItem}
+      </WrappingGrid>
+    );
+    expect(mounted).not.toHaveBeenCalled();
+    expect(moved).not.toHaveBeenCalled();
+    expect(itemKey).not.toHaveBeenCalledWith(10, undefined);
+  });
+
+  it('should not let the keys of empty cells collide with item keys', () => {
+    spyOn(console, 'error');
+    // The last row has a single item, followed by empty cells in columns 1 and 2.
+    ReactTestRenderer.create(
+      <WrappingGrid {...defaultProps} itemKey={index => `3:${index}`} />
+    );
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should scroll to the row of an item', async () => {
+    const ref = createRef();
+    const onScroll = jest.fn();
+    render(
+      <WrappingGrid {...defaultProps} onScroll={onScroll} ref={ref} />,
+      document.createElement('div')
+    );
+    onItemsRendered.mockClear();
+
+    const promise = ref.current.scrollToItem(7, 'start');
+    await expect(promise).resolves.toBe(true);
+    expect(onScroll).toHaveBeenLastCalledWith({
+      scrollDirection: 'forward',
+      scrollOffset: 100,
+      scrollUpdateWasRequested: true,
+    });
+    expect(onItemsRendered).toHaveBeenLastCalledWith({
+      overscanStartIndex: 3,
+      overscanStopIndex: 9,
+      visibleStartIndex: 6,
+      visibleStopIndex: 9,
+    });
+
+    await ref.current.scrollTo(0);
+    expect(onScroll).toHaveBeenLastCalledWith({
+      scrollDirection: 'backward',
+      scrollOffset: 0,
+      scrollUpdateWasRequested: true,
+    });
+  });
+
+  describe('autoSize', () => {
+    let observers;
+
+    beforeEach(() => {
+      Object.defineProperties(HTMLElement.prototype, {
+        offsetHeight: {
+          configurable: true,
+          get: function() {
+            return parseInt(this.style.height, 10) || 0;
+          },
+        },
+        offsetWidth: {
+          configurable: true,
+          get: function() {
+            return parseInt(this.style.width, 10) || 0;
+          },
+        },
+      });
+
+      observers = [];
+      window.ResizeObserver = jest.fn(callback => {
+        const observer = {
+          callback,
+          disconnect: jest.fn(),
+          observe: jest.fn(),
+        };
+        observers.push(observer);
+        return observer;
+      });
+    });
+
+    afterEach(() => {
+      delete window.ResizeObserver;
+    });
+
+    it('should measure the outer element to determine how many columns fit', () => {
+      const container = document.createElement('div');
+      const outerRef = createRef();
+      render(
+        <WrappingGrid
+          {...defaultProps}
+          autoSize
+          height={undefined}
+          outerRef={outerRef}
+          style={{ height: 100, width: 350 }}
+          width={undefined}
+        />,
+        container
+      );
+      expect(getRenderedStyles()[4]).toMatchObject({ left: 100, top: 50 });
+      expect(onItemsRendered).toHaveBeenLastCalledWith({
+        overscanStartIndex: 0,
+        overscanStopIndex: 9,
+        visibleStartIndex: 0,
+        visibleStopIndex: 8,
+      });
+
+      outerRef.current.style.width = '550px';
+      observers.forEach(observer => observer.callback());
+      expect(getRenderedStyles()[4]).toMatchObject({ left: 400, top: 0 });
+      expect(onItemsRendered).toHaveBeenLastCalledWith({
+        overscanStartIndex: 0,
+        overscanStopIndex: 9,
+        visibleStartIndex: 0,
+        visibleStopIndex: 9,
+      });
+
+      render(<div />, container);
+      observers.forEach(observer => {
+        expect(observer.disconnect).toHaveBeenCalled();
+      });
+    });
+
+    it('should not require a width or height', () => {
+      expect(() =>
+        ReactTestRenderer.create(
+          <WrappingGrid
+            {...defaultProps}
+            autoSize
+            height={undefined}
+            width={undefined}
+          />
+        )
+      ).not.toThrow();
+    });
+  });
+
+  it('should fail if itemWidth is not a positive number', () => {
+    spyOn(console, 'error');
+    expect(() =>
+      ReactTestRenderer.create(<WrappingGrid {...defaultProps} itemWidth={0} />)
+    ).toThrow(
+      'An invalid "itemWidth" prop has been specified. ' +
+        'Value should be a number greater than 0. "0" was specified.'
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import createOffsetTree from '../createOffsetTree';
+
+describe('createOffsetTree', () => {
+  // Sums the sizes before each index the slow way, to compare the tree against.
+  const getOffsets = sizes => {
+    const offsets = [];
+    let offset = 0;
+    sizes.forEach(size => {
+      offsets.push(offset);
+      offset += size;
+    });
+    offsets.push(offset);
+    return offsets;
+  };
+
+  it('should return the total size of the items before an index', () => {
+    const tree = createOffsetTree();
+    const sizes = [];
+    for (let index = 0; index < 100; index++) {
+      sizes.push(10 + (index * 7) % 13);
+      tree.setSize(index, sizes[index]);
+    }
+
+    const offsets = getOffsets(sizes);
+    for (let index = 0; index <= 100; index++) {
+      expect(tree.getOffset(index)).toBe(offsets[index]);
+    }
+    expect(tree.getSize(42)).toBe(sizes[42]);
+  });
+
+  it('should shift the offsets of later items when a size changes', () => {
+    const tree = createOffsetTree([10, 20, 30, 40]);
+    tree.setSize(1, 25);
+    expect(tree.getOffset(1)).toBe(10);
+    expect(tree.getOffset(2)).toBe(35);
+    expect(tree.getOffset(4)).toBe(105);
+  });
+
+  it('should treat items without a size as empty', () => {
+    const tree = createOffsetTree();
+    expect(tree.getOffset(10)).toBe(0);
+    expect(tree.getSize(10)).toBe(0);
+
+    // Growing the tree keeps the sizes that were already set.
+    tree.setSize(0, 10);
+    tree.setSize(100, 5);
+    expect(tree.getOffset(50)).toBe(10);
+    expect(tree.getOffset(101)).toBe(15);
+  });
+
+  it('should discard the sizes of items after the truncated length', () => {
+    const tree = createOffsetTree([10, 20, 30, 40, 50, 60, 70, 80, 90]);
+    tree.truncate(3);
+    expect(tree.getOffset(9)).toBe(60);
+    expect(tree.getSize(5)).toBe(0);
+
+    // Items that are sized again (in order) after truncating are appended.
+    const sizes = [10, 20, 30, 5, 5, 5, 5, 5, 5];
+    for (let index = 3; index < sizes.length; index++) {
+      tree.setSize(index, sizes[index]);
+    }
+    const offsets = getOffsets(sizes);
+    for (let index = 0; index <= sizes.length; index++) {
+      expect(tree.getOffset(index)).toBe(offsets[index]);
+    }
+    expect(tree.findIndex(65)).toBe(4);
+  });
+
+  it('should find the index of the item that contains an offset', () => {
+    const tree = createOffsetTree([10, 20, 30, 40, 50]);
+    expect(tree.findIndex(0)).toBe(0);
+    expect(tree.findIndex(9)).toBe(0);
+    expect(tree.findIndex(10)).toBe(1);
+    expect(tree.findIndex(59)).toBe(2);
+    expect(tree.findIndex(60)).toBe(3);
+    expect(tree.findIndex(149)).toBe(4);
+  });
+});
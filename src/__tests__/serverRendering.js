@@ -0,0 +1,180 @@
+/**
+ * @jest-environment node
+ */
+
+import React from 'react';
+import ReactDOMServer from 'react-dom/server';
+import {
+  FixedSizeGrid,
+  FixedSizeList,
+  useVirtualGrid,
+  useVirtualList,
+  VariableSizeGrid,
+  VariableSizeList,
+} from '..';
+import { getScrollbarSize, isRTLOffsetNegative } from '../domHelpers';
+
+// Rendered items are the only absolutely positioned elements.
+const countItems = markup => markup.split('position:absolute').length - 1;
+
+describe('server rendering', () => {
+  let cellRenderer, itemRenderer;
+
+  beforeEach(() => {
+    cellRenderer = ({ columnIndex, rowIndex, style }) => (
+      <div style={style}>{`${rowIndex}:${columnIndex}`}</div>
+    );
+    itemRenderer = ({ index, style }) => <div style={style}>{index}</div>;
+  });
+
+  it('should not have access to the DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(getScrollbarSize()).toBe(0);
+    expect(isRTLOffsetNegative()).toBe(false);
+  });
+
+  it('should render a fixed number of items for FixedSizeList', () => {
+    const markup = ReactDOMServer.renderToString(
+      <FixedSizeList
+        autoSize
+        initialScrollOffset={250}
+        itemCount={100}
+        itemSize={25}
+        serverItemCount={5}
+        width={100}
+      >
+        {itemRenderer}
+      </FixedSizeList>
+    );
+    expect(countItems(markup)).toBe(5);
+    expect(markup).toContain('>10</div>');
+    expect(markup).toContain('>14</div>');
+  });
+
+  it('should render the items within the server viewport for VariableSizeList', () => {
+    const markup = ReactDOMServer.renderToString(
+      <VariableSizeList
+        autoSize
+        itemCount={100}
+        itemSize={() => 50}
+        layout="horizontal"
+        serverWidth={200}
+      >
+        {itemRenderer}
+      </VariableSizeList>
+    );
+    // Items 0-3 are visible and 2 more are overscanned.
+    expect(countItems(markup)).toBe(6);
+  });
+
+  it('should render a fixed number of rows and columns for FixedSizeGrid', () => {
+    const markup = ReactDOMServer.renderToString(
+      <FixedSizeGrid
+        autoSize
+        columnCount={100}
+        columnWidth={100}
+        rowCount={100}
+        rowHeight={25}
+        serverColumnCount={3}
+        serverRowCount={4}
+      >
+        {cellRenderer}
+      </FixedSizeGrid>
+    );
+    expect(countItems(markup)).toBe(12);
+    expect(markup).toContain('>3:2</div>');
+  });
+
+  it('should render the cells within the server viewport for VariableSizeGrid', () => {
+    const markup = ReactDOMServer.renderToString(
+      <VariableSizeGrid
+        columnCount={100}
+        columnWidth={() => 100}
+        direction="rtl"
+        height={100}
+        rowCount={100}
+        rowHeight={() => 25}
+        serverHeight={50}
+        serverWidth={100}
+        width={200}
+      >
+        {cellRenderer}
+      </VariableSizeGrid>
+    );
+    // Column 0 and rows 0-1 are visible, and one more of each is overscanned.
+    expect(countItems(markup)).toBe(6);
+  });
+
+  it('should render useVirtualList without warnings', () => {
+    const List = props => {
+      const list = useVirtualList(props);
+      const items = [];
+      for (
+        let index = list.overscanStartIndex;
+        index <= list.overscanStopIndex;
+        index++
+      ) {
+        items.push(
+          <div key={index} style={list.getItemStyle(index)}>
+            {index}
+          </div>
+        );
+      }
+      return <div ref={list.outerRef}>{items}</div>;
+    };
+    spyOn(console, 'error');
+    const markup = ReactDOMServer.renderToString(
+      <List
+        height={100}
+        initialScrollOffset={250}
+        itemCount={100}
+        itemSize={25}
+        width={100}
+      />
+    );
+    expect(console.error).not.toHaveBeenCalled();
+    // Items 10-14 are visible and 2 more are overscanned in each direction.
+    expect(countItems(markup)).toBe(9);
+  });
+
+  it('should render useVirtualGrid without warnings', () => {
+    const Grid = props => {
+      const grid = useVirtualGrid(props);
+      const cells = [];
+      for (
+        let rowIndex = grid.overscanRowStartIndex;
+        rowIndex <= grid.overscanRowStopIndex;
+        rowIndex++
+      ) {
+        for (
+          let columnIndex = grid.overscanColumnStartIndex;
+          columnIndex <= grid.overscanColumnStopIndex;
+          columnIndex++
+        ) {
+          cells.push(
+            <div
+              key={`${rowIndex}:${columnIndex}`}
+              style={grid.getItemStyle({ columnIndex, rowIndex })}
+            />
+          );
+        }
+      }
+      return <div ref={grid.outerRef}>{cells}</div>;
+    };
+    spyOn(console, 'error');
+    const markup = ReactDOMServer.renderToString(
+      <Grid
+        columnCount={100}
+        columnWidth={100}
+        height={100}
+        initialScrollTop={100}
+        rowCount={100}
+        rowHeight={25}
+        width={200}
+      />
+    );
+    expect(console.error).not.toHaveBeenCalled();
+    // Columns 0-2 and rows 4-8 are visible, and one more of each is overscanned in each direction.
+    expect(countItems(markup)).toBe(28);
+  });
+});
@@ -0,0 +1,65 @@
+import { cancelTimeout, requestAnimation } from '../timer';
+
+describe('timer', () => {
+  let frames, time;
+
+  // Animation frames are run manually, so that each one advances the time by a fixed amount.
+  const runFrame = () => {
+    const callbacks = frames;
+    frames = new Map();
+    time += 10;
+    callbacks.forEach(callback => callback());
+  };
+
+  beforeEach(() => {
+    frames = new Map();
+    time = 0;
+
+    let nextId = 0;
+    window.requestAnimationFrame = callback => {
+      const id = ++nextId;
+      frames.set(id, callback);
+      return id;
+    };
+    window.cancelAnimationFrame = id => frames.delete(id);
+    spyOn(Date, 'now').and.callFake(() => time);
+  });
+
+  afterEach(() => {
+    delete window.requestAnimationFrame;
+    delete window.cancelAnimationFrame;
+  });
+
+  describe('requestAnimation', () => {
+    it('should call the callback on each frame until the duration has elapsed', () => {
+      const callback = jest.fn();
+      requestAnimation(callback, 30);
+      for (let i = 0; i < 5; i++) {
+        runFrame();
+      }
+      expect(callback.mock.calls.map(([progress]) => progress)).toEqual([
+        1 / 3,
+        2 / 3,
+        1,
+      ]);
+    });
+
+    it('should stop if the animation is cancelled between frames', () => {
+      const callback = jest.fn();
+      const timeoutID = requestAnimation(callback, 100);
+      runFrame();
+      cancelTimeout(timeoutID);
+      runFrame();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop if the animation is cancelled from within the callback', () => {
+      const callback = jest.fn(() => cancelTimeout(timeoutID));
+      const timeoutID = requestAnimation(callback, 100);
+      runFrame();
+      runFrame();
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(frames.size).toBe(0);
+    });
+  });
+});
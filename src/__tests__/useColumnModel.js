@@ -0,0 +1,261 @@
+import React, { createRef, useState } from 'react';
+import ReactDOM from 'react-dom';
+import ReactTestUtils, { act } from 'react-dom/test-utils';
+import { useColumnModel, VariableSizeGrid } from '..';
+
+describe('useColumnModel', () => {
+  let cellRenderer,
+    container,
+    defaultProps,
+    gridRef,
+    model,
+    onColumnOrderChange,
+    onColumnWidthsChange;
+
+  const Cell = ({ columnIndex, rowIndex, style }) =>
+    cellRenderer({ columnIndex, rowIndex, style });
+
+  // Keeps the column model in state (like an app would),
+  // And renders a resize and a reorder handle for each column above the grid.
+  const Table = props => {
+    const {
+      direction,
+      initialColumnOrder,
+      initialColumnWidths,
+      minColumnWidth,
+      useScrollAnchoring,
+    } = props;
+    const [columnOrder, setColumnOrder] = useState(initialColumnOrder);
+    const [columnWidths, setColumnWidths] = useState(initialColumnWidths);
+
+    model = useColumnModel({
+      columnOrder,
+      columnWidths,
+      direction,
+      gridRef,
+      minColumnWidth,
+      onColumnOrderChange: newColumnOrder => {
+        onColumnOrderChange(newColumnOrder);
+        setColumnOrder(newColumnOrder);
+      },
+      onColumnWidthsChange: newColumnWidths => {
+        onColumnWidthsChange(newColumnWidths);
+        setColumnWidths(newColumnWidths);
+      },
+    });
+
+    return (
+      <div>
+        {columnOrder.map((sourceColumnIndex, columnIndex) => (
+          <div key={sourceColumnIndex}>
+            <span
+              data-reorder={columnIndex}
+              {...model.getReorderHandleProps(columnIndex)}
+            />
+            <span
+              data-resize={columnIndex}
+              {...model.getResizeHandleProps(columnIndex)}
+            />
+          </div>
+        ))}
+        <VariableSizeGrid
+          columnCount={model.columnCount}
+          columnWidth={model.columnWidth}
+          height={100}
+          itemData={columnOrder}
+          onScroll={model.onScroll}
+          ref={gridRef}
+          rowCount={10}
+          rowHeight={() => 25}
+          useScrollAnchoring={useScrollAnchoring}
+          width={200}
+        >
+          {Cell}
+        </VariableSizeGrid>
+      </div>
+    );
+  };
+
+  const renderTable = (props = {}) =>
+    ReactDOM.render(<Table {...defaultProps} {...props} />, container);
+
+  const getCellStyle = columnIndex =>
+    cellRenderer.mock.calls
+      .filter(([params]) => params.columnIndex === columnIndex)
+      .pop()[0].style;
+
+  const dispatchMouseEvent = (type, clientX) =>
+    act(() => {
+      window.dispatchEvent(new MouseEvent(type, { clientX }));
+    });
+
+  const dragResizeHandle = (columnIndex, startX, stopX) => {
+    act(() => {
+      ReactTestUtils.Simulate.mouseDown(
+        container.querySelector(`[data-resize="${columnIndex}"]`),
+        { clientX: startX }
+      );
+    });
+    dispatchMouseEvent('mousemove', stopX);
+    dispatchMouseEvent('mouseup', stopX);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      clientWidth: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.width, 10) || 0;
+        },
+      },
+      clientHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      scrollHeight: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+      scrollWidth: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+    });
+
+    cellRenderer = jest.fn(({ style }) => <div style={style} />);
+    container = document.createElement('div');
+    gridRef = createRef();
+    model = null;
+    onColumnOrderChange = jest.fn();
+    onColumnWidthsChange = jest.fn();
+    defaultProps = {
+      initialColumnOrder: [0, 1, 2, 3, 4],
+      initialColumnWidths: [100, 100, 100, 100, 100],
+    };
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  it('should map displayed columns to their source columns', () => {
+    renderTable({
+      initialColumnOrder: [2, 0, 1],
+      initialColumnWidths: [50, 60, 70, 80],
+    });
+    expect(model.columnCount).toBe(3);
+    expect(model.getSourceColumnIndex(0)).toBe(2);
+    expect(model.columnWidth(0)).toBe(70);
+    expect(getCellStyle(1)).toMatchObject({ left: 70, width: 50 });
+    expect(getCellStyle(2)).toMatchObject({ left: 120, width: 60 });
+  });
+
+  it('should resize a column while its handle is dragged', () => {
+    renderTable();
+    dragResizeHandle(1, 100, 150);
+    expect(onColumnWidthsChange).toHaveBeenCalledTimes(1);
+    expect(onColumnWidthsChange).toHaveBeenLastCalledWith([
+      100,
+      150,
+      100,
+      100,
+      100,
+    ]);
+    expect(getCellStyle(2)).toMatchObject({ left: 250, width: 100 });
+
+    // The drag has ended, so the mouse can be moved freely again.
+    dispatchMouseEvent('mousemove', 300);
+    expect(onColumnWidthsChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not resize columns below the minimum width', () => {
+    renderTable({ minColumnWidth: 40 });
+    dragResizeHandle(0, 100, 0);
+    expect(onColumnWidthsChange).toHaveBeenLastCalledWith([
+      40,
+      100,
+      100,
+      100,
+      100,
+    ]);
+  });
+
+  it('should resize columns towards the left for rtl direction', () => {
+    renderTable({ direction: 'rtl' });
+    dragResizeHandle(0, 100, 80);
+    expect(onColumnWidthsChange).toHaveBeenLastCalledWith([
+      120,
+      100,
+      100,
+      100,
+      100,
+    ]);
+  });
+
+  it('should move a column when it is dropped onto another one', () => {
+    renderTable({ initialColumnWidths: [10, 20, 30, 40, 50] });
+    act(() => {
+      ReactTestUtils.Simulate.dragStart(
+        container.querySelector('[data-reorder="3"]')
+      );
+      ReactTestUtils.Simulate.dragOver(
+        container.querySelector('[data-reorder="1"]')
+      );
+      ReactTestUtils.Simulate.drop(
+        container.querySelector('[data-reorder="1"]')
+      );
+      ReactTestUtils.Simulate.dragEnd(
+        container.querySelector('[data-reorder="1"]')
+      );
+    });
+    expect(onColumnOrderChange).toHaveBeenLastCalledWith([0, 3, 1, 2, 4]);
+    expect(getCellStyle(1)).toMatchObject({ left: 10, width: 40 });
+    expect(getCellStyle(2)).toMatchObject({ left: 50, width: 20 });
+  });
+
+  it('should only reset the columns after the first one that changed', () => {
+    renderTable({ initialColumnWidths: [10, 20, 20, 30, 50] });
+    const resetAfterColumnIndex = jest.spyOn(
+      gridRef.current,
+      'resetAfterColumnIndex'
+    );
+
+    // Columns 1 and 2 have the same width, so swapping them doesn't change any offsets.
+    act(() => {
+      model.moveColumn(1, 2);
+    });
+    expect(resetAfterColumnIndex).not.toHaveBeenCalled();
+
+    act(() => {
+      model.moveColumn(3, 1);
+    });
+    expect(resetAfterColumnIndex).toHaveBeenLastCalledWith(1, true);
+
+    act(() => {
+      model.resizeColumn(4, 60);
+    });
+    expect(resetAfterColumnIndex).toHaveBeenLastCalledWith(4, true);
+  });
+
+  it('should keep the horizontal scroll position steady while a column is resized', () => {
+    renderTable({ useScrollAnchoring: true });
+    act(() => {
+      gridRef.current.scrollTo({ scrollLeft: 250 });
+    });
+
+    // Column 2 (the first visible one) would otherwise be kept in place by scroll anchoring.
+    dragResizeHandle(0, 100, 150);
+    expect(gridRef.current.state.scrollLeft).toBe(250);
+
+    act(() => {
+      model.resizeColumn(0, 200);
+    });
+    expect(gridRef.current.state.scrollLeft).toBe(300);
+  });
+});
@@ -0,0 +1,194 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactDOMServer from 'react-dom/server';
+import ReactTestUtils, { act } from 'react-dom/test-utils';
+import { useVirtualGrid } from '..';
+
+describe('useVirtualGrid', () => {
+  let container, defaultProps, grid;
+
+  // Renders the cells (and scroll container) the way a design system might,
+  // And keeps the value returned by the hook around for assertions.
+  const Grid = props => {
+    grid = useVirtualGrid(props);
+
+    const cells = [];
+    for (
+      let rowIndex = grid.overscanRowStartIndex;
+      rowIndex <= grid.overscanRowStopIndex;
+      rowIndex++
+    ) {
+      for (
+        let columnIndex = grid.overscanColumnStartIndex;
+        columnIndex <= grid.overscanColumnStopIndex;
+        columnIndex++
+      ) {
+        cells.push(
+          <div
+            key={`${rowIndex}:${columnIndex}`}
+            role="gridcell"
+            style={grid.getItemStyle({ columnIndex, rowIndex })}
+          />
+        );
+      }
+    }
+
+    return (
+      <div
+        onScroll={grid.onScroll}
+        ref={grid.outerRef}
+        style={{ height: props.height, overflow: 'auto', width: props.width }}
+      >
+        <div style={{ height: grid.totalHeight, width: grid.totalWidth }}>
+          {cells}
+        </div>
+      </div>
+    );
+  };
+
+  const renderGrid = (props = {}) =>
+    ReactDOM.render(<Grid {...defaultProps} {...props} />, container);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      clientWidth: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.width, 10) || 0;
+        },
+      },
+      clientHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      scrollHeight: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+      scrollWidth: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+    });
+
+    container = document.createElement('div');
+    grid = null;
+    defaultProps = {
+      columnCount: 100,
+      columnWidth: 100,
+      height: 100,
+      rowCount: 100,
+      rowHeight: 25,
+      width: 200,
+    };
+  });
+
+  it('should return the range of cells to render and their styles', () => {
+    renderGrid();
+    expect(grid).toMatchObject({
+      overscanColumnStartIndex: 0,
+      overscanColumnStopIndex: 3,
+      overscanRowStartIndex: 0,
+      overscanRowStopIndex: 5,
+      totalHeight: 2500,
+      totalWidth: 10000,
+      visibleColumnStartIndex: 0,
+      visibleColumnStopIndex: 2,
+      visibleRowStartIndex: 0,
+      visibleRowStopIndex: 4,
+    });
+    expect(container.querySelectorAll('[role="gridcell"]')).toHaveLength(24);
+    expect(grid.getItemStyle({ columnIndex: 2, rowIndex: 3 })).toEqual({
+      height: 25,
+      left: 200,
+      position: 'absolute',
+      top: 75,
+      width: 100,
+    });
+  });
+
+  it('should use the default props for props that are undefined', () => {
+    renderGrid({ direction: undefined });
+    expect(grid.getItemStyle({ columnIndex: 2, rowIndex: 3 })).toMatchObject({
+      left: 200,
+    });
+  });
+
+  it('should update the range when the scroll container is scrolled', () => {
+    renderGrid();
+    const outerElement = grid.outerRef.current;
+    outerElement.scrollLeft = 350;
+    outerElement.scrollTop = 110;
+    act(() => {
+      ReactTestUtils.Simulate.scroll(outerElement);
+    });
+    expect(grid).toMatchObject({
+      horizontalScrollDirection: 'forward',
+      isScrolling: true,
+      scrollLeft: 350,
+      scrollTop: 110,
+      verticalScrollDirection: 'forward',
+      visibleColumnStartIndex: 3,
+      visibleColumnStopIndex: 5,
+      visibleRowStartIndex: 4,
+      visibleRowStopIndex: 8,
+    });
+  });
+
+  it('should scroll the container to a cell', () => {
+    renderGrid();
+    act(() => {
+      grid.scrollToItem({ align: 'start', columnIndex: 10, rowIndex: 20 });
+    });
+    expect(grid.outerRef.current.scrollLeft).toBe(1000);
+    expect(grid.outerRef.current.scrollTop).toBe(500);
+    expect(grid).toMatchObject({
+      visibleColumnStartIndex: 10,
+      visibleRowStartIndex: 20,
+    });
+
+    act(() => {
+      grid.scrollTo({ scrollTop: 0 });
+    });
+    expect(grid.outerRef.current.scrollLeft).toBe(1000);
+    expect(grid.outerRef.current.scrollTop).toBe(0);
+  });
+
+  it('should hydrate the server markup without warnings', () => {
+    const element = (
+      <Grid {...defaultProps} initialScrollLeft={1000} initialScrollTop={500} />
+    );
+    spyOn(console, 'error');
+    container.innerHTML = ReactDOMServer.renderToString(element);
+    // JSdom has a window, so the server render above uses (and warns about) layout effects.
+    // Real server renders don't (see serverRendering.js), so only hydration is checked here.
+    console.error.calls.reset();
+    ReactDOM.hydrate(element, container);
+    expect(console.error).not.toHaveBeenCalled();
+    // The initial scroll offsets are applied once the markup has been hydrated.
+    expect(grid.outerRef.current.scrollLeft).toBe(1000);
+    expect(grid.outerRef.current.scrollTop).toBe(500);
+  });
+
+  it('should use variable size layout when sizes are functions', () => {
+    renderGrid({
+      columnWidth: index => 50 + index,
+      estimatedColumnWidth: 50,
+      estimatedRowHeight: 25,
+      rowHeight: index => 25 + index,
+    });
+    expect(grid.getItemStyle({ columnIndex: 2, rowIndex: 3 })).toMatchObject({
+      height: 28,
+      left: 101,
+      top: 78,
+      width: 52,
+    });
+    expect(typeof grid.resetAfterIndices).toBe('function');
+  });
+});
@@ -0,0 +1,216 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactDOMServer from 'react-dom/server';
+import ReactTestUtils, { act } from 'react-dom/test-utils';
+import { useVirtualList } from '..';
+
+describe('useVirtualList', () => {
+  let container, defaultProps, list;
+
+  // Renders the items (and scroll container) the way a design system might,
+  // And keeps the value returned by the hook around for assertions.
+  const List = props => {
+    list = useVirtualList(props);
+
+    const items = [];
+    for (
+      let index = list.overscanStartIndex;
+      index <= list.overscanStopIndex;
+      index++
+    ) {
+      items.push(
+        <li key={index} style={list.getItemStyle(index)}>
+          {index}
+        </li>
+      );
+    }
+
+    return (
+      <div
+        onScroll={list.onScroll}
+        ref={list.outerRef}
+        style={{ height: props.height, overflow: 'auto' }}
+      >
+        <ul style={{ height: list.totalSize, position: 'relative' }}>
+          {items}
+        </ul>
+      </div>
+    );
+  };
+
+  const renderList = (props = {}) =>
+    ReactDOM.render(<List {...defaultProps} {...props} />, container);
+
+  const simulateScroll = scrollTop => {
+    const outerElement = list.outerRef.current;
+    outerElement.scrollTop = scrollTop;
+    act(() => {
+      ReactTestUtils.Simulate.scroll(outerElement);
+    });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // JSdom does not do actual layout and so doesn't return meaningful values here.
+    // For the purposes of our tests though, we can mock out semi-meaningful values.
+    Object.defineProperties(HTMLElement.prototype, {
+      clientHeight: {
+        configurable: true,
+        get: function() {
+          return parseInt(this.style.height, 10) || 0;
+        },
+      },
+      scrollHeight: {
+        configurable: true,
+        get: () => Number.MAX_SAFE_INTEGER,
+      },
+    });
+
+    container = document.createElement('div');
+    list = null;
+    defaultProps = {
+      height: 100,
+      itemCount: 100,
+      itemSize: 25,
+      width: 50,
+    };
+  });
+
+  it('should return the range of items to render', () => {
+    renderList();
+    expect(list).toMatchObject({
+      isScrolling: false,
+      overscanStartIndex: 0,
+      overscanStopIndex: 6,
+      scrollOffset: 0,
+      totalSize: 2500,
+      visibleStartIndex: 0,
+      visibleStopIndex: 4,
+    });
+    expect(container.querySelectorAll('li')).toHaveLength(7);
+  });
+
+  it('should use the default props for props that are undefined', () => {
+    renderList({
+      direction: undefined,
+      layout: undefined,
+      overscanCount: undefined,
+    });
+    expect(list).toMatchObject({
+      overscanStartIndex: 0,
+      overscanStopIndex: 6,
+    });
+    expect(list.getItemStyle(1)).toMatchObject({ left: 0, top: 25 });
+  });
+
+  it('should return item styles', () => {
+    renderList();
+    expect(list.getItemStyle(10)).toEqual({
+      height: 25,
+      left: 0,
+      position: 'absolute',
+      top: 250,
+      width: '100%',
+    });
+    expect(list.getItemStyle(10)).toBe(list.getItemStyle(10));
+  });
+
+  it('should position items horizontally', () => {
+    renderList({ direction: 'rtl', layout: 'horizontal', width: 100 });
+    expect(list.getItemStyle(2)).toEqual({
+      height: '100%',
+      position: 'absolute',
+      right: 50,
+      top: 0,
+      width: 25,
+    });
+  });
+
+  it('should update the range when the scroll container is scrolled', () => {
+    renderList();
+    simulateScroll(110);
+    expect(list).toMatchObject({
+      isScrolling: true,
+      overscanStartIndex: 3,
+      overscanStopIndex: 10,
+      scrollDirection: 'forward',
+      scrollOffset: 110,
+      visibleStartIndex: 4,
+      visibleStopIndex: 8,
+    });
+
+    act(() => {
+      jest.runAllTimers();
+    });
+    expect(list.isScrolling).toBe(false);
+  });
+
+  it('should scroll the container to an item', () => {
+    renderList();
+    act(() => {
+      list.scrollToItem(50, 'start');
+    });
+    expect(list.outerRef.current.scrollTop).toBe(1250);
+    expect(list).toMatchObject({
+      scrollOffset: 1250,
+      visibleStartIndex: 50,
+      visibleStopIndex: 54,
+    });
+
+    act(() => {
+      list.scrollTo(100);
+    });
+    expect(list.outerRef.current.scrollTop).toBe(100);
+    expect(list.scrollDirection).toBe('backward');
+  });
+
+  it('should apply the initial scroll offset', () => {
+    renderList({ initialScrollOffset: 500 });
+    expect(list.outerRef.current.scrollTop).toBe(500);
+    expect(list.visibleStartIndex).toBe(20);
+  });
+
+  it('should hydrate the server markup without warnings', () => {
+    const element = <List {...defaultProps} initialScrollOffset={500} />;
+    spyOn(console, 'error');
+    container.innerHTML = ReactDOMServer.renderToString(element);
+    // JSdom has a window, so the server render above uses (and warns about) layout effects.
+    // Real server renders don't (see serverRendering.js), so only hydration is checked here.
+    console.error.calls.reset();
+    ReactDOM.hydrate(element, container);
+    expect(console.error).not.toHaveBeenCalled();
+    // The initial scroll offset is applied once the markup has been hydrated.
+    expect(list.outerRef.current.scrollTop).toBe(500);
+    expect(list.visibleStartIndex).toBe(20);
+  });
+
+  it('should use variable size layout when itemSize is a function', () => {
+    const itemSize = jest.fn(index => 25 + index);
+    renderList({ estimatedItemSize: 25, itemCount: 20, itemSize });
+    // Items 0-5 have been measured, the other 14 are estimated.
+    expect(list.totalSize).toBe(515);
+    expect(list.getItemStyle(3)).toMatchObject({ height: 28, top: 78 });
+
+    itemSize.mockImplementation(() => 50);
+    act(() => {
+      list.resetAfterIndex(0);
+    });
+    expect(list.getItemStyle(3)).toMatchObject({ height: 50, top: 150 });
+    expect(list.visibleStopIndex).toBe(1);
+  });
+
+  it('should not return resetAfterIndex for fixed size layout', () => {
+    renderList();
+    expect(list.resetAfterIndex).toBeUndefined();
+  });
+
+  it('should fail if the height is not a number', () => {
+    spyOn(console, 'error');
+    expect(() => renderList({ height: '100%' })).toThrow(
+      'An invalid "height" prop has been specified. ' +
+        'Vertical lists must specify a number for height. ' +
+        '"string" was specified.'
+    );
+  });
+});
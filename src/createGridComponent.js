@@ -2,19 +2,44 @@
 
 import memoizeOne from 'memoize-one';
 import { createElement, PureComponent } from 'react';
-import { cancelTimeout, requestTimeout } from './timer';
-import { getScrollbarSize, isRTLOffsetNegative } from './domHelpers';
-
+import ItemMeasurer, { createItemResizeObserver } from './ItemMeasurer';
+import {
+  cancelTimeout,
+  easeInOutQuad,
+  requestAnimation,
+  requestTimeout,
+} from './timer';
+import {
+  getNormalizedScrollLeft,
+  getNormalizedScrollTop,
+  getScrollbarSize,
+  setNormalizedScrollLeft,
+} from './domHelpers';
+import {
+  getOverscanIndices,
+  IS_SCROLLING_DEBOUNCE_INTERVAL,
+} from './scrollHelpers';
+
+import type { ItemResizeObserver } from './ItemMeasurer';
 import type { TimeoutID } from './timer';
+import type { ScrollOptions } from './createListComponent';
 
 type Direction = 'ltr' | 'rtl';
 export type ScrollToAlign = 'auto' | 'smart' | 'center' | 'start' | 'end';
 
 type itemSize = number | ((index: number) => number);
 
+type ItemAriaAttributes = {|
+  'aria-colindex': number,
+  'aria-rowindex': number,
+  role: 'gridcell',
+|};
+
 type RenderComponentProps<T> = {|
+  ariaAttributes?: ItemAriaAttributes,
   columnIndex: number,
   data: T,
+  isActive?: boolean,
   isScrolling?: boolean,
   rowIndex: number,
   style: Object,
@@ -25,6 +50,42 @@ export type RenderComponent<T> = React$ComponentType<
 
 type ScrollDirection = 'forward' | 'backward';
 
+// Describes a region of merged cells by its first (top, start) cell and the number of rows and columns it spans.
+// The first cell is rendered across the whole region, and the other cells within it aren't rendered.
+// The "getCellSpan" prop should return the region for any of the cells within it (not just the first one),
+// So that a region is still rendered after its first cell has been scrolled out of view.
+// The prop doesn't need to be memoized; cached styles are only replaced for cells whose spans have changed.
+export type CellSpan = {|
+  columnIndex: number,
+  columnSpan: number,
+  rowIndex: number,
+  rowSpan: number,
+|};
+
+// Describes a scroll position in terms of the first visible cell (and how far it has been scrolled past),
+// So that it can still be restored if the sizes or the number of rows and columns have changed in the meantime.
+// The indices and raw scroll offsets are only used if the cell can no longer be found.
+export type ScrollSnapshot = {|
+  columnIndex: number,
+  columnOffset: number,
+  key: any,
+  rowIndex: number,
+  rowOffset: number,
+  scrollLeft: number,
+  scrollTop: number,
+|};
+
+type CellsRange = {|
+  overscanColumnStartIndex: number,
+  overscanColumnStopIndex: number,
+  overscanRowStartIndex: number,
+  overscanRowStopIndex: number,
+  visibleColumnStartIndex: number,
+  visibleColumnStopIndex: number,
+  visibleRowStartIndex: number,
+  visibleRowStopIndex: number,
+|};
+
 type OnItemsRenderedCallback = ({
   overscanColumnStartIndex: number,
   overscanColumnStopIndex: number,
@@ -44,32 +105,62 @@ type OnScrollCallback = ({
 }) => void;
 
 type ScrollEvent = SyntheticEvent<HTMLDivElement>;
+type KeyboardEvent = SyntheticKeyboardEvent<HTMLDivElement>;
+type ScrollAnchor = {|
+  columnIndex: number,
+  columnOffset: number,
+  rowIndex: number,
+  rowOffset: number,
+|};
 type ItemStyleCache = { [key: string]: Object };
+type ItemCellSpanCache = { [key: string]: CellSpan };
+type PendingScroll = {|
+  columnIndex: number | void,
+  resolve: (isComplete: boolean) => void,
+  rowIndex: number | void,
+|};
+type ScrollOffsets = {|
+  scrollLeft: number,
+  scrollTop: number,
+|};
+type ItemAriaAttributesCache = { [key: string]: ItemAriaAttributes };
 
 type OuterProps = {|
+  'aria-colcount': number | void,
+  'aria-rowcount': number | void,
   children: React$Node,
   className: string | void,
+  onKeyDown: (KeyboardEvent => void) | void,
   onScroll: ScrollEvent => void,
+  role: 'grid' | void,
   style: {
     [string]: mixed,
   },
+  tabIndex: number | void,
 |};
 
 type InnerProps = {|
   children: React$Node,
+  role: 'rowgroup' | void,
   style: {
     [string]: mixed,
   },
 |};
 
 export type Props<T> = {|
+  autoSize: boolean,
   children: RenderComponent<T>,
   className?: string,
   columnCount: number,
   columnWidth: itemSize,
   direction: Direction,
-  height: number,
+  getCellSpan?: (params: {|
+    columnIndex: number,
+    rowIndex: number,
+  |}) => CellSpan | null | void,
+  height?: number,
   initialScrollLeft?: number,
+  initialScrollSnapshot?: ScrollSnapshot,
   initialScrollTop?: number,
   innerRef?: any,
   innerElementType?: string | React$AbstractComponent<InnerProps, any>,
@@ -92,15 +183,29 @@ export type Props<T> = {|
   overscanRowsCount?: number, // deprecated
   rowCount: number,
   rowHeight: itemSize,
+  serverColumnCount?: number,
+  serverHeight?: number,
+  serverRowCount?: number,
+  serverWidth?: number,
+  stickyColumnCount: number,
+  stickyRowCount: number,
   style?: Object,
+  useAriaAttributes: boolean,
   useIsScrolling: boolean,
-  width: number,
+  useKeyboardNavigation: boolean,
+  useScrollAnchoring: boolean,
+  width?: number,
 |};
 
 type State = {|
+  activeColumnIndex: number,
+  activeRowIndex: number,
   instance: any,
   isScrolling: boolean,
+  isServerRender: boolean,
   horizontalScrollDirection: ScrollDirection,
+  outerHeight: number,
+  outerWidth: number,
   scrollLeft: number,
   scrollTop: number,
   scrollUpdateWasRequested: boolean,
@@ -137,10 +242,18 @@ type GetStopIndexForStartIndex = (
   scrollOffset: number,
   instanceProps: any
 ) => number;
+type HandleNewMeasurement = (
+  props: Props<any>,
+  rowIndex: number,
+  columnIndex: number,
+  width: number,
+  height: number,
+  instanceProps: any
+) => boolean;
 type InitInstanceProps = (props: Props<any>, instance: any) => any;
 type ValidateProps = (props: Props<any>) => void;
 
-const IS_SCROLLING_DEBOUNCE_INTERVAL = 150;
+const SMOOTH_SCROLL_DURATION = 300;
 
 const defaultItemKey = ({ columnIndex, data, rowIndex }) =>
   `${rowIndex}:${columnIndex}`;
@@ -171,6 +284,7 @@ export default function createGridComponent({
   getRowOffset,
   getRowStartIndexForOffset,
   getRowStopIndexForStartIndex,
+  handleNewMeasurement,
   initInstanceProps,
   shouldResetStyleCacheOnItemSizeChange,
   validateProps,
@@ -187,33 +301,58 @@ export default function createGridComponent({
   getRowHeight: getItemSize,
   getRowStartIndexForOffset: GetStartIndexForOffset,
   getRowStopIndexForStartIndex: GetStopIndexForStartIndex,
+  handleNewMeasurement: HandleNewMeasurement | null,
   initInstanceProps: InitInstanceProps,
   shouldResetStyleCacheOnItemSizeChange: boolean,
   validateProps: ValidateProps,
 |}) {
   return class Grid<T> extends PureComponent<Props<T>, State> {
     _instanceProps: any = initInstanceProps(this.props, this);
+    // Restoring a snapshot may require cells to be measured, so this has to be read after instance props are initialized.
+    _initialScrollOffsets: {|
+      scrollLeft: number | void,
+      scrollTop: number | void,
+    |} = this._getInitialScrollOffsets();
+    // The most recent cache returned by _getItemStyleCache, so that it can be partially evicted.
+    _itemStyleCache: ItemStyleCache = {};
+    // The spans that the cached styles of merged cells were created with.
+    _itemCellSpanCache: ItemCellSpanCache = {};
+    // Measured items share a single ResizeObserver (if the browser supports it).
+    _itemResizeObserver: ItemResizeObserver | null = createItemResizeObserver();
     _resetIsScrollingTimeoutId: TimeoutID | null = null;
     _outerRef: ?HTMLDivElement;
+    _pendingScroll: PendingScroll | null = null;
+    _resizeObserver: any = null;
+    _scrollAnchor: ScrollAnchor | null = null;
+    _scrollAnimationId: TimeoutID | null = null;
 
     static defaultProps = {
+      autoSize: false,
       direction: 'ltr',
       itemData: undefined,
+      stickyColumnCount: 0,
+      stickyRowCount: 0,
+      useAriaAttributes: false,
       useIsScrolling: false,
+      useKeyboardNavigation: false,
+      useScrollAnchoring: false,
     };
 
     state: State = {
+      activeColumnIndex: 0,
+      activeRowIndex: 0,
       instance: this,
       isScrolling: false,
+      isServerRender:
+        this.props.serverColumnCount != null ||
+        this.props.serverHeight != null ||
+        this.props.serverRowCount != null ||
+        this.props.serverWidth != null,
       horizontalScrollDirection: 'forward',
-      scrollLeft:
-        typeof this.props.initialScrollLeft === 'number'
-          ? this.props.initialScrollLeft
-          : 0,
-      scrollTop:
-        typeof this.props.initialScrollTop === 'number'
-          ? this.props.initialScrollTop
-          : 0,
+      outerHeight: 0,
+      outerWidth: 0,
+      scrollLeft: this._initialScrollOffsets.scrollLeft || 0,
+      scrollTop: this._initialScrollOffsets.scrollTop || 0,
       scrollUpdateWasRequested: false,
       verticalScrollDirection: 'forward',
     };
@@ -234,59 +373,159 @@ export default function createGridComponent({
       return null;
     }
 
+    // Layout queries return the same values that the grid uses to render and position its cells.
+    // Sizes of rows and columns that haven't been measured (or rendered) yet are estimates.
+    getColumnOffset(index: number): number {
+      return getColumnOffset(this.props, index, this._instanceProps);
+    }
+
+    getColumnWidth(index: number): number {
+      return getColumnWidth(this.props, index, this._instanceProps);
+    }
+
+    getEstimatedTotalHeight(): number {
+      return getEstimatedTotalHeight(this.props, this._instanceProps);
+    }
+
+    getEstimatedTotalWidth(): number {
+      return getEstimatedTotalWidth(this.props, this._instanceProps);
+    }
+
+    getRowHeight(index: number): number {
+      return getRowHeight(this.props, index, this._instanceProps);
+    }
+
+    getRowOffset(index: number): number {
+      return getRowOffset(this.props, index, this._instanceProps);
+    }
+
+    getScrollSnapshot(): ScrollSnapshot {
+      const {
+        columnCount,
+        itemData,
+        itemKey = defaultItemKey,
+        rowCount,
+      } = this.props;
+      const { scrollLeft, scrollTop } = this.state;
+
+      if (columnCount === 0 || rowCount === 0) {
+        return {
+          columnIndex: 0,
+          columnOffset: 0,
+          key: null,
+          rowIndex: 0,
+          rowOffset: 0,
+          scrollLeft,
+          scrollTop,
+        };
+      }
+
+      const layoutProps = this._getLayoutProps();
+      const columnIndex = getColumnStartIndexForOffset(
+        layoutProps,
+        scrollLeft,
+        this._instanceProps
+      );
+      const rowIndex = getRowStartIndexForOffset(
+        layoutProps,
+        scrollTop,
+        this._instanceProps
+      );
+
+      return {
+        columnIndex,
+        columnOffset:
+          scrollLeft -
+          getColumnOffset(this.props, columnIndex, this._instanceProps),
+        key: itemKey({ columnIndex, data: itemData, rowIndex }),
+        rowIndex,
+        rowOffset:
+          scrollTop - getRowOffset(this.props, rowIndex, this._instanceProps),
+        scrollLeft,
+        scrollTop,
+      };
+    }
+
+    getVisibleRange(): CellsRange {
+      const [
+        overscanColumnStartIndex,
+        overscanColumnStopIndex,
+        visibleColumnStartIndex,
+        visibleColumnStopIndex,
+      ] = this._getHorizontalRangeToRender();
+      const [
+        overscanRowStartIndex,
+        overscanRowStopIndex,
+        visibleRowStartIndex,
+        visibleRowStopIndex,
+      ] = this._getVerticalRangeToRender();
+
+      return {
+        overscanColumnStartIndex,
+        overscanColumnStopIndex,
+        overscanRowStartIndex,
+        overscanRowStopIndex,
+        visibleColumnStartIndex,
+        visibleColumnStopIndex,
+        visibleRowStartIndex,
+        visibleRowStopIndex,
+      };
+    }
+
+    // Scroll methods return a Promise that resolves to true once the new offsets (and the requested cell) have been rendered,
+    // Or to false if the request is replaced by a newer one (or the grid is unmounted) before then.
     scrollTo({
+      behavior,
+      duration,
+      easing,
       scrollLeft,
       scrollTop,
     }: {
+      ...ScrollOptions,
       scrollLeft: number,
       scrollTop: number,
-    }): void {
-      if (scrollLeft !== undefined) {
-        scrollLeft = Math.max(0, scrollLeft);
-      }
-      if (scrollTop !== undefined) {
-        scrollTop = Math.max(0, scrollTop);
+    }): Promise<boolean> {
+      const promise = this._requestScroll(undefined, undefined);
+
+      if (behavior === 'smooth') {
+        this._animateScroll(
+          () => ({
+            scrollLeft:
+              scrollLeft !== undefined ? scrollLeft : this.state.scrollLeft,
+            scrollTop:
+              scrollTop !== undefined ? scrollTop : this.state.scrollTop,
+          }),
+          { duration, easing }
+        );
+      } else {
+        this._cancelScrollAnimation();
+        this._scrollTo({ scrollLeft, scrollTop });
       }
 
-      this.setState(prevState => {
-        if (scrollLeft === undefined) {
-          scrollLeft = prevState.scrollLeft;
-        }
-        if (scrollTop === undefined) {
-          scrollTop = prevState.scrollTop;
-        }
-
-        if (
-          prevState.scrollLeft === scrollLeft &&
-          prevState.scrollTop === scrollTop
-        ) {
-          return null;
-        }
-
-        return {
-          horizontalScrollDirection:
-            prevState.scrollLeft < scrollLeft ? 'forward' : 'backward',
-          scrollLeft: scrollLeft,
-          scrollTop: scrollTop,
-          scrollUpdateWasRequested: true,
-          verticalScrollDirection:
-            prevState.scrollTop < scrollTop ? 'forward' : 'backward',
-        };
-      }, this._resetIsScrollingDebounced);
+      return promise;
     }
 
     scrollToItem({
       align = 'auto',
+      behavior,
       columnIndex,
+      duration,
+      easing,
       rowIndex,
     }: {
+      ...ScrollOptions,
       align: ScrollToAlign,
       columnIndex?: number,
       rowIndex?: number,
-    }): void {
-      const { columnCount, height, rowCount, width } = this.props;
+    }): Promise<boolean> {
+      const { columnCount, rowCount } = this.props;
       const { scrollLeft, scrollTop } = this.state;
-      const scrollbarSize = getScrollbarSize();
+
+      const stickyColumnCount = Math.min(
+        this.props.stickyColumnCount,
+        columnCount
+      );
+      const stickyRowCount = Math.min(this.props.stickyRowCount, rowCount);
 
       if (columnIndex !== undefined) {
         columnIndex = Math.max(0, Math.min(columnIndex, columnCount - 1));
@@ -295,51 +534,94 @@ export default function createGridComponent({
         rowIndex = Math.max(0, Math.min(rowIndex, rowCount - 1));
       }
 
-      const estimatedTotalHeight = getEstimatedTotalHeight(
-        this.props,
-        this._instanceProps
-      );
-      const estimatedTotalWidth = getEstimatedTotalWidth(
-        this.props,
-        this._instanceProps
-      );
+      const promise = this._requestScroll(columnIndex, rowIndex);
 
-      // The scrollbar size should be considered when scrolling an item into view,
-      // to ensure it's fully visible.
-      // But we only need to account for its size when it's actually visible.
-      const horizontalScrollbarSize =
-        estimatedTotalWidth > width ? scrollbarSize : 0;
-      const verticalScrollbarSize =
-        estimatedTotalHeight > height ? scrollbarSize : 0;
-
-      this.scrollTo({
-        scrollLeft:
-          columnIndex !== undefined
-            ? getOffsetForColumnAndAlignment(
-                this.props,
-                columnIndex,
-                align,
-                scrollLeft,
-                this._instanceProps,
-                verticalScrollbarSize
-              )
-            : scrollLeft,
-        scrollTop:
-          rowIndex !== undefined
-            ? getOffsetForRowAndAlignment(
-                this.props,
-                rowIndex,
-                align,
-                scrollTop,
-                this._instanceProps,
-                horizontalScrollbarSize
-              )
-            : scrollTop,
-      });
+      const getScrollOffsets = (): ScrollOffsets => {
+        const layoutProps = this._getLayoutProps();
+        const height = ((layoutProps.height: any): number);
+        const width = ((layoutProps.width: any): number);
+        const scrollbarSize = getScrollbarSize();
+
+        const estimatedTotalHeight = getEstimatedTotalHeight(
+          this.props,
+          this._instanceProps
+        );
+        const estimatedTotalWidth = getEstimatedTotalWidth(
+          this.props,
+          this._instanceProps
+        );
+
+        // The scrollbar size should be considered when scrolling an item into view,
+        // to ensure it's fully visible.
+        // But we only need to account for its size when it's actually visible.
+        const horizontalScrollbarSize =
+          estimatedTotalWidth > width ? scrollbarSize : 0;
+        const verticalScrollbarSize =
+          estimatedTotalHeight > height ? scrollbarSize : 0;
+
+        // Sticky columns and rows are always visible, so scrolling to one of their cells doesn't scroll at all.
+        // Other cells are scrolled underneath them though,
+        // So they're aligned within the part of the grid that isn't covered by the sticky columns and rows.
+        let nextScrollLeft = scrollLeft;
+        if (columnIndex !== undefined && columnIndex >= stickyColumnCount) {
+          const stickyWidth = getColumnOffset(
+            layoutProps,
+            stickyColumnCount,
+            this._instanceProps
+          );
+
+          nextScrollLeft =
+            getOffsetForColumnAndAlignment(
+              { ...layoutProps, width: width - stickyWidth },
+              columnIndex,
+              align,
+              scrollLeft + stickyWidth,
+              this._instanceProps,
+              verticalScrollbarSize
+            ) - stickyWidth;
+        }
+
+        let nextScrollTop = scrollTop;
+        if (rowIndex !== undefined && rowIndex >= stickyRowCount) {
+          const stickyHeight = getRowOffset(
+            layoutProps,
+            stickyRowCount,
+            this._instanceProps
+          );
+
+          nextScrollTop =
+            getOffsetForRowAndAlignment(
+              { ...layoutProps, height: height - stickyHeight },
+              rowIndex,
+              align,
+              scrollTop + stickyHeight,
+              this._instanceProps,
+              horizontalScrollbarSize
+            ) - stickyHeight;
+        }
+
+        return {
+          scrollLeft: nextScrollLeft,
+          scrollTop: nextScrollTop,
+        };
+      };
+
+      if (behavior === 'smooth') {
+        this._animateScroll(getScrollOffsets, { duration, easing });
+      } else {
+        this._cancelScrollAnimation();
+        this._scrollTo(getScrollOffsets());
+      }
+
+      return promise;
     }
 
     componentDidMount() {
-      const { initialScrollLeft, initialScrollTop } = this.props;
+      const { autoSize } = this.props;
+      const {
+        scrollLeft: initialScrollLeft,
+        scrollTop: initialScrollTop,
+      } = this._initialScrollOffsets;
 
       if (this._outerRef != null) {
         const outerRef = ((this._outerRef: any): HTMLElement);
@@ -351,37 +633,82 @@ export default function createGridComponent({
         }
       }
 
+      // Grids that were rendered on the server show the same (fixed) range until they've been mounted,
+      // So that the first client render matches the server markup.
+      // After that they're rendered again based on their actual size.
+      const { isServerRender } = this.state;
+      if (isServerRender) {
+        this.setState({ isServerRender: false });
+      }
+
+      if (autoSize) {
+        this._observeOuterSize();
+
+        // The size of the grid can only be measured once it has been mounted.
+        if (this._updateOuterSize()) {
+          // Wait for the measured size to be committed before notifying callbacks.
+          return;
+        }
+      }
+
+      if (isServerRender) {
+        // Wait for the new range to be committed before notifying callbacks.
+        return;
+      }
+
+      this._updateScrollAnchor();
       this._callPropsCallbacks();
     }
 
-    componentDidUpdate() {
-      const { direction } = this.props;
+    componentDidUpdate(prevProps: Props<T>, prevState: State) {
+      const { autoSize, direction } = this.props;
       const { scrollLeft, scrollTop, scrollUpdateWasRequested } = this.state;
 
-      if (scrollUpdateWasRequested && this._outerRef != null) {
-        // TRICKY According to the spec, scrollLeft should be negative for RTL aligned elements.
-        // This is not the case for all browsers though (e.g. Chrome reports values as positive, measured relative to the left).
-        // So we need to determine which browser behavior we're dealing with, and mimic it.
-        const outerRef = ((this._outerRef: any): HTMLElement);
-        if (direction === 'rtl') {
-          const isNegative = isRTLOffsetNegative();
-          if (isNegative) {
-            outerRef.scrollLeft = -scrollLeft;
-          } else {
-            const { clientWidth, scrollWidth } = outerRef;
-            outerRef.scrollLeft = scrollWidth - clientWidth - scrollLeft;
+      if (prevProps.autoSize !== autoSize) {
+        if (autoSize) {
+          this._observeOuterSize();
+
+          if (this._updateOuterSize()) {
+            // Wait for the measured size to be committed before notifying callbacks.
+            return;
           }
         } else {
-          outerRef.scrollLeft = Math.max(0, scrollLeft);
+          this._unobserveOuterSize();
+        }
+      }
+
+      // Scrolling (whether by the user or by a scrollTo call) takes precedence over anchoring.
+      if (
+        prevState.scrollLeft === scrollLeft &&
+        prevState.scrollTop === scrollTop
+      ) {
+        if (this._restoreScrollAnchor()) {
+          // A new scroll offset has been requested,
+          // Wait for it to be committed before notifying callbacks.
+          return;
         }
+      }
 
+      if (scrollUpdateWasRequested && this._outerRef != null) {
+        const outerRef = ((this._outerRef: any): HTMLElement);
+        setNormalizedScrollLeft(outerRef, scrollLeft, direction);
         outerRef.scrollTop = Math.max(0, scrollTop);
       }
 
+      this._updateScrollAnchor();
       this._callPropsCallbacks();
+      this._settlePendingScroll();
     }
 
     componentWillUnmount() {
+      this._cancelScrollAnimation();
+      this._cancelPendingScroll();
+      this._unobserveOuterSize();
+
+      if (this._itemResizeObserver !== null) {
+        this._itemResizeObserver.disconnect();
+      }
+
       if (this._resetIsScrollingTimeoutId !== null) {
         cancelTimeout(this._resetIsScrollingTimeoutId);
       }
@@ -389,7 +716,7 @@ export default function createGridComponent({
 
     render() {
       const {
-        children,
+        autoSize,
         className,
         columnCount,
         direction,
@@ -397,13 +724,12 @@ export default function createGridComponent({
         innerRef,
         innerElementType,
         innerTagName,
-        itemData,
-        itemKey = defaultItemKey,
         outerElementType,
         outerTagName,
         rowCount,
         style,
-        useIsScrolling,
+        useAriaAttributes,
+        useKeyboardNavigation,
         width,
       } = this.props;
       const { isScrolling } = this.state;
@@ -414,29 +740,64 @@ export default function createGridComponent({
       ] = this._getHorizontalRangeToRender();
       const [rowStartIndex, rowStopIndex] = this._getVerticalRangeToRender();
 
-      const items = [];
+      const stickyColumnCount = Math.min(
+        this.props.stickyColumnCount,
+        columnCount
+      );
+      const stickyRowCount = Math.min(this.props.stickyRowCount, rowCount);
+
+      let items = [];
       if (columnCount > 0 && rowCount) {
-        for (
-          let rowIndex = rowStartIndex;
-          rowIndex <= rowStopIndex;
-          rowIndex++
-        ) {
-          for (
-            let columnIndex = columnStartIndex;
-            columnIndex <= columnStopIndex;
-            columnIndex++
-          ) {
-            items.push(
-              createElement(children, {
-                columnIndex,
-                data: itemData,
-                isScrolling: useIsScrolling ? isScrolling : undefined,
-                key: itemKey({ columnIndex, data: itemData, rowIndex }),
-                rowIndex,
-                style: this._getItemStyle(rowIndex, columnIndex),
-              })
-            );
-          }
+        // Cells in sticky rows and columns are rendered separately (below).
+        items = this._renderItems(
+          Math.max(rowStartIndex, stickyRowCount),
+          rowStopIndex,
+          Math.max(columnStartIndex, stickyColumnCount),
+          columnStopIndex,
+          false,
+          false
+        );
+
+        // Sticky cells are rendered after the others so that they're drawn on top of them,
+        // With the cells that stick in both directions (in the corner) drawn on top of everything.
+        if (stickyColumnCount > 0) {
+          items.push(
+            this._renderStickyItems(
+              'sticky-columns',
+              Math.max(rowStartIndex, stickyRowCount),
+              rowStopIndex,
+              0,
+              stickyColumnCount - 1,
+              true,
+              false
+            )
+          );
+        }
+        if (stickyRowCount > 0) {
+          items.push(
+            this._renderStickyItems(
+              'sticky-rows',
+              0,
+              stickyRowCount - 1,
+              Math.max(columnStartIndex, stickyColumnCount),
+              columnStopIndex,
+              false,
+              true
+            )
+          );
+        }
+        if (stickyColumnCount > 0 && stickyRowCount > 0) {
+          items.push(
+            this._renderStickyItems(
+              'sticky-corner',
+              0,
+              stickyRowCount - 1,
+              0,
+              stickyColumnCount - 1,
+              true,
+              true
+            )
+          );
         }
       }
 
@@ -454,23 +815,35 @@ export default function createGridComponent({
       return createElement(
         outerElementType || outerTagName || 'div',
         {
+          // Only the rendered cells exist in the DOM,
+          // So the size of the grid (and the position of each cell) is described to assistive technologies.
+          // The grid only has the "grid" role if its cells are given the "gridcell" role (via "ariaAttributes"),
+          // In which case they're grouped into rows (see _renderRows).
+          'aria-colcount': useAriaAttributes ? columnCount : undefined,
+          'aria-rowcount': useAriaAttributes ? rowCount : undefined,
           className,
+          onKeyDown: useKeyboardNavigation ? this._onKeyDown : undefined,
           onScroll: this._onScroll,
           ref: this._outerRefSetter,
+          role: useAriaAttributes ? 'grid' : undefined,
           style: {
             position: 'relative',
-            height,
-            width,
+            // Auto-sized grids fill their parent unless told otherwise.
+            height: autoSize && height == null ? '100%' : height,
+            width: autoSize && width == null ? '100%' : width,
             overflow: 'auto',
             WebkitOverflowScrolling: 'touch',
             willChange: 'transform',
             direction,
             ...style,
           },
+          // The outer element receives focus, so that it can handle key presses for the active cell.
+          tabIndex: useKeyboardNavigation ? 0 : undefined,
         },
         createElement(innerElementType || innerTagName || 'div', {
           children: items,
           ref: innerRef,
+          role: useAriaAttributes ? 'rowgroup' : undefined,
           style: {
             height: estimatedTotalHeight,
             pointerEvents: isScrolling ? 'none' : undefined,
@@ -480,6 +853,46 @@ export default function createGridComponent({
       );
     }
 
+    // Smooth scrolling animates the scroll offsets towards a target that's re-calculated on each frame,
+    // So that the requested cell still ends up in the requested position if the size of rows or columns changes mid-animation.
+    _animateScroll(
+      getScrollOffsets: () => ScrollOffsets,
+      {
+        duration = SMOOTH_SCROLL_DURATION,
+        easing = easeInOutQuad,
+      }: ScrollOptions
+    ): void {
+      this._cancelScrollAnimation();
+
+      let prevEasedProgress = 0;
+      this._scrollAnimationId = requestAnimation(progress => {
+        const { scrollLeft, scrollTop } = this.state;
+        const targetScrollOffsets = getScrollOffsets();
+        const easedProgress = easing(progress);
+
+        if (progress === 1 || prevEasedProgress >= 1) {
+          this._cancelScrollAnimation();
+          this._scrollTo(targetScrollOffsets);
+        } else {
+          // Each frame covers its share of the remaining distance,
+          // Which keeps the animation smooth even if the target (or the scroll offsets) have moved.
+          const step = (from: number, to: number): number =>
+            Math.round(
+              from +
+                (to - from) *
+                  (easedProgress - prevEasedProgress) /
+                  (1 - prevEasedProgress)
+            );
+
+          this._scrollTo({
+            scrollLeft: step(scrollLeft, targetScrollOffsets.scrollLeft),
+            scrollTop: step(scrollTop, targetScrollOffsets.scrollTop),
+          });
+          prevEasedProgress = easedProgress;
+        }
+      }, duration);
+    }
+
     _callOnItemsRendered: (
       overscanColumnStartIndex: number,
       overscanColumnStopIndex: number,
@@ -585,36 +998,148 @@ export default function createGridComponent({
       }
     }
 
+    _cancelPendingScroll(): void {
+      const pendingScroll = this._pendingScroll;
+
+      if (pendingScroll !== null) {
+        this._pendingScroll = null;
+        pendingScroll.resolve(false);
+      }
+    }
+
+    _cancelScrollAnimation(): void {
+      if (this._scrollAnimationId !== null) {
+        cancelTimeout(this._scrollAnimationId);
+        this._scrollAnimationId = null;
+      }
+    }
+
+    _getItemAriaAttributes(
+      rowIndex: number,
+      columnIndex: number
+    ): ItemAriaAttributes {
+      const { columnCount, rowCount } = this.props;
+      const key = `${rowIndex}:${columnIndex}`;
+
+      // Attributes are cached (like styles) so that cells don't re-render unnecessarily.
+      const itemAriaAttributesCache = this._getItemAriaAttributesCache(
+        columnCount,
+        rowCount
+      );
+
+      let ariaAttributes;
+      if (itemAriaAttributesCache.hasOwnProperty(key)) {
+        ariaAttributes = itemAriaAttributesCache[key];
+      } else {
+        itemAriaAttributesCache[key] = ariaAttributes = {
+          'aria-colindex': columnIndex + 1,
+          'aria-rowindex': rowIndex + 1,
+          role: 'gridcell',
+        };
+      }
+
+      return ariaAttributes;
+    }
+
+    _getItemAriaAttributesCache: (_: any, __: any) => ItemAriaAttributesCache;
+    _getItemAriaAttributesCache = memoizeOne((_: any, __: any) => ({}));
+
     // Lazily create and cache item styles while scrolling,
     // So that pure component sCU will prevent re-renders.
     // We maintain this cache, and pass a style prop rather than index,
     // So that List can clear cached styles and force item re-render if necessary.
-    _getItemStyle: (rowIndex: number, columnIndex: number) => Object;
-    _getItemStyle = (rowIndex: number, columnIndex: number): Object => {
-      const { columnWidth, direction, rowHeight } = this.props;
+    _getItemStyle: (
+      rowIndex: number,
+      columnIndex: number,
+      cellSpan: CellSpan | null
+    ) => Object;
+    _getItemStyle = (
+      rowIndex: number,
+      columnIndex: number,
+      cellSpan: CellSpan | null
+    ): Object => {
+      const {
+        columnCount,
+        columnWidth,
+        direction,
+        rowCount,
+        rowHeight,
+      } = this.props;
 
       const itemStyleCache = this._getItemStyleCache(
         shouldResetStyleCacheOnItemSizeChange && columnWidth,
         shouldResetStyleCacheOnItemSizeChange && direction,
         shouldResetStyleCacheOnItemSizeChange && rowHeight
       );
+      const itemCellSpanCache = this._itemCellSpanCache;
 
       const key = `${rowIndex}:${columnIndex}`;
 
+      // Styles of merged cells depend on their spans,
+      // So a cached style is only reused if the cell's span hasn't changed since it was created.
+      const cachedCellSpan = itemCellSpanCache.hasOwnProperty(key)
+        ? itemCellSpanCache[key]
+        : null;
+      const hasSameCellSpan =
+        cellSpan === null || cachedCellSpan === null
+          ? cellSpan === cachedCellSpan
+          : cellSpan.columnSpan === cachedCellSpan.columnSpan &&
+            cellSpan.rowSpan === cachedCellSpan.rowSpan;
+
       let style;
-      if (itemStyleCache.hasOwnProperty(key)) {
+      if (itemStyleCache.hasOwnProperty(key) && hasSameCellSpan) {
         style = itemStyleCache[key];
       } else {
+        // Rows and columns without a known size are measured.
+        // Cells are stretched (rather than sized) to fill them,
+        // So that they can still report their natural size.
+        const isMeasuringRows =
+          handleNewMeasurement !== null && rowHeight == null;
+        const isMeasuringColumns =
+          handleNewMeasurement !== null && columnWidth == null;
+
+        const left = getColumnOffset(
+          this.props,
+          columnIndex,
+          this._instanceProps
+        );
+        const top = getRowOffset(this.props, rowIndex, this._instanceProps);
+
+        // Merged cells extend to the end of the last row and column that they span.
+        const lastRowIndex =
+          cellSpan !== null
+            ? Math.min(rowCount - 1, rowIndex + cellSpan.rowSpan - 1)
+            : rowIndex;
+        const lastColumnIndex =
+          cellSpan !== null
+            ? Math.min(columnCount - 1, columnIndex + cellSpan.columnSpan - 1)
+            : columnIndex;
+
+        // It's important to read sizes after offsets.
+        // Variable size grids compute item metadata as part of getting an offset.
+        const height =
+          getRowOffset(this.props, lastRowIndex, this._instanceProps) +
+          getRowHeight(this.props, lastRowIndex, this._instanceProps) -
+          top;
+        const width =
+          getColumnOffset(this.props, lastColumnIndex, this._instanceProps) +
+          getColumnWidth(this.props, lastColumnIndex, this._instanceProps) -
+          left;
+
+        if (cellSpan !== null) {
+          itemCellSpanCache[key] = cellSpan;
+        } else {
+          delete itemCellSpanCache[key];
+        }
+
         itemStyleCache[key] = style = {
           position: 'absolute',
-          [direction === 'rtl' ? 'right' : 'left']: getColumnOffset(
-            this.props,
-            columnIndex,
-            this._instanceProps
-          ),
-          top: getRowOffset(this.props, rowIndex, this._instanceProps),
-          height: getRowHeight(this.props, rowIndex, this._instanceProps),
-          width: getColumnWidth(this.props, columnIndex, this._instanceProps),
+          [direction === 'rtl' ? 'right' : 'left']: left,
+          top,
+          height: isMeasuringRows ? undefined : height,
+          minHeight: isMeasuringRows ? height : undefined,
+          minWidth: isMeasuringColumns ? width : undefined,
+          width: isMeasuringColumns ? undefined : width,
         };
       }
 
@@ -622,7 +1147,87 @@ export default function createGridComponent({
     };
 
     _getItemStyleCache: (_: any, __: any, ___: any) => ItemStyleCache;
-    _getItemStyleCache = memoizeOne((_: any, __: any, ___: any) => ({}));
+    _getItemStyleCache = memoizeOne((_: any, __: any, ___: any) => {
+      this._itemCellSpanCache = {};
+      return (this._itemStyleCache = {});
+    });
+
+    // Evicts the cached styles of cells in rows or columns at or after the specified indices
+    // (E.g. after their offsets have changed).
+    // Cells before them keep their styles, so that pure cells aren't re-rendered unnecessarily.
+    _evictItemStyleCacheAfterIndices({
+      columnIndex,
+      rowIndex,
+    }: {
+      columnIndex?: number,
+      rowIndex?: number,
+    }): void {
+      const itemCellSpanCache = this._itemCellSpanCache;
+      const itemStyleCache = this._itemStyleCache;
+
+      Object.keys(itemStyleCache).forEach(key => {
+        const [cellRowIndex, cellColumnIndex] = key
+          .split(':')
+          .map(index => parseInt(index, 10));
+
+        // Merged cells may span into the changed rows or columns from before them,
+        // So they're compared by their last row and column.
+        const cellSpan = itemCellSpanCache.hasOwnProperty(key)
+          ? itemCellSpanCache[key]
+          : null;
+        const lastRowIndex =
+          cellSpan !== null
+            ? cellRowIndex + cellSpan.rowSpan - 1
+            : cellRowIndex;
+        const lastColumnIndex =
+          cellSpan !== null
+            ? cellColumnIndex + cellSpan.columnSpan - 1
+            : cellColumnIndex;
+
+        if (
+          (typeof rowIndex === 'number' && lastRowIndex >= rowIndex) ||
+          (typeof columnIndex === 'number' && lastColumnIndex >= columnIndex)
+        ) {
+          delete itemCellSpanCache[key];
+          delete itemStyleCache[key];
+        }
+      });
+    }
+
+    // Returns props with the measured size of the grid in place of the "height" and "width" props,
+    // For grids that are auto-sized.
+    _getLayoutProps(): Props<T> {
+      const { autoSize, height, serverHeight, serverWidth, width } = this.props;
+      const { isServerRender, outerHeight, outerWidth } = this.state;
+
+      if (isServerRender && (serverHeight != null || serverWidth != null)) {
+        return this._getMeasuredLayoutProps(
+          this.props,
+          serverHeight != null
+            ? serverHeight
+            : autoSize
+              ? outerHeight
+              : ((height: any): number),
+          serverWidth != null
+            ? serverWidth
+            : autoSize
+              ? outerWidth
+              : ((width: any): number)
+        );
+      }
+
+      return autoSize
+        ? this._getMeasuredLayoutProps(this.props, outerHeight, outerWidth)
+        : this.props;
+    }
+
+    _getMeasuredLayoutProps = memoizeOne(
+      (props: Props<any>, height: number, width: number): Props<any> => ({
+        ...props,
+        height,
+        width,
+      })
+    );
 
     _getHorizontalRangeToRender(): [number, number, number, number] {
       const {
@@ -631,8 +1236,14 @@ export default function createGridComponent({
         overscanColumnsCount,
         overscanCount,
         rowCount,
+        serverColumnCount,
       } = this.props;
-      const { horizontalScrollDirection, isScrolling, scrollLeft } = this.state;
+      const {
+        horizontalScrollDirection,
+        isScrolling,
+        isServerRender,
+        scrollLeft,
+      } = this.state;
 
       const overscanCountResolved: number =
         overscanColumnCount || overscanColumnsCount || overscanCount || 1;
@@ -641,35 +1252,40 @@ export default function createGridComponent({
         return [0, 0, 0, 0];
       }
 
+      const layoutProps = this._getLayoutProps();
       const startIndex = getColumnStartIndexForOffset(
-        this.props,
+        layoutProps,
         scrollLeft,
         this._instanceProps
       );
+
+      // The server doesn't know the size of the grid, so it renders a fixed number of columns (without overscan).
+      if (isServerRender && serverColumnCount != null) {
+        const serverStopIndex = Math.max(
+          startIndex,
+          Math.min(columnCount - 1, startIndex + serverColumnCount - 1)
+        );
+
+        return [startIndex, serverStopIndex, startIndex, serverStopIndex];
+      }
+
       const stopIndex = getColumnStopIndexForStartIndex(
-        this.props,
+        layoutProps,
         startIndex,
         scrollLeft,
         this._instanceProps
       );
 
-      // Overscan by one item in each direction so that tab/focus works.
-      // If there isn't at least one extra item, tab loops back around.
-      const overscanBackward =
-        !isScrolling || horizontalScrollDirection === 'backward'
-          ? Math.max(1, overscanCountResolved)
-          : 1;
-      const overscanForward =
-        !isScrolling || horizontalScrollDirection === 'forward'
-          ? Math.max(1, overscanCountResolved)
-          : 1;
-
-      return [
-        Math.max(0, startIndex - overscanBackward),
-        Math.max(0, Math.min(columnCount - 1, stopIndex + overscanForward)),
+      const [overscanStartIndex, overscanStopIndex] = getOverscanIndices(
         startIndex,
         stopIndex,
-      ];
+        columnCount,
+        overscanCountResolved,
+        isScrolling,
+        horizontalScrollDirection
+      );
+
+      return [overscanStartIndex, overscanStopIndex, startIndex, stopIndex];
     }
 
     _getVerticalRangeToRender(): [number, number, number, number] {
@@ -679,8 +1295,14 @@ export default function createGridComponent({
         overscanRowCount,
         overscanRowsCount,
         rowCount,
+        serverRowCount,
       } = this.props;
-      const { isScrolling, verticalScrollDirection, scrollTop } = this.state;
+      const {
+        isScrolling,
+        isServerRender,
+        verticalScrollDirection,
+        scrollTop,
+      } = this.state;
 
       const overscanCountResolved: number =
         overscanRowCount || overscanRowsCount || overscanCount || 1;
@@ -689,46 +1311,159 @@ export default function createGridComponent({
         return [0, 0, 0, 0];
       }
 
+      const layoutProps = this._getLayoutProps();
       const startIndex = getRowStartIndexForOffset(
-        this.props,
+        layoutProps,
         scrollTop,
         this._instanceProps
       );
+
+      // The server doesn't know the size of the grid, so it renders a fixed number of rows (without overscan).
+      if (isServerRender && serverRowCount != null) {
+        const serverStopIndex = Math.max(
+          startIndex,
+          Math.min(rowCount - 1, startIndex + serverRowCount - 1)
+        );
+
+        return [startIndex, serverStopIndex, startIndex, serverStopIndex];
+      }
+
       const stopIndex = getRowStopIndexForStartIndex(
-        this.props,
+        layoutProps,
         startIndex,
         scrollTop,
         this._instanceProps
       );
 
-      // Overscan by one item in each direction so that tab/focus works.
-      // If there isn't at least one extra item, tab loops back around.
-      const overscanBackward =
-        !isScrolling || verticalScrollDirection === 'backward'
-          ? Math.max(1, overscanCountResolved)
-          : 1;
-      const overscanForward =
-        !isScrolling || verticalScrollDirection === 'forward'
-          ? Math.max(1, overscanCountResolved)
-          : 1;
-
-      return [
-        Math.max(0, startIndex - overscanBackward),
-        Math.max(0, Math.min(rowCount - 1, stopIndex + overscanForward)),
+      const [overscanStartIndex, overscanStopIndex] = getOverscanIndices(
         startIndex,
         stopIndex,
-      ];
+        rowCount,
+        overscanCountResolved,
+        isScrolling,
+        verticalScrollDirection
+      );
+
+      return [overscanStartIndex, overscanStopIndex, startIndex, stopIndex];
     }
 
+    _handleNewMeasurement = (
+      rowIndex: number,
+      columnIndex: number,
+      width: number,
+      height: number
+    ): void => {
+      if (
+        ((handleNewMeasurement: any): HandleNewMeasurement)(
+          this.props,
+          rowIndex,
+          columnIndex,
+          width,
+          height,
+          this._instanceProps
+        )
+      ) {
+        // Offsets of the rows and columns after this cell may have changed,
+        // So their previously cached styles are no longer valid.
+        this._evictItemStyleCacheAfterIndices({ columnIndex, rowIndex });
+        this.forceUpdate();
+      }
+    };
+
+    // Auto-sized grids measure their outer element (rather than relying on the "height" and "width" props),
+    // And re-measure it whenever a ResizeObserver reports that its size has changed.
+    _observeOuterSize(): void {
+      if (
+        this._outerRef != null &&
+        this._resizeObserver === null &&
+        typeof ResizeObserver !== 'undefined'
+      ) {
+        this._resizeObserver = new ResizeObserver(this._onOuterResize);
+        this._resizeObserver.observe(this._outerRef);
+      }
+    }
+
+    _onOuterResize = (): void => {
+      this._updateOuterSize();
+    };
+
+    // Keyboard navigation moves the active cell (rather than DOM focus) and scrolls it into view.
+    // Arrow keys move by one cell and Page Up/Down by the number of visible rows.
+    // Home/End move to the first/last cell in the row, or (with Ctrl) to the first/last cell in the grid.
+    _onKeyDown = (event: KeyboardEvent): void => {
+      const { columnCount, direction, rowCount } = this.props;
+      const { activeColumnIndex, activeRowIndex } = this.state;
+
+      if (columnCount === 0 || rowCount === 0) {
+        return;
+      }
+
+      const [
+        ,
+        ,
+        visibleRowStartIndex,
+        visibleRowStopIndex,
+      ] = this._getVerticalRangeToRender();
+      const pageSize = Math.max(1, visibleRowStopIndex - visibleRowStartIndex);
+
+      let columnIndex = activeColumnIndex;
+      let rowIndex = activeRowIndex;
+      switch (event.key) {
+        case 'ArrowUp':
+          rowIndex--;
+          break;
+        case 'ArrowDown':
+          rowIndex++;
+          break;
+        case 'ArrowLeft':
+          columnIndex += direction === 'rtl' ? 1 : -1;
+          break;
+        case 'ArrowRight':
+          columnIndex += direction === 'rtl' ? -1 : 1;
+          break;
+        case 'PageUp':
+          rowIndex -= pageSize;
+          break;
+        case 'PageDown':
+          rowIndex += pageSize;
+          break;
+        case 'Home':
+          columnIndex = 0;
+          if (event.ctrlKey) {
+            rowIndex = 0;
+          }
+          break;
+        case 'End':
+          columnIndex = columnCount - 1;
+          if (event.ctrlKey) {
+            rowIndex = rowCount - 1;
+          }
+          break;
+        default:
+          return;
+      }
+
+      // Keys that move the active cell shouldn't also scroll the grid (or the page).
+      event.preventDefault();
+
+      columnIndex = Math.max(0, Math.min(columnIndex, columnCount - 1));
+      rowIndex = Math.max(0, Math.min(rowIndex, rowCount - 1));
+
+      this.setState({
+        activeColumnIndex: columnIndex,
+        activeRowIndex: rowIndex,
+      });
+      this.scrollToItem({ align: 'auto', columnIndex, rowIndex });
+    };
+
     _onScroll = (event: ScrollEvent): void => {
-      const {
-        clientHeight,
-        clientWidth,
-        scrollLeft,
-        scrollTop,
-        scrollHeight,
-        scrollWidth,
-      } = event.currentTarget;
+      const { direction } = this.props;
+      const { scrollLeft, scrollTop } = event.currentTarget;
+      const calculatedScrollLeft = getNormalizedScrollLeft(
+        event.currentTarget,
+        direction
+      );
+      const calculatedScrollTop = getNormalizedScrollTop(event.currentTarget);
       this.setState(prevState => {
         if (
           prevState.scrollLeft === scrollLeft &&
@@ -740,33 +1475,6 @@ export default function createGridComponent({
           return null;
         }
 
-        const { direction } = this.props;
-
-        let calculatedScrollLeft = scrollLeft;
-        if (direction === 'rtl') {
-          const isNegative = isRTLOffsetNegative();
-
-          // TRICKY According to the spec, scrollLeft should be negative for RTL aligned elements.
-          // This is not the case for all browsers though (e.g. Chrome reports values as positive, measured relative to the left).
-          // It's also easier for this component if we convert offsets to the same format as they would be in for ltr.
-          // So the simplest solution is to determine which browser behavior we're dealing with, and convert based on it.
-          if (isNegative) {
-            calculatedScrollLeft = -scrollLeft;
-          } else {
-            calculatedScrollLeft = scrollWidth - clientWidth - scrollLeft;
-          }
-        }
-
-        // Prevent Safari's elastic scrolling from causing visual shaking when scrolling past bounds.
-        calculatedScrollLeft = Math.max(
-          0,
-          Math.min(calculatedScrollLeft, scrollWidth - clientWidth)
-        );
-        const calculatedScrollTop = Math.max(
-          0,
-          Math.min(scrollTop, scrollHeight - clientHeight)
-        );
-
         return {
           isScrolling: true,
           horizontalScrollDirection:
@@ -796,6 +1504,192 @@ export default function createGridComponent({
       }
     };
 
+    _renderItem(
+      rowIndex: number,
+      columnIndex: number,
+      cellSpan: CellSpan | null
+    ): React$Element<any> {
+      const {
+        children,
+        itemData,
+        itemKey = defaultItemKey,
+        useAriaAttributes,
+        useIsScrolling,
+        useKeyboardNavigation,
+      } = this.props;
+      const { activeColumnIndex, activeRowIndex, isScrolling } = this.state;
+
+      const key = itemKey({ columnIndex, data: itemData, rowIndex });
+      const item = createElement(children, {
+        ariaAttributes: useAriaAttributes
+          ? this._getItemAriaAttributes(rowIndex, columnIndex)
+          : undefined,
+        columnIndex,
+        data: itemData,
+        isActive: useKeyboardNavigation
+          ? rowIndex === activeRowIndex && columnIndex === activeColumnIndex
+          : undefined,
+        isScrolling: useIsScrolling ? isScrolling : undefined,
+        key,
+        rowIndex,
+        style: this._getItemStyle(rowIndex, columnIndex, cellSpan),
+      });
+
+      // Merged cells aren't measured, since their size isn't the size of any single row or column.
+      if (handleNewMeasurement !== null && cellSpan === null) {
+        // Cells of unknown size are wrapped so they can report their actual size once rendered.
+        return createElement(ItemMeasurer, {
+          handleNewMeasurement: (width: number, height: number) =>
+            this._handleNewMeasurement(rowIndex, columnIndex, width, height),
+          isStretched: true,
+          resizeObserver: this._itemResizeObserver,
+          item,
+          key,
+        });
+      }
+
+      return item;
+    }
+
+    // Renders the cells within a range, and the merged cells that cover any part of it.
+    // Merged cells are rendered once (from their first cell), even if that cell is outside of the range,
+    // Unless it's in another section of the grid (e.g. a sticky row), in which case that section renders it.
+    _renderItems(
+      rowStartIndex: number,
+      rowStopIndex: number,
+      columnStartIndex: number,
+      columnStopIndex: number,
+      isStickyHorizontally: boolean,
+      isStickyVertically: boolean
+    ): Array<React$Element<any>> {
+      const {
+        columnCount,
+        getCellSpan,
+        rowCount,
+        useAriaAttributes,
+      } = this.props;
+
+      const stickyColumnCount = Math.min(
+        this.props.stickyColumnCount,
+        columnCount
+      );
+      const stickyRowCount = Math.min(this.props.stickyRowCount, rowCount);
+
+      const items = [];
+      // The row of each rendered cell (which differs from the current row for merged cells).
+      const itemRowIndices = [];
+      const renderedCellSpans = {};
+      for (let rowIndex = rowStartIndex; rowIndex <= rowStopIndex; rowIndex++) {
+        for (
+          let columnIndex = columnStartIndex;
+          columnIndex <= columnStopIndex;
+          columnIndex++
+        ) {
+          const cellSpan =
+            typeof getCellSpan === 'function'
+              ? getCellSpan({ columnIndex, rowIndex })
+              : null;
+
+          if (
+            cellSpan == null ||
+            (cellSpan.columnSpan <= 1 && cellSpan.rowSpan <= 1)
+          ) {
+            items.push(this._renderItem(rowIndex, columnIndex, null));
+            itemRowIndices.push(rowIndex);
+          } else {
+            const key = `${cellSpan.rowIndex}:${cellSpan.columnIndex}`;
+            const isInStickyColumns = cellSpan.columnIndex < stickyColumnCount;
+            const isInStickyRows = cellSpan.rowIndex < stickyRowCount;
+
+            if (
+              !renderedCellSpans.hasOwnProperty(key) &&
+              isInStickyColumns === isStickyHorizontally &&
+              isInStickyRows === isStickyVertically
+            ) {
+              renderedCellSpans[key] = true;
+              items.push(
+                this._renderItem(
+                  cellSpan.rowIndex,
+                  cellSpan.columnIndex,
+                  cellSpan
+                )
+              );
+              itemRowIndices.push(cellSpan.rowIndex);
+            }
+          }
+        }
+      }
+
+      return useAriaAttributes
+        ? this._renderRows(items, itemRowIndices)
+        : items;
+    }
+
+    // The "grid" role requires its cells to be owned by elements with the "row" role,
+    // So the cells of each row are wrapped in one.
+    // Rows aren't positioned, so cells are still positioned within the grid (or their sticky container).
+    // Cells of the same row in different sections of the grid (e.g. a sticky column) are wrapped separately.
+    _renderRows(
+      items: Array<React$Element<any>>,
+      itemRowIndices: Array<number>
+    ): Array<React$Element<any>> {
+      const cellsByRow = {};
+      const rowIndices = [];
+      items.forEach((item, itemIndex) => {
+        const rowIndex = itemRowIndices[itemIndex];
+        if (!cellsByRow.hasOwnProperty(rowIndex)) {
+          cellsByRow[rowIndex] = [];
+          rowIndices.push(rowIndex);
+        }
+        cellsByRow[rowIndex].push(item);
+      });
+
+      return rowIndices.map(rowIndex =>
+        createElement('div', {
+          'aria-rowindex': rowIndex + 1,
+          children: cellsByRow[rowIndex],
+          key: rowIndex,
+          role: 'row',
+        })
+      );
+    }
+
+    // Sticky cells are wrapped in an empty, "position: sticky" container at the start of the grid.
+    // Cells are positioned within it the same way as they would be within the grid,
+    // But the container sticks to the top (for sticky rows) and/or the start (for sticky columns) while scrolling.
+    // This way sticky cells stay in place without waiting for a scroll event (and a render) to reposition them.
+    _renderStickyItems(
+      key: string,
+      rowStartIndex: number,
+      rowStopIndex: number,
+      columnStartIndex: number,
+      columnStopIndex: number,
+      isStickyHorizontally: boolean,
+      isStickyVertically: boolean
+    ): React$Element<any> {
+      const { direction } = this.props;
+
+      return createElement('div', {
+        children: this._renderItems(
+          rowStartIndex,
+          rowStopIndex,
+          columnStartIndex,
+          columnStopIndex,
+          isStickyHorizontally,
+          isStickyVertically
+        ),
+        key,
+        style: {
+          position: 'sticky',
+          left: isStickyHorizontally && direction === 'ltr' ? 0 : undefined,
+          right: isStickyHorizontally && direction === 'rtl' ? 0 : undefined,
+          top: isStickyVertically ? 0 : undefined,
+          height: 0,
+          width: 0,
+        },
+      });
+    }
+
     _resetIsScrollingDebounced = () => {
       if (this._resetIsScrollingTimeoutId !== null) {
         cancelTimeout(this._resetIsScrollingTimeoutId);
@@ -813,14 +1707,302 @@ export default function createGridComponent({
       this.setState({ isScrolling: false }, () => {
         // Clear style cache after state update has been committed.
         // This way we don't break pure sCU for items that don't use isScrolling param.
+        // Cached attributes are cleared along with them, so that neither cache grows with every cell scrolled past.
         this._getItemStyleCache(-1);
+        this._getItemAriaAttributesCache(-1, -1);
       });
     };
+
+    _scrollTo({
+      scrollLeft,
+      scrollTop,
+    }: {
+      scrollLeft: number,
+      scrollTop: number,
+    }): void {
+      if (scrollLeft !== undefined) {
+        scrollLeft = Math.max(0, scrollLeft);
+      }
+      if (scrollTop !== undefined) {
+        scrollTop = Math.max(0, scrollTop);
+      }
+
+      this.setState(prevState => {
+        if (scrollLeft === undefined) {
+          scrollLeft = prevState.scrollLeft;
+        }
+        if (scrollTop === undefined) {
+          scrollTop = prevState.scrollTop;
+        }
+
+        if (
+          prevState.scrollLeft === scrollLeft &&
+          prevState.scrollTop === scrollTop
+        ) {
+          return null;
+        }
+
+        return {
+          horizontalScrollDirection:
+            prevState.scrollLeft < scrollLeft ? 'forward' : 'backward',
+          scrollLeft: scrollLeft,
+          scrollTop: scrollTop,
+          scrollUpdateWasRequested: true,
+          verticalScrollDirection:
+            prevState.scrollTop < scrollTop ? 'forward' : 'backward',
+        };
+      }, this._onScrollToCommitted);
+    }
+
+    _onScrollToCommitted = (): void => {
+      this._resetIsScrollingDebounced();
+      this._settlePendingScroll();
+    };
+
+    _requestScroll(
+      columnIndex: number | void,
+      rowIndex: number | void
+    ): Promise<boolean> {
+      this._cancelPendingScroll();
+
+      return new Promise(resolve => {
+        this._pendingScroll = { columnIndex, resolve, rowIndex };
+      });
+    }
+
+    // Scroll anchoring keeps the first visible cell in place when the size of rows or columns before it changes
+    // (e.g. after resetAfterIndices or a new measurement), similar to the browser's CSS scroll anchoring.
+    // The anchor cell and its offsets are recorded after each commit,
+    // And the scroll offsets are adjusted if the cell has moved by the time of the next commit.
+    _restoreScrollAnchor(): boolean {
+      const { columnCount, rowCount, useScrollAnchoring } = this.props;
+      const { scrollLeft, scrollTop } = this.state;
+      const scrollAnchor = this._scrollAnchor;
+
+      if (
+        !useScrollAnchoring ||
+        scrollAnchor === null ||
+        scrollAnchor.columnIndex >= columnCount ||
+        scrollAnchor.rowIndex >= rowCount
+      ) {
+        return false;
+      }
+
+      const columnOffset = getColumnOffset(
+        this.props,
+        scrollAnchor.columnIndex,
+        this._instanceProps
+      );
+      const rowOffset = getRowOffset(
+        this.props,
+        scrollAnchor.rowIndex,
+        this._instanceProps
+      );
+      const adjustedScrollLeft = Math.max(
+        0,
+        scrollLeft + columnOffset - scrollAnchor.columnOffset
+      );
+      const adjustedScrollTop = Math.max(
+        0,
+        scrollTop + rowOffset - scrollAnchor.rowOffset
+      );
+
+      if (
+        adjustedScrollLeft === scrollLeft &&
+        adjustedScrollTop === scrollTop
+      ) {
+        return false;
+      }
+
+      this._scrollAnchor = {
+        columnIndex: scrollAnchor.columnIndex,
+        columnOffset,
+        rowIndex: scrollAnchor.rowIndex,
+        rowOffset,
+      };
+      this._scrollTo({
+        scrollLeft: adjustedScrollLeft,
+        scrollTop: adjustedScrollTop,
+      });
+
+      return true;
+    }
+
+    // Pending scroll requests are settled once they've been committed (and any animation has finished),
+    // And the requested cell is within the rendered range.
+    _settlePendingScroll(): void {
+      const pendingScroll = this._pendingScroll;
+
+      if (pendingScroll === null || this._scrollAnimationId !== null) {
+        return;
+      }
+
+      const { columnIndex, rowIndex } = pendingScroll;
+      if (columnIndex !== undefined) {
+        const [
+          columnStartIndex,
+          columnStopIndex,
+        ] = this._getHorizontalRangeToRender();
+
+        if (columnIndex < columnStartIndex || columnIndex > columnStopIndex) {
+          return;
+        }
+      }
+      if (rowIndex !== undefined) {
+        const [rowStartIndex, rowStopIndex] = this._getVerticalRangeToRender();
+
+        if (rowIndex < rowStartIndex || rowIndex > rowStopIndex) {
+          return;
+        }
+      }
+
+      this._pendingScroll = null;
+      pendingScroll.resolve(true);
+    }
+
+    _unobserveOuterSize(): void {
+      if (this._resizeObserver !== null) {
+        this._resizeObserver.disconnect();
+        this._resizeObserver = null;
+      }
+    }
+
+    // Returns true if the size of the outer element changed.
+    _updateOuterSize(): boolean {
+      const outerRef = this._outerRef;
+
+      if (outerRef == null) {
+        return false;
+      }
+
+      const outerHeight = outerRef.offsetHeight;
+      const outerWidth = outerRef.offsetWidth;
+
+      if (
+        this.state.outerHeight === outerHeight &&
+        this.state.outerWidth === outerWidth
+      ) {
+        return false;
+      }
+
+      this.setState(
+        prevState =>
+          prevState.outerHeight === outerHeight &&
+          prevState.outerWidth === outerWidth
+            ? null
+            : { outerHeight, outerWidth }
+      );
+
+      return true;
+    }
+
+    _updateScrollAnchor(): void {
+      const { columnCount, rowCount, useScrollAnchoring } = this.props;
+
+      if (useScrollAnchoring && columnCount > 0 && rowCount > 0) {
+        const [, , columnIndex] = this._getHorizontalRangeToRender();
+        const [, , rowIndex] = this._getVerticalRangeToRender();
+
+        this._scrollAnchor = {
+          columnIndex,
+          columnOffset: getColumnOffset(
+            this.props,
+            columnIndex,
+            this._instanceProps
+          ),
+          rowIndex,
+          rowOffset: getRowOffset(this.props, rowIndex, this._instanceProps),
+        };
+      } else {
+        this._scrollAnchor = null;
+      }
+    }
+
+    // Searching every cell could take a long time,
+    // So only the snapshot's column (in case rows were added or removed) and its row (in case columns were) are searched.
+    _findCellIndices(
+      key: any,
+      columnIndexHint: number,
+      rowIndexHint: number
+    ): [number, number] | null {
+      const {
+        columnCount,
+        itemData,
+        itemKey = defaultItemKey,
+        rowCount,
+      } = this.props;
+
+      const isCell = (columnIndex: number, rowIndex: number): boolean =>
+        itemKey({ columnIndex, data: itemData, rowIndex }) === key;
+
+      if (columnIndexHint < columnCount) {
+        for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+          if (isCell(columnIndexHint, rowIndex)) {
+            return [columnIndexHint, rowIndex];
+          }
+        }
+      }
+
+      if (rowIndexHint < rowCount) {
+        for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+          if (isCell(columnIndex, rowIndexHint)) {
+            return [columnIndex, rowIndexHint];
+          }
+        }
+      }
+
+      return null;
+    }
+
+    // Snapshots take precedence over "initialScrollLeft" and "initialScrollTop".
+    _getInitialScrollOffsets(): {|
+      scrollLeft: number | void,
+      scrollTop: number | void,
+    |} {
+      const {
+        initialScrollLeft,
+        initialScrollSnapshot,
+        initialScrollTop,
+      } = this.props;
+
+      if (initialScrollSnapshot != null) {
+        const {
+          columnIndex,
+          columnOffset,
+          key,
+          rowIndex,
+          rowOffset,
+          scrollLeft,
+          scrollTop,
+        } = initialScrollSnapshot;
+        const cellIndices = this._findCellIndices(key, columnIndex, rowIndex);
+
+        if (cellIndices === null) {
+          return { scrollLeft, scrollTop };
+        }
+
+        return {
+          scrollLeft: Math.max(
+            0,
+            getColumnOffset(this.props, cellIndices[0], this._instanceProps) +
+              columnOffset
+          ),
+          scrollTop: Math.max(
+            0,
+            getRowOffset(this.props, cellIndices[1], this._instanceProps) +
+              rowOffset
+          ),
+        };
+      }
+
+      return { scrollLeft: initialScrollLeft, scrollTop: initialScrollTop };
+    }
   };
 }
 
 const validateSharedProps = (
   {
+    autoSize,
     children,
     direction,
     height,
@@ -891,7 +2073,8 @@ const validateSharedProps = (
         );
     }
 
-    if (typeof width !== 'number') {
+    // Grids that are auto-sized are measured instead.
+    if (!autoSize && typeof width !== 'number') {
       throw Error(
         'An invalid "width" prop has been specified. ' +
           'Grids must specify a number for width. ' +
@@ -899,7 +2082,7 @@ const validateSharedProps = (
       );
     }
 
-    if (typeof height !== 'number') {
+    if (!autoSize && typeof height !== 'number') {
       throw Error(
         'An invalid "height" prop has been specified. ' +
           'Grids must specify a number for height. ' +
@@ -2,21 +2,51 @@
 
 import memoizeOne from 'memoize-one';
 import { createElement, PureComponent } from 'react';
-import { cancelTimeout, requestTimeout } from './timer';
-import { isRTLOffsetNegative } from './domHelpers';
-
+import ItemMeasurer, { createItemResizeObserver } from './ItemMeasurer';
+import {
+  cancelTimeout,
+  easeInOutQuad,
+  requestAnimation,
+  requestTimeout,
+} from './timer';
+import {
+  getNormalizedScrollLeft,
+  getNormalizedScrollTop,
+  setNormalizedScrollLeft,
+} from './domHelpers';
+import {
+  getOverscanIndices,
+  IS_SCROLLING_DEBOUNCE_INTERVAL,
+} from './scrollHelpers';
+
+import type { ScrollStateCache } from './createScrollStateCache';
+import type { ItemResizeObserver } from './ItemMeasurer';
 import type { TimeoutID } from './timer';
 
 export type ScrollToAlign = 'auto' | 'smart' | 'center' | 'start' | 'end';
 
+export type ScrollOptions = {|
+  behavior?: 'auto' | 'smooth',
+  duration?: number,
+  easing?: (progress: number) => number,
+|};
+
 type itemSize = number | ((index: number) => number);
 // TODO Deprecate directions "horizontal" and "vertical"
 type Direction = 'ltr' | 'rtl' | 'horizontal' | 'vertical';
 type Layout = 'horizontal' | 'vertical';
 
+type ItemAriaAttributes = {|
+  'aria-posinset': number,
+  'aria-setsize': number,
+  role: 'listitem',
+|};
+
 type RenderComponentProps<T> = {|
+  ariaAttributes?: ItemAriaAttributes,
   data: T,
   index: number,
+  isActive?: boolean,
   isScrolling?: boolean,
   style: Object,
 |};
@@ -24,12 +54,30 @@ type RenderComponent<T> = React$ComponentType<$Shape<RenderComponentProps<T>>>;
 
 type ScrollDirection = 'forward' | 'backward';
 
+// Describes a scroll position in terms of the first visible item (and how far it has been scrolled past),
+// So that it can still be restored if the sizes or the number of items have changed in the meantime.
+// The index and raw scroll offset are only used if the item can no longer be found.
+export type ScrollSnapshot = {|
+  index: number,
+  key: any,
+  offset: number,
+  scrollOffset: number,
+|};
+
+type ItemsRange = {|
+  overscanStartIndex: number,
+  overscanStopIndex: number,
+  visibleStartIndex: number,
+  visibleStopIndex: number,
+|};
+
 type onItemsRenderedCallback = ({
   overscanStartIndex: number,
   overscanStopIndex: number,
   visibleStartIndex: number,
   visibleStopIndex: number,
 }) => void;
+type onIsAtEndChangeCallback = (isAtEnd: boolean) => void;
 type onScrollCallback = ({
   scrollDirection: ScrollDirection,
   scrollOffset: number,
@@ -37,15 +85,34 @@ type onScrollCallback = ({
 }) => void;
 
 type ScrollEvent = SyntheticEvent<HTMLDivElement>;
+type KeyboardEvent = SyntheticKeyboardEvent<HTMLDivElement>;
+type ScrollAnchor = {|
+  index: number,
+  offset: number,
+|};
+type PendingScroll = {|
+  index: number | null,
+  resolve: (isComplete: boolean) => void,
+|};
+type StickyIndexCache = {|
+  isStickyIndex: (index: number) => boolean,
+  itemCount: number,
+  stickyIndex: number,
+  visibleStartIndex: number,
+|};
 type ItemStyleCache = { [index: number]: Object };
+type ItemAriaAttributesCache = { [index: number]: ItemAriaAttributes };
 
 type OuterProps = {|
   children: React$Node,
   className: string | void,
+  onKeyDown: (KeyboardEvent => void) | void,
   onScroll: ScrollEvent => void,
+  role: 'list' | void,
   style: {
     [string]: mixed,
   },
+  tabIndex: number | void,
 |};
 
 type InnerProps = {|
@@ -56,34 +123,54 @@ type InnerProps = {|
 |};
 
 export type Props<T> = {|
+  anchorToEnd: boolean,
+  autoSize: boolean,
   children: RenderComponent<T>,
   className?: string,
   direction: Direction,
-  height: number | string,
+  firstItemIndex: number,
+  height?: number | string,
   initialScrollOffset?: number,
+  initialScrollSnapshot?: ScrollSnapshot,
   innerRef?: any,
   innerElementType?: string | React$AbstractComponent<InnerProps, any>,
   innerTagName?: string, // deprecated
+  isStickyIndex?: (index: number) => boolean,
   itemCount: number,
   itemData: T,
   itemKey?: (index: number, data: T) => any,
   itemSize: itemSize,
   layout: Layout,
+  onIsAtEndChange?: onIsAtEndChangeCallback,
   onItemsRendered?: onItemsRenderedCallback,
   onScroll?: onScrollCallback,
   outerRef?: any,
   outerElementType?: string | React$AbstractComponent<OuterProps, any>,
   outerTagName?: string, // deprecated
   overscanCount: number,
+  scrollElement?: HTMLElement | typeof window | null,
+  scrollStateCache?: ScrollStateCache,
+  scrollStateKey?: any,
+  serverHeight?: number,
+  serverItemCount?: number,
+  serverWidth?: number,
   style?: Object,
+  useAriaAttributes: boolean,
   useIsScrolling: boolean,
+  useKeyboardNavigation: boolean,
+  useScrollAnchoring: boolean,
   width: number | string,
 |};
 
 type State = {|
+  activeIndex: number,
+  firstItemIndex: number,
   instance: any,
   isScrolling: boolean,
+  isServerRender: boolean,
+  outerSize: number,
   scrollDirection: ScrollDirection,
+  scrollElementSize: number,
   scrollOffset: number,
   scrollUpdateWasRequested: boolean,
 |};
@@ -117,10 +204,21 @@ type GetStopIndexForStartIndex = (
   scrollOffset: number,
   instanceProps: any
 ) => number;
+type HandleNewMeasurement = (
+  props: Props<any>,
+  index: number,
+  size: number,
+  instanceProps: any
+) => boolean;
 type InitInstanceProps = (props: Props<any>, instance: any) => any;
+type ShiftItems = (
+  props: Props<any>,
+  count: number,
+  instanceProps: any
+) => void;
 type ValidateProps = (props: Props<any>) => void;
 
-const IS_SCROLLING_DEBOUNCE_INTERVAL = 150;
+const SMOOTH_SCROLL_DURATION = 300;
 
 const defaultItemKey = (index: number, data: any) => index;
 
@@ -142,7 +240,9 @@ export default function createListComponent({
   getOffsetForIndexAndAlignment,
   getStartIndexForOffset,
   getStopIndexForStartIndex,
+  handleNewMeasurement,
   initInstanceProps,
+  shiftItems,
   shouldResetStyleCacheOnItemSizeChange,
   validateProps,
 }: {|
@@ -152,31 +252,59 @@ export default function createListComponent({
   getOffsetForIndexAndAlignment: GetOffsetForIndexAndAlignment,
   getStartIndexForOffset: GetStartIndexForOffset,
   getStopIndexForStartIndex: GetStopIndexForStartIndex,
+  handleNewMeasurement: HandleNewMeasurement | null,
   initInstanceProps: InitInstanceProps,
+  shiftItems: ShiftItems | null,
   shouldResetStyleCacheOnItemSizeChange: boolean,
   validateProps: ValidateProps,
 |}) {
   return class List<T> extends PureComponent<Props<T>, State> {
     _instanceProps: any = initInstanceProps(this.props, this);
+    // Restoring a snapshot may require items to be measured, so this has to be read after instance props are initialized.
+    _initialScrollOffset: number | void = this._getInitialScrollOffset();
+    // The most recent cache returned by _getItemStyleCache, so that it can be partially evicted.
+    _itemStyleCache: ItemStyleCache = {};
+    // Measured items share a single ResizeObserver (if the browser supports it).
+    _itemResizeObserver: ItemResizeObserver | null = createItemResizeObserver();
     _outerRef: ?HTMLDivElement;
+    _pendingScroll: PendingScroll | null = null;
+    _resizeObserver: any = null;
     _resetIsScrollingTimeoutId: TimeoutID | null = null;
+    _scrollAnchor: ScrollAnchor | null = null;
+    _scrollAnimationId: TimeoutID | null = null;
+    _shiftedFirstItemIndex: number = this.props.firstItemIndex;
+    _shiftedScrollDelta: number = 0;
+    // The sticky item found by the previous render, so that only the items scrolled past since then are checked.
+    _stickyIndexCache: StickyIndexCache | null = null;
+    _wasAtEnd: boolean = false;
 
     static defaultProps = {
+      anchorToEnd: false,
+      autoSize: false,
       direction: 'ltr',
+      firstItemIndex: 0,
       itemData: undefined,
       layout: 'vertical',
       overscanCount: 2,
+      useAriaAttributes: false,
       useIsScrolling: false,
+      useKeyboardNavigation: false,
+      useScrollAnchoring: false,
     };
 
     state: State = {
+      activeIndex: 0,
+      firstItemIndex: this.props.firstItemIndex,
       instance: this,
       isScrolling: false,
+      isServerRender:
+        this.props.serverHeight != null ||
+        this.props.serverItemCount != null ||
+        this.props.serverWidth != null,
+      outerSize: 0,
       scrollDirection: 'forward',
-      scrollOffset:
-        typeof this.props.initialScrollOffset === 'number'
-          ? this.props.initialScrollOffset
-          : 0,
+      scrollElementSize: 0,
+      scrollOffset: this._initialScrollOffset || 0,
       scrollUpdateWasRequested: false,
     };
 
@@ -193,44 +321,136 @@ export default function createListComponent({
     ): $Shape<State> | null {
       validateSharedProps(nextProps, prevState);
       validateProps(nextProps);
-      return null;
-    }
 
-    scrollTo(scrollOffset: number): void {
-      scrollOffset = Math.max(0, scrollOffset);
+      // Items have been added to (or removed from) the start of the list.
+      // Move the scroll offset by the size of those items so that the same content stays in view.
+      if (prevState.firstItemIndex !== nextProps.firstItemIndex) {
+        const scrollDelta = prevState.instance._shiftItems(nextProps);
 
-      this.setState(prevState => {
-        if (prevState.scrollOffset === scrollOffset) {
-          return null;
-        }
         return {
-          scrollDirection:
-            prevState.scrollOffset < scrollOffset ? 'forward' : 'backward',
-          scrollOffset: scrollOffset,
+          activeIndex: Math.max(
+            0,
+            prevState.activeIndex +
+              prevState.firstItemIndex -
+              nextProps.firstItemIndex
+          ),
+          firstItemIndex: nextProps.firstItemIndex,
+          scrollOffset: Math.max(0, prevState.scrollOffset + scrollDelta),
           scrollUpdateWasRequested: true,
         };
-      }, this._resetIsScrollingDebounced);
+      }
+
+      return null;
+    }
+
+    // Layout queries return the same values that the list uses to render and position its items.
+    // Sizes of items that haven't been measured (or rendered) yet are estimates.
+    getEstimatedTotalSize(): number {
+      return getEstimatedTotalSize(this.props, this._instanceProps);
+    }
+
+    getItemOffset(index: number): number {
+      return getItemOffset(this.props, index, this._instanceProps);
+    }
+
+    getItemSize(index: number): number {
+      return getItemSize(this.props, index, this._instanceProps);
+    }
+
+    getScrollSnapshot(): ScrollSnapshot {
+      const { itemCount, itemData, itemKey = defaultItemKey } = this.props;
+      const { scrollOffset } = this.state;
+
+      if (itemCount === 0) {
+        return { index: 0, key: null, offset: 0, scrollOffset };
+      }
+
+      const index = getStartIndexForOffset(
+        this._getLayoutProps(),
+        scrollOffset,
+        this._instanceProps
+      );
+
+      return {
+        index,
+        key: itemKey(index, itemData),
+        offset:
+          scrollOffset - getItemOffset(this.props, index, this._instanceProps),
+        scrollOffset,
+      };
     }
 
-    scrollToItem(index: number, align: ScrollToAlign = 'auto'): void {
+    getVisibleRange(): ItemsRange {
+      const [
+        overscanStartIndex,
+        overscanStopIndex,
+        visibleStartIndex,
+        visibleStopIndex,
+      ] = this._getRangeToRender();
+
+      return {
+        overscanStartIndex,
+        overscanStopIndex,
+        visibleStartIndex,
+        visibleStopIndex,
+      };
+    }
+
+    // Scroll methods return a Promise that resolves to true once the new offset (and the requested item) has been rendered,
+    // Or to false if the request is replaced by a newer one (or the list is unmounted) before then.
+    scrollTo(scrollOffset: number, options?: ScrollOptions): Promise<boolean> {
+      const promise = this._requestScroll(null);
+
+      if (options != null && options.behavior === 'smooth') {
+        this._animateScroll(() => scrollOffset, options);
+      } else {
+        this._cancelScrollAnimation();
+        this._scrollTo(scrollOffset);
+      }
+
+      return promise;
+    }
+
+    scrollToItem(
+      index: number,
+      align: ScrollToAlign = 'auto',
+      options?: ScrollOptions
+    ): Promise<boolean> {
       const { itemCount } = this.props;
       const { scrollOffset } = this.state;
 
       index = Math.max(0, Math.min(index, itemCount - 1));
 
-      this.scrollTo(
+      const promise = this._requestScroll(index);
+
+      const getScrollOffset = () =>
         getOffsetForIndexAndAlignment(
-          this.props,
+          this._getLayoutProps(),
           index,
           align,
           scrollOffset,
           this._instanceProps
-        )
-      );
+        );
+
+      if (options != null && options.behavior === 'smooth') {
+        this._animateScroll(getScrollOffset, options);
+      } else {
+        this._cancelScrollAnimation();
+        this._scrollTo(getScrollOffset());
+      }
+
+      return promise;
     }
 
     componentDidMount() {
-      const { direction, initialScrollOffset, layout } = this.props;
+      const {
+        anchorToEnd,
+        autoSize,
+        direction,
+        layout,
+        scrollElement,
+      } = this.props;
+      const initialScrollOffset = this._initialScrollOffset;
 
       if (typeof initialScrollOffset === 'number' && this._outerRef != null) {
         const outerRef = ((this._outerRef: any): HTMLElement);
@@ -242,40 +462,153 @@ export default function createListComponent({
         }
       }
 
+      // Lists that are anchored to the end start out scrolled to the end.
+      if (typeof initialScrollOffset !== 'number' && anchorToEnd) {
+        this._wasAtEnd = true;
+      }
+
+      if (autoSize) {
+        this._observeOuterSize();
+      }
+      if (scrollElement != null) {
+        this._addScrollElementListeners(scrollElement);
+      }
+
+      // Lists that were rendered on the server show the same (fixed) range until they've been mounted,
+      // So that the first client render matches the server markup.
+      // After that they're rendered again based on their actual size.
+      const { isServerRender } = this.state;
+      if (isServerRender) {
+        this.setState({ isServerRender: false });
+      }
+
+      // The size of the list (or its offset within the scroll element) can only be measured once it has been mounted.
+      if (
+        (autoSize && this._updateOuterSize()) ||
+        (scrollElement != null && this._updateScrollElementState()) ||
+        isServerRender
+      ) {
+        // Wait for the measurements to be committed before notifying callbacks.
+        return;
+      }
+
+      if (this._followEnd()) {
+        // Wait for the new scroll offset to be committed before notifying callbacks.
+        return;
+      }
+
+      this._updateScrollAnchor();
       this._callPropsCallbacks();
     }
 
-    componentDidUpdate() {
-      const { direction, layout } = this.props;
+    componentDidUpdate(prevProps: Props<T>, prevState: State) {
+      const {
+        autoSize,
+        direction,
+        layout,
+        scrollElement,
+        scrollStateCache,
+        scrollStateKey,
+      } = this.props;
       const { scrollOffset, scrollUpdateWasRequested } = this.state;
 
+      // A list that is reused for different content (e.g. a nested list that is rendered for another row)
+      // Stores the offset of the previous content and restores the offset of the new content.
+      if (
+        prevProps.scrollStateKey !== scrollStateKey &&
+        scrollStateCache != null
+      ) {
+        if (prevProps.scrollStateCache != null) {
+          prevProps.scrollStateCache.set(
+            prevProps.scrollStateKey,
+            prevState.scrollOffset
+          );
+        }
+
+        const cachedScrollOffset = scrollStateCache.get(scrollStateKey);
+
+        this._cancelScrollAnimation();
+        this._scrollTo(
+          cachedScrollOffset !== undefined ? cachedScrollOffset : 0
+        );
+      }
+
+      if (prevProps.autoSize !== autoSize) {
+        if (autoSize) {
+          this._observeOuterSize();
+
+          if (this._updateOuterSize()) {
+            // Wait for the measured size to be committed before notifying callbacks.
+            return;
+          }
+        } else {
+          this._unobserveOuterSize();
+        }
+      }
+
+      if (prevProps.scrollElement !== scrollElement) {
+        if (prevProps.scrollElement != null) {
+          this._removeScrollElementListeners(prevProps.scrollElement);
+        }
+        if (scrollElement != null) {
+          this._addScrollElementListeners(scrollElement);
+
+          if (this._updateScrollElementState()) {
+            // Wait for the measured offset to be committed before notifying callbacks.
+            return;
+          }
+        }
+      }
+
+      // Scrolling (whether by the user or by a scrollTo call) takes precedence over anchoring,
+      // Unless the scroll offset was only changed to account for items added to (or removed from) the start.
+      if (
+        prevState.scrollOffset === scrollOffset ||
+        prevState.firstItemIndex !== this.state.firstItemIndex
+      ) {
+        if (this._followEnd() || this._restoreScrollAnchor()) {
+          // A new scroll offset has been requested,
+          // Wait for it to be committed before notifying callbacks.
+          return;
+        }
+      }
+
       if (scrollUpdateWasRequested && this._outerRef != null) {
         const outerRef = ((this._outerRef: any): HTMLElement);
-        // TODO Deprecate direction "horizontal"
-        if (direction === 'horizontal' || layout === 'horizontal') {
-          if (direction === 'rtl') {
-            // TRICKY According to the spec, scrollLeft should be negative for RTL aligned elements.
-            // This is not the case for all browsers though (e.g. Chrome reports values as positive, measured relative to the left).
-            // So we need to determine which browser behavior we're dealing with, and mimic it.
-            const isNegative = isRTLOffsetNegative();
-            if (isNegative) {
-              outerRef.scrollLeft = -scrollOffset;
-            } else {
-              const { clientWidth, scrollWidth } = outerRef;
-              outerRef.scrollLeft = scrollWidth - clientWidth - scrollOffset;
-            }
-          } else {
-            outerRef.scrollLeft = scrollOffset;
-          }
+        if (scrollElement != null) {
+          this._scrollScrollElement(scrollOffset);
+        } else if (direction === 'horizontal' || layout === 'horizontal') {
+          // TODO Deprecate direction "horizontal"
+          setNormalizedScrollLeft(outerRef, scrollOffset, direction);
         } else {
           outerRef.scrollTop = scrollOffset;
         }
       }
 
+      this._updateScrollAnchor();
       this._callPropsCallbacks();
+      this._settlePendingScroll();
     }
 
     componentWillUnmount() {
+      const { scrollElement, scrollStateCache, scrollStateKey } = this.props;
+
+      if (scrollStateCache != null) {
+        scrollStateCache.set(scrollStateKey, this.state.scrollOffset);
+      }
+
+      this._cancelScrollAnimation();
+      this._cancelPendingScroll();
+      this._unobserveOuterSize();
+
+      if (this._itemResizeObserver !== null) {
+        this._itemResizeObserver.disconnect();
+      }
+
+      if (scrollElement != null) {
+        this._removeScrollElementListeners(scrollElement);
+      }
+
       if (this._resetIsScrollingTimeoutId !== null) {
         cancelTimeout(this._resetIsScrollingTimeoutId);
       }
@@ -283,7 +616,7 @@ export default function createListComponent({
 
     render() {
       const {
-        children,
+        autoSize,
         className,
         direction,
         height,
@@ -291,13 +624,13 @@ export default function createListComponent({
         innerElementType,
         innerTagName,
         itemCount,
-        itemData,
-        itemKey = defaultItemKey,
         layout,
         outerElementType,
         outerTagName,
+        scrollElement,
         style,
-        useIsScrolling,
+        useAriaAttributes,
+        useKeyboardNavigation,
         width,
       } = this.props;
       const { isScrolling } = this.state;
@@ -310,20 +643,27 @@ export default function createListComponent({
         ? this._onScrollHorizontal
         : this._onScrollVertical;
 
-      const [startIndex, stopIndex] = this._getRangeToRender();
+      const [
+        startIndex,
+        stopIndex,
+        visibleStartIndex,
+      ] = this._getRangeToRender();
 
       const items = [];
       if (itemCount > 0) {
+        const stickyIndex = this._getStickyIndex(visibleStartIndex);
+
         for (let index = startIndex; index <= stopIndex; index++) {
-          items.push(
-            createElement(children, {
-              data: itemData,
-              key: itemKey(index, itemData),
-              index,
-              isScrolling: useIsScrolling ? isScrolling : undefined,
-              style: this._getItemStyle(index),
-            })
-          );
+          // The active sticky item is rendered separately (below).
+          if (index !== stickyIndex) {
+            items.push(this._renderItem(index, this._getItemStyle(index)));
+          }
+        }
+
+        // The active sticky item is rendered even if it's outside of the range,
+        // And after the other items so that it's drawn on top of them.
+        if (stickyIndex !== -1) {
+          items.push(this._renderStickyItem(stickyIndex, stopIndex));
         }
       }
 
@@ -338,18 +678,27 @@ export default function createListComponent({
         outerElementType || outerTagName || 'div',
         {
           className,
+          onKeyDown: useKeyboardNavigation ? this._onKeyDown : undefined,
           onScroll,
           ref: this._outerRefSetter,
+          // Only the rendered items exist in the DOM,
+          // So each item describes its position (and the size of the list) to assistive technologies.
+          // The list only has the "list" role if its items are given the "listitem" role (via "ariaAttributes").
+          role: useAriaAttributes ? 'list' : undefined,
           style: {
             position: 'relative',
-            height,
-            width,
-            overflow: 'auto',
+            // Auto-sized lists fill their parent unless told otherwise.
+            height: autoSize && height == null ? '100%' : height,
+            width: autoSize && width == null ? '100%' : width,
+            // Lists that are scrolled by another element (e.g. the window) grow to fit their items.
+            overflow: scrollElement != null ? 'visible' : 'auto',
             WebkitOverflowScrolling: 'touch',
             willChange: 'transform',
             direction,
             ...style,
           },
+          // The outer element receives focus, so that it can handle key presses for the active item.
+          tabIndex: useKeyboardNavigation ? 0 : undefined,
         },
         createElement(innerElementType || innerTagName || 'div', {
           children: items,
@@ -363,6 +712,58 @@ export default function createListComponent({
       );
     }
 
+    // Smooth scrolling animates the scroll offset towards a target that's re-calculated on each frame,
+    // So that the requested item still ends up in the requested position if the size of items changes mid-animation.
+    _animateScroll(
+      getScrollOffset: () => number,
+      {
+        duration = SMOOTH_SCROLL_DURATION,
+        easing = easeInOutQuad,
+      }: ScrollOptions
+    ): void {
+      this._cancelScrollAnimation();
+
+      let prevEasedProgress = 0;
+      this._scrollAnimationId = requestAnimation(progress => {
+        const { scrollOffset } = this.state;
+        const targetScrollOffset = getScrollOffset();
+        const easedProgress = easing(progress);
+
+        if (progress === 1 || prevEasedProgress >= 1) {
+          this._cancelScrollAnimation();
+          this._scrollTo(targetScrollOffset);
+        } else {
+          // Each frame covers its share of the remaining distance,
+          // Which keeps the animation smooth even if the target (or the scroll offset) has moved.
+          this._scrollTo(
+            Math.round(
+              scrollOffset +
+                (targetScrollOffset - scrollOffset) *
+                  (easedProgress - prevEasedProgress) /
+                  (1 - prevEasedProgress)
+            )
+          );
+          prevEasedProgress = easedProgress;
+        }
+      }, duration);
+    }
+
+    _cancelPendingScroll(): void {
+      const pendingScroll = this._pendingScroll;
+
+      if (pendingScroll !== null) {
+        this._pendingScroll = null;
+        pendingScroll.resolve(false);
+      }
+    }
+
+    _cancelScrollAnimation(): void {
+      if (this._scrollAnimationId !== null) {
+        cancelTimeout(this._scrollAnimationId);
+        this._scrollAnimationId = null;
+      }
+    }
+
     _callOnItemsRendered: (
       overscanStartIndex: number,
       overscanStopIndex: number,
@@ -384,6 +785,11 @@ export default function createListComponent({
         })
     );
 
+    _callOnIsAtEndChange: (isAtEnd: boolean) => void;
+    _callOnIsAtEndChange = memoizeOne((isAtEnd: boolean) =>
+      ((this.props.onIsAtEndChange: any): onIsAtEndChangeCallback)(isAtEnd)
+    );
+
     _callOnScroll: (
       scrollDirection: ScrollDirection,
       scrollOffset: number,
@@ -433,8 +839,37 @@ export default function createListComponent({
           scrollUpdateWasRequested
         );
       }
+
+      if (typeof this.props.onIsAtEndChange === 'function') {
+        this._callOnIsAtEndChange(this._isAtEnd());
+      }
+    }
+
+    _getItemAriaAttributes(index: number): ItemAriaAttributes {
+      const { itemCount } = this.props;
+
+      // Attributes are cached (like styles) so that items don't re-render unnecessarily.
+      const itemAriaAttributesCache = this._getItemAriaAttributesCache(
+        itemCount
+      );
+
+      let ariaAttributes;
+      if (itemAriaAttributesCache.hasOwnProperty(index)) {
+        ariaAttributes = itemAriaAttributesCache[index];
+      } else {
+        itemAriaAttributesCache[index] = ariaAttributes = {
+          'aria-posinset': index + 1,
+          'aria-setsize': itemCount,
+          role: 'listitem',
+        };
+      }
+
+      return ariaAttributes;
     }
 
+    _getItemAriaAttributesCache: (_: any) => ItemAriaAttributesCache;
+    _getItemAriaAttributesCache = memoizeOne((_: any) => ({}));
+
     // Lazily create and cache item styles while scrolling,
     // So that pure component sCU will prevent re-renders.
     // We maintain this cache, and pass a style prop rather than index,
@@ -454,7 +889,12 @@ export default function createListComponent({
         style = itemStyleCache[index];
       } else {
         const offset = getItemOffset(this.props, index, this._instanceProps);
-        const size = getItemSize(this.props, index, this._instanceProps);
+
+        // Measured items are left to size themselves along the layout axis.
+        const size =
+          handleNewMeasurement !== null
+            ? undefined
+            : getItemSize(this.props, index, this._instanceProps);
 
         // TODO Deprecate direction "horizontal"
         const isHorizontal =
@@ -473,49 +913,217 @@ export default function createListComponent({
     };
 
     _getItemStyleCache: (_: any, __: any, ___: any) => ItemStyleCache;
-    _getItemStyleCache = memoizeOne((_: any, __: any, ___: any) => ({}));
+    _getItemStyleCache = memoizeOne(
+      (_: any, __: any, ___: any) => (this._itemStyleCache = {})
+    );
+
+    // Evicts the cached styles of items at or after the specified index (e.g. after their offsets have changed).
+    // Items before it keep their styles, so that pure items aren't re-rendered unnecessarily.
+    _evictItemStyleCacheAfterIndex(index: number): void {
+      const itemStyleCache = this._itemStyleCache;
+
+      Object.keys(itemStyleCache).forEach(key => {
+        if (parseInt(key, 10) >= index) {
+          delete itemStyleCache[(key: any)];
+        }
+      });
+    }
 
     _getRangeToRender(): [number, number, number, number] {
-      const { itemCount, overscanCount } = this.props;
-      const { isScrolling, scrollDirection, scrollOffset } = this.state;
+      const { itemCount, overscanCount, serverItemCount } = this.props;
+      const {
+        isScrolling,
+        isServerRender,
+        scrollDirection,
+        scrollOffset,
+      } = this.state;
 
       if (itemCount === 0) {
         return [0, 0, 0, 0];
       }
 
+      const layoutProps = this._getLayoutProps();
       const startIndex = getStartIndexForOffset(
-        this.props,
+        layoutProps,
         scrollOffset,
         this._instanceProps
       );
+
+      // The server doesn't know the size of the list, so it renders a fixed number of items (without overscan).
+      if (isServerRender && serverItemCount != null) {
+        const serverStopIndex = Math.max(
+          startIndex,
+          Math.min(itemCount - 1, startIndex + serverItemCount - 1)
+        );
+
+        return [startIndex, serverStopIndex, startIndex, serverStopIndex];
+      }
       const stopIndex = getStopIndexForStartIndex(
-        this.props,
+        layoutProps,
         startIndex,
         scrollOffset,
         this._instanceProps
       );
 
-      // Overscan by one item in each direction so that tab/focus works.
-      // If there isn't at least one extra item, tab loops back around.
-      const overscanBackward =
-        !isScrolling || scrollDirection === 'backward'
-          ? Math.max(1, overscanCount)
-          : 1;
-      const overscanForward =
-        !isScrolling || scrollDirection === 'forward'
-          ? Math.max(1, overscanCount)
-          : 1;
-
-      return [
-        Math.max(0, startIndex - overscanBackward),
-        Math.max(0, Math.min(itemCount - 1, stopIndex + overscanForward)),
+      const [overscanStartIndex, overscanStopIndex] = getOverscanIndices(
         startIndex,
         stopIndex,
-      ];
+        itemCount,
+        overscanCount,
+        isScrolling,
+        scrollDirection
+      );
+
+      return [overscanStartIndex, overscanStopIndex, startIndex, stopIndex];
+    }
+
+    // The active sticky item is the last one (e.g. the header of the group) at or before the first visible item.
+    // Searching backwards from the first visible item on every render would be O(n),
+    // So the previous result is reused (as long as the items haven't changed) and only the delta is searched.
+    _getStickyIndex(visibleStartIndex: number): number {
+      const { isStickyIndex, itemCount } = this.props;
+
+      if (typeof isStickyIndex !== 'function') {
+        return -1;
+      }
+
+      // Without a previous result, items are searched all the way back to the start of the list.
+      let stopIndex = -1;
+      let stickyIndex = -1;
+
+      const cache = this._stickyIndexCache;
+      if (
+        cache !== null &&
+        cache.isStickyIndex === isStickyIndex &&
+        cache.itemCount === itemCount
+      ) {
+        if (visibleStartIndex >= cache.visibleStartIndex) {
+          // Scrolling forward, only the items that were scrolled past can contain a later sticky item.
+          stopIndex = cache.visibleStartIndex;
+          stickyIndex = cache.stickyIndex;
+        } else if (visibleStartIndex >= cache.stickyIndex) {
+          // Scrolling backward within the same section.
+          stopIndex = visibleStartIndex;
+          stickyIndex = cache.stickyIndex;
+        }
+      }
+
+      for (let index = visibleStartIndex; index > stopIndex; index--) {
+        if (isStickyIndex(index)) {
+          stickyIndex = index;
+          break;
+        }
+      }
+
+      this._stickyIndexCache = {
+        isStickyIndex,
+        itemCount,
+        stickyIndex,
+        visibleStartIndex,
+      };
+
+      return stickyIndex;
     }
 
+    _getStickyItemStyle: (
+      direction: Direction,
+      isHorizontal: boolean,
+      size: number | void
+    ) => Object;
+    _getStickyItemStyle = memoizeOne(
+      (direction: Direction, isHorizontal: boolean, size: number | void) => ({
+        position: 'sticky',
+        [direction === 'rtl' ? 'right' : 'left']: 0,
+        top: 0,
+        height: !isHorizontal ? size : '100%',
+        width: isHorizontal ? size : '100%',
+        // The section containing the item ignores pointer events (see _renderStickyItem).
+        pointerEvents: 'auto',
+      })
+    );
+
+    _handleNewMeasurement = (index: number, size: number): void => {
+      if (
+        ((handleNewMeasurement: any): HandleNewMeasurement)(
+          this.props,
+          index,
+          size,
+          this._instanceProps
+        )
+      ) {
+        // Offsets of the items after this one have changed,
+        // So their previously cached styles are no longer valid.
+        this._evictItemStyleCacheAfterIndex(index);
+        this.forceUpdate();
+      }
+    };
+
+    // Keyboard navigation moves the active item (rather than DOM focus) and scrolls it into view.
+    // Arrow keys move by one item, Page Up/Down by the number of visible items, and Home/End to the first/last item.
+    _onKeyDown = (event: KeyboardEvent): void => {
+      const { direction, itemCount, layout } = this.props;
+      const { activeIndex } = this.state;
+
+      if (itemCount === 0) {
+        return;
+      }
+
+      let backwardKey = 'ArrowUp';
+      let forwardKey = 'ArrowDown';
+      // TODO Deprecate direction "horizontal"
+      if (direction === 'horizontal' || layout === 'horizontal') {
+        backwardKey = direction === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+        forwardKey = direction === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+      }
+
+      const [
+        ,
+        ,
+        visibleStartIndex,
+        visibleStopIndex,
+      ] = this._getRangeToRender();
+      const pageSize = Math.max(1, visibleStopIndex - visibleStartIndex);
+
+      let index;
+      switch (event.key) {
+        case backwardKey:
+          index = activeIndex - 1;
+          break;
+        case forwardKey:
+          index = activeIndex + 1;
+          break;
+        case 'PageUp':
+          index = activeIndex - pageSize;
+          break;
+        case 'PageDown':
+          index = activeIndex + pageSize;
+          break;
+        case 'Home':
+          index = 0;
+          break;
+        case 'End':
+          index = itemCount - 1;
+          break;
+        default:
+          return;
+      }
+
+      // Keys that move the active item shouldn't also scroll the list (or the page).
+      event.preventDefault();
+
+      index = Math.max(0, Math.min(index, itemCount - 1));
+
+      this.setState({ activeIndex: index });
+      this.scrollToItem(index, 'auto');
+    };
+
     _onScrollHorizontal = (event: ScrollEvent): void => {
-      const { clientWidth, scrollLeft, scrollWidth } = event.currentTarget;
+      const { direction } = this.props;
+      const { scrollLeft } = event.currentTarget;
+      const scrollOffset = getNormalizedScrollLeft(
+        event.currentTarget,
+        direction
+      );
       this.setState(prevState => {
         if (prevState.scrollOffset === scrollLeft) {
           // Scroll position may have been updated by cDM/cDU,
@@ -524,29 +1132,6 @@ export default function createListComponent({
           return null;
         }
 
-        const { direction } = this.props;
-
-        let scrollOffset = scrollLeft;
-        if (direction === 'rtl') {
-          const isNegative = isRTLOffsetNegative();
-
-          // TRICKY According to the spec, scrollLeft should be negative for RTL aligned elements.
-          // This is not the case for all browsers though (e.g. Chrome reports values as positive, measured relative to the left).
-          // It's also easier for this component if we convert offsets to the same format as they would be in for ltr.
-          // So the simplest solution is to determine which browser behavior we're dealing with, and convert based on it.
-          if (isNegative) {
-            scrollOffset = -scrollLeft;
-          } else {
-            scrollOffset = scrollWidth - clientWidth - scrollLeft;
-          }
-        }
-
-        // Prevent Safari's elastic scrolling from causing visual shaking when scrolling past bounds.
-        scrollOffset = Math.max(
-          0,
-          Math.min(scrollOffset, scrollWidth - clientWidth)
-        );
-
         return {
           isScrolling: true,
           scrollDirection:
@@ -558,7 +1143,8 @@ export default function createListComponent({
     };
 
     _onScrollVertical = (event: ScrollEvent): void => {
-      const { clientHeight, scrollHeight, scrollTop } = event.currentTarget;
+      const { scrollTop } = event.currentTarget;
+      const scrollOffset = getNormalizedScrollTop(event.currentTarget);
       this.setState(prevState => {
         if (prevState.scrollOffset === scrollTop) {
           // Scroll position may have been updated by cDM/cDU,
@@ -567,12 +1153,6 @@ export default function createListComponent({
           return null;
         }
 
-        // Prevent Safari's elastic scrolling from causing visual shaking when scrolling past bounds.
-        const scrollOffset = Math.max(
-          0,
-          Math.min(scrollTop, scrollHeight - clientHeight)
-        );
-
         return {
           isScrolling: true,
           scrollDirection:
@@ -599,6 +1179,104 @@ export default function createListComponent({
       }
     };
 
+    _renderItem(index: number, style: Object): React$Element<any> {
+      const {
+        children,
+        direction,
+        itemData,
+        itemKey = defaultItemKey,
+        layout,
+        useAriaAttributes,
+        useIsScrolling,
+        useKeyboardNavigation,
+      } = this.props;
+      const { activeIndex, isScrolling } = this.state;
+
+      const key = itemKey(index, itemData);
+      const item = createElement(children, {
+        ariaAttributes: useAriaAttributes
+          ? this._getItemAriaAttributes(index)
+          : undefined,
+        data: itemData,
+        key,
+        index,
+        isActive: useKeyboardNavigation ? index === activeIndex : undefined,
+        isScrolling: useIsScrolling ? isScrolling : undefined,
+        style,
+      });
+
+      if (handleNewMeasurement !== null) {
+        // TODO Deprecate direction "horizontal"
+        const isHorizontal =
+          direction === 'horizontal' || layout === 'horizontal';
+
+        // Items of unknown size are wrapped so they can report their actual size once rendered.
+        return createElement(ItemMeasurer, {
+          handleNewMeasurement: (width: number, height: number) =>
+            this._handleNewMeasurement(index, isHorizontal ? width : height),
+          isStretched: false,
+          resizeObserver: this._itemResizeObserver,
+          item,
+          key,
+        });
+      }
+
+      return item;
+    }
+
+    // The active sticky item is wrapped in a container that spans its section of the list,
+    // From the item itself up to the next sticky item (or the end of the rendered items).
+    // Within that container the item is positioned as "sticky", so that it sticks to the start of the list
+    // Until the end of the section (i.e. the next sticky item) pushes it away, without waiting for a render.
+    _renderStickyItem(index: number, stopIndex: number): React$Element<any> {
+      const { direction, isStickyIndex, layout } = this.props;
+
+      // TODO Deprecate direction "horizontal"
+      const isHorizontal =
+        direction === 'horizontal' || layout === 'horizontal';
+
+      let sectionStopIndex = index + 1;
+      while (
+        sectionStopIndex <= stopIndex &&
+        !((isStickyIndex: any): (index: number) => boolean)(sectionStopIndex)
+      ) {
+        sectionStopIndex++;
+      }
+
+      const offset = getItemOffset(this.props, index, this._instanceProps);
+      const sectionStopOffset =
+        sectionStopIndex <= stopIndex
+          ? getItemOffset(this.props, sectionStopIndex, this._instanceProps)
+          : getItemOffset(this.props, stopIndex, this._instanceProps) +
+            getItemSize(this.props, stopIndex, this._instanceProps);
+
+      // Measured items are left to size themselves along the layout axis.
+      const size =
+        handleNewMeasurement !== null
+          ? undefined
+          : getItemSize(this.props, index, this._instanceProps);
+
+      return createElement(
+        'div',
+        {
+          key: 'sticky',
+          style: {
+            position: 'absolute',
+            [direction === 'rtl' ? 'right' : 'left']: isHorizontal ? offset : 0,
+            top: !isHorizontal ? offset : 0,
+            height: !isHorizontal ? sectionStopOffset - offset : '100%',
+            width: isHorizontal ? sectionStopOffset - offset : '100%',
+            // The container overlaps the other items in its section.
+            pointerEvents: 'none',
+          },
+        },
+        this._renderItem(
+          index,
+          this._getStickyItemStyle(direction, isHorizontal, size)
+        )
+      );
+    }
+
     _resetIsScrollingDebounced = () => {
       if (this._resetIsScrollingTimeoutId !== null) {
         cancelTimeout(this._resetIsScrollingTimeoutId);
@@ -619,6 +1297,483 @@ export default function createListComponent({
         this._getItemStyleCache(-1, null);
       });
     };
+
+    // Scroll anchoring keeps the first visible item in place when the size of items before it changes
+    // (e.g. after resetAfterIndex or a new measurement), similar to the browser's CSS scroll anchoring.
+    // The anchor item and its offset are recorded after each commit,
+    // And the scroll offset is adjusted if the item has moved by the time of the next commit.
+    _restoreScrollAnchor(): boolean {
+      const { itemCount, useScrollAnchoring } = this.props;
+      const { scrollOffset } = this.state;
+      const scrollAnchor = this._scrollAnchor;
+
+      if (
+        !useScrollAnchoring ||
+        scrollAnchor === null ||
+        scrollAnchor.index >= itemCount
+      ) {
+        return false;
+      }
+
+      const offset = getItemOffset(
+        this.props,
+        scrollAnchor.index,
+        this._instanceProps
+      );
+      const adjustedScrollOffset = Math.max(
+        0,
+        scrollOffset + offset - scrollAnchor.offset
+      );
+
+      if (adjustedScrollOffset === scrollOffset) {
+        return false;
+      }
+
+      this._scrollAnchor = { index: scrollAnchor.index, offset };
+      this._scrollTo(adjustedScrollOffset);
+
+      return true;
+    }
+
+    _updateScrollAnchor(): void {
+      const { itemCount, useScrollAnchoring } = this.props;
+
+      this._wasAtEnd = this._isAtEnd();
+
+      if (useScrollAnchoring && itemCount > 0) {
+        const [, , visibleStartIndex] = this._getRangeToRender();
+
+        this._scrollAnchor = {
+          index: visibleStartIndex,
+          offset: getItemOffset(
+            this.props,
+            visibleStartIndex,
+            this._instanceProps
+          ),
+        };
+      } else {
+        this._scrollAnchor = null;
+      }
+    }
+
+    _scrollTo(scrollOffset: number): void {
+      scrollOffset = Math.max(0, scrollOffset);
+
+      this.setState(prevState => {
+        if (prevState.scrollOffset === scrollOffset) {
+          return null;
+        }
+        return {
+          scrollDirection:
+            prevState.scrollOffset < scrollOffset ? 'forward' : 'backward',
+          scrollOffset: scrollOffset,
+          scrollUpdateWasRequested: true,
+        };
+      }, this._onScrollToCommitted);
+    }
+
+    _onScrollToCommitted = (): void => {
+      this._resetIsScrollingDebounced();
+      this._settlePendingScroll();
+    };
+
+    _requestScroll(index: number | null): Promise<boolean> {
+      this._cancelPendingScroll();
+
+      return new Promise(resolve => {
+        this._pendingScroll = { index, resolve };
+      });
+    }
+
+    // Pending scroll requests are settled once they've been committed (and any animation has finished),
+    // And the requested item is within the rendered range.
+    _settlePendingScroll(): void {
+      const pendingScroll = this._pendingScroll;
+
+      if (pendingScroll === null || this._scrollAnimationId !== null) {
+        return;
+      }
+
+      const { index } = pendingScroll;
+      if (index !== null) {
+        const [startIndex, stopIndex] = this._getRangeToRender();
+
+        if (index < startIndex || index > stopIndex) {
+          return;
+        }
+      }
+
+      this._pendingScroll = null;
+      pendingScroll.resolve(true);
+    }
+
+    // Decreasing the "firstItemIndex" prop by N signals that N items were inserted at the start of the list
+    // (and increasing it signals that items were removed from the start).
+    // Cached layout information is moved along with the items it describes,
+    // And the returned delta is the size of the inserted (or removed) items.
+    // This method is called during render (by gDSFP) so it should be safe to call more than once,
+    // Which is why the most recent shift is remembered rather than applied again.
+    _shiftItems(nextProps: Props<T>): number {
+      const count = this._shiftedFirstItemIndex - nextProps.firstItemIndex;
+
+      if (count !== 0) {
+        let scrollDelta = 0;
+
+        if (count < 0) {
+          // The size of removed items is only known before the cache is shifted.
+          scrollDelta = -this._getSizeOfItems(
+            this.props,
+            Math.min(-count, this.props.itemCount)
+          );
+        }
+
+        if (shiftItems !== null) {
+          shiftItems(nextProps, count, this._instanceProps);
+        }
+
+        if (count > 0) {
+          scrollDelta = this._getSizeOfItems(
+            nextProps,
+            Math.min(count, nextProps.itemCount)
+          );
+        }
+
+        // Cached styles belong to the old indices.
+        this._getItemStyleCache(-1);
+
+        // The anchor item moves along with the rest of the items.
+        // It's restored after the shift has been committed, in case the inserted items are measured by then.
+        const scrollAnchor = this._scrollAnchor;
+        if (scrollAnchor !== null && scrollAnchor.index + count >= 0) {
+          this._scrollAnchor = {
+            index: scrollAnchor.index + count,
+            offset: scrollAnchor.offset + scrollDelta,
+          };
+        } else {
+          this._scrollAnchor = null;
+        }
+
+        this._shiftedFirstItemIndex = nextProps.firstItemIndex;
+        this._shiftedScrollDelta = scrollDelta;
+      }
+
+      return this._shiftedScrollDelta;
+    }
+
+    // Lists that are anchored to the end follow new content (e.g. new chat messages),
+    // But only while the end of the list was visible as of the previous commit.
+    // Once the user scrolls away from the end, the list stops following until they scroll back.
+    _followEnd(): boolean {
+      const { anchorToEnd, itemCount } = this.props;
+      const { scrollOffset } = this.state;
+
+      if (!anchorToEnd || !this._wasAtEnd || itemCount === 0) {
+        return false;
+      }
+
+      const endScrollOffset = getOffsetForIndexAndAlignment(
+        this._getLayoutProps(),
+        itemCount - 1,
+        'end',
+        scrollOffset,
+        this._instanceProps
+      );
+
+      if (endScrollOffset === scrollOffset) {
+        return false;
+      }
+
+      this._scrollTo(endScrollOffset);
+
+      return true;
+    }
+
+    _isAtEnd(): boolean {
+      const { direction, height, layout, width } = this._getLayoutProps();
+      const { scrollOffset } = this.state;
+
+      // TODO Deprecate direction "horizontal"
+      const isHorizontal =
+        direction === 'horizontal' || layout === 'horizontal';
+      const size = ((isHorizontal ? width : height): any);
+      const estimatedTotalSize = getEstimatedTotalSize(
+        this.props,
+        this._instanceProps
+      );
+
+      // Browsers may report fractional scroll offsets, so allow for some rounding.
+      return scrollOffset + size >= estimatedTotalSize - 1;
+    }
+
+    // Auto-sized lists measure their outer element (rather than relying on the "height" or "width" prop),
+    // And re-measure it whenever a ResizeObserver reports that its size has changed.
+    _observeOuterSize(): void {
+      if (
+        this._outerRef != null &&
+        this._resizeObserver === null &&
+        typeof ResizeObserver !== 'undefined'
+      ) {
+        this._resizeObserver = new ResizeObserver(this._onOuterResize);
+        this._resizeObserver.observe(this._outerRef);
+      }
+    }
+
+    _onOuterResize = (): void => {
+      this._updateOuterSize();
+    };
+
+    _unobserveOuterSize(): void {
+      if (this._resizeObserver !== null) {
+        this._resizeObserver.disconnect();
+        this._resizeObserver = null;
+      }
+    }
+
+    // Returns true if the size of the outer element changed.
+    _updateOuterSize(): boolean {
+      const { direction, layout } = this.props;
+      const outerRef = this._outerRef;
+
+      if (outerRef == null) {
+        return false;
+      }
+
+      // TODO Deprecate direction "horizontal"
+      const outerSize =
+        direction === 'horizontal' || layout === 'horizontal'
+          ? outerRef.offsetWidth
+          : outerRef.offsetHeight;
+
+      if (this.state.outerSize === outerSize) {
+        return false;
+      }
+
+      this.setState(
+        prevState => (prevState.outerSize === outerSize ? null : { outerSize })
+      );
+
+      return true;
+    }
+
+    // Lists can be scrolled by the window (or another element that contains them) instead of their own outer element.
+    // In that case the scroll offset of the list is its distance from the start of the scroll element's viewport,
+    // And the size of the list (along its layout axis) is the size of that viewport.
+    _addScrollElementListeners(
+      scrollElement: HTMLElement | typeof window
+    ): void {
+      scrollElement.addEventListener('scroll', this._onScrollElementScroll);
+      window.addEventListener('resize', this._onScrollElementScroll);
+    }
+
+    // Returns props with the measured size of the list in place of the "height" (or "width") prop,
+    // For lists that are auto-sized or scrolled by another element.
+    _getLayoutProps(): Props<T> {
+      const {
+        autoSize,
+        direction,
+        layout,
+        scrollElement,
+        serverHeight,
+        serverWidth,
+      } = this.props;
+      const { isServerRender, outerSize, scrollElementSize } = this.state;
+
+      // TODO Deprecate direction "horizontal"
+      const serverSize =
+        direction === 'horizontal' || layout === 'horizontal'
+          ? serverWidth
+          : serverHeight;
+
+      if (isServerRender && serverSize != null) {
+        return this._getMeasuredLayoutProps(this.props, serverSize);
+      } else if (scrollElement != null) {
+        return this._getMeasuredLayoutProps(this.props, scrollElementSize);
+      } else if (autoSize) {
+        return this._getMeasuredLayoutProps(this.props, outerSize);
+      } else {
+        return this.props;
+      }
+    }
+
+    _getMeasuredLayoutProps = memoizeOne(
+      (props: Props<any>, size: number): Props<any> => {
+        const { direction, layout } = props;
+
+        // TODO Deprecate direction "horizontal"
+        return direction === 'horizontal' || layout === 'horizontal'
+          ? { ...props, width: size }
+          : { ...props, height: size };
+      }
+    );
+
+    // Returns the offset of the list within the scroll element's viewport
+    // (negative if the list starts after the start of the viewport) and the size of that viewport.
+    _measureScrollElement(): [number, number] {
+      const { direction, layout } = this.props;
+      const scrollElement = (this.props.scrollElement: any);
+      const outerRect = ((this
+        ._outerRef: any): HTMLElement).getBoundingClientRect();
+
+      let viewportLeft = 0;
+      let viewportRight = window.innerWidth;
+      let viewportTop = 0;
+      let viewportHeight = window.innerHeight;
+      let viewportWidth = window.innerWidth;
+      if (scrollElement !== window) {
+        const rect = scrollElement.getBoundingClientRect();
+        viewportLeft = rect.left;
+        viewportRight = rect.right;
+        viewportTop = rect.top;
+        viewportHeight = scrollElement.clientHeight;
+        viewportWidth = scrollElement.clientWidth;
+      }
+
+      // TODO Deprecate direction "horizontal"
+      if (direction === 'horizontal' || layout === 'horizontal') {
+        return [
+          direction === 'rtl'
+            ? outerRect.right - viewportRight
+            : viewportLeft - outerRect.left,
+          viewportWidth,
+        ];
+      } else {
+        return [viewportTop - outerRect.top, viewportHeight];
+      }
+    }
+
+    _onScrollElementScroll = (): void => {
+      this._updateScrollElementState();
+    };
+
+    _removeScrollElementListeners(
+      scrollElement: HTMLElement | typeof window
+    ): void {
+      scrollElement.removeEventListener('scroll', this._onScrollElementScroll);
+      window.removeEventListener('resize', this._onScrollElementScroll);
+    }
+
+    _scrollScrollElement(scrollOffset: number): void {
+      const { direction, layout } = this.props;
+      const scrollElement = (this.props.scrollElement: any);
+      const [currentScrollOffset] = this._measureScrollElement();
+      const delta = scrollOffset - currentScrollOffset;
+
+      // TODO Deprecate direction "horizontal"
+      if (direction === 'horizontal' || layout === 'horizontal') {
+        // RTL lists scroll towards the left.
+        const deltaX = direction === 'rtl' ? -delta : delta;
+        if (scrollElement === window) {
+          window.scrollBy(deltaX, 0);
+        } else {
+          scrollElement.scrollLeft += deltaX;
+        }
+      } else {
+        if (scrollElement === window) {
+          window.scrollBy(0, delta);
+        } else {
+          scrollElement.scrollTop += delta;
+        }
+      }
+    }
+
+    // Returns true if the scroll offset (or the size of the viewport) changed.
+    _updateScrollElementState(): boolean {
+      if (this._outerRef == null) {
+        return false;
+      }
+
+      const [offset, size] = this._measureScrollElement();
+      const scrollOffset = Math.max(0, offset);
+
+      if (
+        this.state.scrollOffset === scrollOffset &&
+        this.state.scrollElementSize === size
+      ) {
+        return false;
+      }
+
+      this.setState(prevState => {
+        if (
+          prevState.scrollOffset === scrollOffset &&
+          prevState.scrollElementSize === size
+        ) {
+          return null;
+        }
+
+        return {
+          isScrolling:
+            prevState.scrollOffset !== scrollOffset || prevState.isScrolling,
+          scrollDirection:
+            prevState.scrollOffset < scrollOffset ? 'forward' : 'backward',
+          scrollElementSize: size,
+          scrollOffset,
+          scrollUpdateWasRequested: false,
+        };
+      }, this._resetIsScrollingDebounced);
+
+      return true;
+    }
+
+    _getSizeOfItems(props: Props<T>, count: number): number {
+      if (count <= 0) {
+        return 0;
+      }
+
+      return (
+        getItemOffset(props, count - 1, this._instanceProps) +
+        getItemSize(props, count - 1, this._instanceProps)
+      );
+    }
+
+    // Items usually keep their index (or move only slightly), so the snapshot's index is checked first.
+    _findItemIndex(key: any, indexHint: number): number {
+      const { itemCount, itemData, itemKey = defaultItemKey } = this.props;
+
+      if (indexHint < itemCount && itemKey(indexHint, itemData) === key) {
+        return indexHint;
+      }
+
+      for (let index = 0; index < itemCount; index++) {
+        if (itemKey(index, itemData) === key) {
+          return index;
+        }
+      }
+
+      return -1;
+    }
+
+    // Offsets restored from a scroll state cache take precedence over snapshots,
+    // Which take precedence over "initialScrollOffset".
+    _getInitialScrollOffset(): number | void {
+      const {
+        initialScrollOffset,
+        initialScrollSnapshot,
+        scrollStateCache,
+        scrollStateKey,
+      } = this.props;
+
+      if (scrollStateCache != null) {
+        const cachedScrollOffset = scrollStateCache.get(scrollStateKey);
+        if (cachedScrollOffset !== undefined) {
+          return cachedScrollOffset;
+        }
+      }
+
+      if (initialScrollSnapshot != null) {
+        const { index, key, offset, scrollOffset } = initialScrollSnapshot;
+        const currentIndex = this._findItemIndex(key, index);
+
+        return currentIndex !== -1
+          ? Math.max(
+              0,
+              getItemOffset(this.props, currentIndex, this._instanceProps) +
+                offset
+            )
+          : scrollOffset;
+      }
+
+      return initialScrollOffset;
+    }
   };
 }
 
@@ -630,12 +1785,16 @@ export default function createListComponent({
 
 const validateSharedProps = (
   {
+    autoSize,
     children,
     direction,
     height,
     layout,
     innerTagName,
     outerTagName,
+    scrollElement,
+    scrollStateCache,
+    scrollStateKey,
     width,
   }: Props<any>,
   { instance }: State
@@ -698,13 +1857,25 @@ const validateSharedProps = (
       );
     }
 
-    if (isHorizontal && typeof width !== 'number') {
+    if (scrollStateCache != null && scrollStateKey == null) {
+      throw Error(
+        'An invalid "scrollStateKey" prop has been specified. ' +
+          'Lists with a scroll state cache must specify a key to store their scroll offset under. ' +
+          `"${
+            scrollStateKey === null ? 'null' : typeof scrollStateKey
+          }" was specified.`
+      );
+    }
+
+    // Lists that are auto-sized (or scrolled by another element) are measured instead.
+    const isMeasured = autoSize || scrollElement != null;
+    if (!isMeasured && isHorizontal && typeof width !== 'number') {
       throw Error(
         'An invalid "width" prop has been specified. ' +
           'Horizontal lists must specify a number for width. ' +
           `"${width === null ? 'null' : typeof width}" was specified.`
       );
-    } else if (!isHorizontal && typeof height !== 'number') {
+    } else if (!isMeasured && !isHorizontal && typeof height !== 'number') {
       throw Error(
         'An invalid "height" prop has been specified. ' +
           'Vertical lists must specify a number for height. ' +
@@ -0,0 +1,700 @@
+// @flow
+
+import memoizeOne from 'memoize-one';
+import { createElement, PureComponent } from 'react';
+import { IS_SCROLLING_DEBOUNCE_INTERVAL } from './scrollHelpers';
+import { cancelTimeout, requestTimeout } from './timer';
+
+import type { ScrollToAlign } from './createListComponent';
+import type { TimeoutID } from './timer';
+
+type Direction = 'ltr' | 'rtl';
+
+type ItemAriaAttributes = {|
+  'aria-posinset': number,
+  'aria-setsize': number,
+  role: 'listitem',
+|};
+
+type RenderComponentProps<T> = {|
+  ariaAttributes?: ItemAriaAttributes,
+  data: T,
+  index: number,
+  isScrolling?: boolean,
+  style: Object,
+|};
+type RenderComponent<T> = React$ComponentType<$Shape<RenderComponentProps<T>>>;
+
+type ScrollDirection = 'forward' | 'backward';
+
+export type ItemMetadata = {|
+  columnIndex: number,
+  offset: number,
+  size: number,
+|};
+
+type onItemsRenderedCallback = ({
+  overscanStartIndex: number,
+  overscanStopIndex: number,
+  visibleStartIndex: number,
+  visibleStopIndex: number,
+}) => void;
+type onScrollCallback = ({
+  scrollDirection: ScrollDirection,
+  scrollOffset: number,
+  scrollUpdateWasRequested: boolean,
+}) => void;
+
+type ScrollEvent = SyntheticEvent<HTMLDivElement>;
+type PendingScroll = {|
+  index: number | null,
+  resolve: (isComplete: boolean) => void,
+|};
+type ItemStyleCache = { [index: number]: Object };
+type ItemAriaAttributesCache = { [index: number]: ItemAriaAttributes };
+
+type OuterProps = {|
+  children: React$Node,
+  className: string | void,
+  onScroll: ScrollEvent => void,
+  role: 'list' | void,
+  style: {
+    [string]: mixed,
+  },
+|};
+
+type InnerProps = {|
+  children: React$Node,
+  style: {
+    [string]: mixed,
+  },
+|};
+
+export type Props<T> = {|
+  children: RenderComponent<T>,
+  className?: string,
+  columnCount: number,
+  columnWidth: number,
+  direction: Direction,
+  estimatedItemHeight?: number,
+  height: number,
+  initialScrollOffset?: number,
+  innerRef?: any,
+  innerElementType?: string | React$AbstractComponent<InnerProps, any>,
+  itemCount: number,
+  itemData: T,
+  itemHeight: (index: number) => number,
+  itemKey?: (index: number, data: T) => any,
+  onItemsRendered?: onItemsRenderedCallback,
+  onScroll?: onScrollCallback,
+  outerRef?: any,
+  outerElementType?: string | React$AbstractComponent<OuterProps, any>,
+  overscanCount: number,
+  style?: Object,
+  useAriaAttributes: boolean,
+  useIsScrolling: boolean,
+  width: number | string,
+|};
+
+type State = {|
+  instance: any,
+  isScrolling: boolean,
+  scrollDirection: ScrollDirection,
+  scrollOffset: number,
+  scrollUpdateWasRequested: boolean,
+|};
+
+type GetEstimatedTotalHeight = (
+  props: Props<any>,
+  instanceProps: any
+) => number;
+type GetIndicesForOffsetRange = (
+  props: Props<any>,
+  startOffset: number,
+  stopOffset: number,
+  overscanBackward: number,
+  overscanForward: number,
+  instanceProps: any
+) => Array<number>;
+type GetItemMetadata = (
+  props: Props<any>,
+  index: number,
+  instanceProps: any
+) => ItemMetadata;
+type GetOffsetForIndexAndAlignment = (
+  props: Props<any>,
+  index: number,
+  align: ScrollToAlign,
+  scrollOffset: number,
+  instanceProps: any
+) => number;
+type InitInstanceProps = (props: Props<any>, instance: any) => any;
+type ValidateProps = (props: Props<any>) => void;
+
+const defaultItemKey = (index: number, data: any) => index;
+
+export default function createMasonryComponent({
+  getEstimatedTotalHeight,
+  getIndicesForOffsetRange,
+  getItemMetadata,
+  getOffsetForIndexAndAlignment,
+  initInstanceProps,
+  validateProps,
+}: {|
+  getEstimatedTotalHeight: GetEstimatedTotalHeight,
+  getIndicesForOffsetRange: GetIndicesForOffsetRange,
+  getItemMetadata: GetItemMetadata,
+  getOffsetForIndexAndAlignment: GetOffsetForIndexAndAlignment,
+  initInstanceProps: InitInstanceProps,
+  validateProps: ValidateProps,
+|}) {
+  return class Masonry<T> extends PureComponent<Props<T>, State> {
+    _instanceProps: any = initInstanceProps(this.props, this);
+    // The most recent cache returned by _getItemStyleCache, so that it can be partially evicted.
+    _itemStyleCache: ItemStyleCache = {};
+    _outerRef: ?HTMLDivElement;
+    _pendingScroll: PendingScroll | null = null;
+    _resetIsScrollingTimeoutId: TimeoutID | null = null;
+
+    static defaultProps = {
+      direction: 'ltr',
+      itemData: undefined,
+      overscanCount: 2,
+      useAriaAttributes: false,
+      useIsScrolling: false,
+    };
+
+    state: State = {
+      instance: this,
+      isScrolling: false,
+      scrollDirection: 'forward',
+      scrollOffset:
+        typeof this.props.initialScrollOffset === 'number'
+          ? this.props.initialScrollOffset
+          : 0,
+      scrollUpdateWasRequested: false,
+    };
+
+    // Always use explicit constructor for React components.
+    // It produces less code after transpilation. (#26)
+    // eslint-disable-next-line no-useless-constructor
+    constructor(props: Props<T>) {
+      super(props);
+    }
+
+    static getDerivedStateFromProps(
+      nextProps: Props<T>,
+      prevState: State
+    ): $Shape<State> | null {
+      validateSharedProps(nextProps);
+      validateProps(nextProps);
+      return null;
+    }
+
+    // Scroll methods return a Promise that resolves to true once the new offset (and the requested item) has been rendered,
+    // Or to false if the request is replaced by a newer one (or the component is unmounted) before then.
+    scrollTo(scrollOffset: number): Promise<boolean> {
+      const promise = this._requestScroll(null);
+
+      this._scrollTo(scrollOffset);
+
+      return promise;
+    }
+
+    scrollToItem(
+      index: number,
+      align: ScrollToAlign = 'auto'
+    ): Promise<boolean> {
+      const { itemCount } = this.props;
+      const { scrollOffset } = this.state;
+
+      index = Math.max(0, Math.min(index, itemCount - 1));
+
+      const promise = this._requestScroll(index);
+
+      this._scrollTo(
+        getOffsetForIndexAndAlignment(
+          this.props,
+          index,
+          align,
+          scrollOffset,
+          this._instanceProps
+        )
+      );
+
+      return promise;
+    }
+
+    componentDidMount() {
+      const { initialScrollOffset } = this.props;
+
+      if (typeof initialScrollOffset === 'number' && this._outerRef != null) {
+        ((this._outerRef: any): HTMLElement).scrollTop = initialScrollOffset;
+      }
+
+      this._callPropsCallbacks();
+    }
+
+    componentDidUpdate() {
+      const { scrollOffset, scrollUpdateWasRequested } = this.state;
+
+      if (scrollUpdateWasRequested && this._outerRef != null) {
+        ((this._outerRef: any): HTMLElement).scrollTop = scrollOffset;
+      }
+
+      this._callPropsCallbacks();
+      this._settlePendingScroll();
+    }
+
+    componentWillUnmount() {
+      this._cancelPendingScroll();
+
+      if (this._resetIsScrollingTimeoutId !== null) {
+        cancelTimeout(this._resetIsScrollingTimeoutId);
+      }
+    }
+
+    render() {
+      const {
+        children,
+        className,
+        direction,
+        height,
+        innerRef,
+        innerElementType,
+        itemData,
+        itemKey = defaultItemKey,
+        outerElementType,
+        style,
+        useAriaAttributes,
+        useIsScrolling,
+        width,
+      } = this.props;
+      const { isScrolling } = this.state;
+
+      const [overscanIndices] = this._getRangeToRender();
+
+      const items = overscanIndices.map(index =>
+        createElement(children, {
+          ariaAttributes: useAriaAttributes
+            ? this._getItemAriaAttributes(index)
+            : undefined,
+          data: itemData,
+          key: itemKey(index, itemData),
+          index,
+          isScrolling: useIsScrolling ? isScrolling : undefined,
+          style: this._getItemStyle(index),
+        })
+      );
+
+      // Read this value AFTER items have been created,
+      // So their actual positions are taken into consideration.
+      const estimatedTotalHeight = getEstimatedTotalHeight(
+        this.props,
+        this._instanceProps
+      );
+
+      return createElement(
+        outerElementType || 'div',
+        {
+          className,
+          onScroll: this._onScroll,
+          ref: this._outerRefSetter,
+          // The list only has the "list" role if its items are given the "listitem" role (via "ariaAttributes").
+          role: useAriaAttributes ? 'list' : undefined,
+          style: {
+            position: 'relative',
+            height,
+            width,
+            overflow: 'auto',
+            WebkitOverflowScrolling: 'touch',
+            willChange: 'transform',
+            direction,
+            ...style,
+          },
+        },
+        createElement(innerElementType || 'div', {
+          children: items,
+          ref: innerRef,
+          style: {
+            height: estimatedTotalHeight,
+            pointerEvents: isScrolling ? 'none' : undefined,
+            width: '100%',
+          },
+        })
+      );
+    }
+
+    _cancelPendingScroll(): void {
+      const pendingScroll = this._pendingScroll;
+
+      if (pendingScroll !== null) {
+        this._pendingScroll = null;
+        pendingScroll.resolve(false);
+      }
+    }
+
+    _callOnItemsRendered: (
+      overscanStartIndex: number,
+      overscanStopIndex: number,
+      visibleStartIndex: number,
+      visibleStopIndex: number
+    ) => void;
+    _callOnItemsRendered = memoizeOne(
+      (
+        overscanStartIndex: number,
+        overscanStopIndex: number,
+        visibleStartIndex: number,
+        visibleStopIndex: number
+      ) =>
+        ((this.props.onItemsRendered: any): onItemsRenderedCallback)({
+          overscanStartIndex,
+          overscanStopIndex,
+          visibleStartIndex,
+          visibleStopIndex,
+        })
+    );
+
+    _callOnScroll: (
+      scrollDirection: ScrollDirection,
+      scrollOffset: number,
+      scrollUpdateWasRequested: boolean
+    ) => void;
+    _callOnScroll = memoizeOne(
+      (
+        scrollDirection: ScrollDirection,
+        scrollOffset: number,
+        scrollUpdateWasRequested: boolean
+      ) =>
+        ((this.props.onScroll: any): onScrollCallback)({
+          scrollDirection,
+          scrollOffset,
+          scrollUpdateWasRequested,
+        })
+    );
+
+    // Items are placed into columns, so the rendered items aren't a continuous range of indices.
+    // Callbacks receive the lowest and highest of them instead (e.g. for InfiniteLoader).
+    _callPropsCallbacks() {
+      if (typeof this.props.onItemsRendered === 'function') {
+        const [overscanIndices, visibleIndices] = this._getRangeToRender();
+        if (overscanIndices.length > 0) {
+          this._callOnItemsRendered(
+            overscanIndices[0],
+            overscanIndices[overscanIndices.length - 1],
+            visibleIndices.length > 0 ? visibleIndices[0] : overscanIndices[0],
+            visibleIndices.length > 0
+              ? visibleIndices[visibleIndices.length - 1]
+              : overscanIndices[0]
+          );
+        }
+      }
+
+      if (typeof this.props.onScroll === 'function') {
+        const {
+          scrollDirection,
+          scrollOffset,
+          scrollUpdateWasRequested,
+        } = this.state;
+        this._callOnScroll(
+          scrollDirection,
+          scrollOffset,
+          scrollUpdateWasRequested
+        );
+      }
+    }
+
+    _getItemAriaAttributes(index: number): ItemAriaAttributes {
+      const { itemCount } = this.props;
+
+      // Attributes are cached (like styles) so that items don't re-render unnecessarily.
+      const itemAriaAttributesCache = this._getItemAriaAttributesCache(
+        itemCount
+      );
+
+      let ariaAttributes;
+      if (itemAriaAttributesCache.hasOwnProperty(index)) {
+        ariaAttributes = itemAriaAttributesCache[index];
+      } else {
+        itemAriaAttributesCache[index] = ariaAttributes = {
+          'aria-posinset': index + 1,
+          'aria-setsize': itemCount,
+          role: 'listitem',
+        };
+      }
+
+      return ariaAttributes;
+    }
+
+    _getItemAriaAttributesCache: (_: any) => ItemAriaAttributesCache;
+    _getItemAriaAttributesCache = memoizeOne((_: any) => ({}));
+
+    // Lazily create and cache item styles while scrolling,
+    // So that pure component sCU will prevent re-renders.
+    // Changing the number (or width) of columns moves every item, so it also clears the cache.
+    _getItemStyle = (index: number): Object => {
+      const { columnCount, columnWidth, direction } = this.props;
+
+      const itemStyleCache = this._getItemStyleCache(
+        columnCount,
+        columnWidth,
+        direction
+      );
+
+      let style;
+      if (itemStyleCache.hasOwnProperty(index)) {
+        style = itemStyleCache[index];
+      } else {
+        const { columnIndex, offset, size } = getItemMetadata(
+          this.props,
+          index,
+          this._instanceProps
+        );
+
+        itemStyleCache[index] = style = {
+          position: 'absolute',
+          [direction === 'rtl' ? 'right' : 'left']: columnIndex * columnWidth,
+          top: offset,
+          height: size,
+          width: columnWidth,
+        };
+      }
+
+      return style;
+    };
+
+    _getItemStyleCache: (_: any, __: any, ___: any) => ItemStyleCache;
+    _getItemStyleCache = memoizeOne(
+      (_: any, __: any, ___: any) => (this._itemStyleCache = {})
+    );
+
+    // Evicts the cached styles of items at or after the specified index (e.g. after they've been placed again).
+    // Items before it keep their styles, so that pure items aren't re-rendered unnecessarily.
+    _evictItemStyleCacheAfterIndex(index: number): void {
+      const itemStyleCache = this._itemStyleCache;
+
+      Object.keys(itemStyleCache).forEach(key => {
+        if (parseInt(key, 10) >= index) {
+          delete itemStyleCache[(key: any)];
+        }
+      });
+    }
+
+    // Returns the (ascending) indices of the items to render and of the items that are visible.
+    _getRangeToRender(): [Array<number>, Array<number>] {
+      const { height, itemCount, overscanCount } = this.props;
+      const { isScrolling, scrollDirection, scrollOffset } = this.state;
+
+      if (itemCount === 0) {
+        return [[], []];
+      }
+
+      // Overscan by one item (in each column) in each direction so that tab/focus works.
+      // If there isn't at least one extra item, tab loops back around.
+      const overscanBackward =
+        !isScrolling || scrollDirection === 'backward'
+          ? Math.max(1, overscanCount)
+          : 1;
+      const overscanForward =
+        !isScrolling || scrollDirection === 'forward'
+          ? Math.max(1, overscanCount)
+          : 1;
+
+      return [
+        getIndicesForOffsetRange(
+          this.props,
+          scrollOffset,
+          scrollOffset + height,
+          overscanBackward,
+          overscanForward,
+          this._instanceProps
+        ),
+        getIndicesForOffsetRange(
+          this.props,
+          scrollOffset,
+          scrollOffset + height,
+          0,
+          0,
+          this._instanceProps
+        ),
+      ];
+    }
+
+    _onScroll = (event: ScrollEvent): void => {
+      const { clientHeight, scrollHeight, scrollTop } = event.currentTarget;
+      this.setState(prevState => {
+        if (prevState.scrollOffset === scrollTop) {
+          // Scroll position may have been updated by cDM/cDU,
+          // In which case we don't need to trigger another render,
+          // And we don't want to update state.isScrolling.
+          return null;
+        }
+
+        // Prevent Safari's elastic scrolling from causing visual shaking when scrolling past bounds.
+        const scrollOffset = Math.max(
+          0,
+          Math.min(scrollTop, scrollHeight - clientHeight)
+        );
+
+        return {
+          isScrolling: true,
+          scrollDirection:
+            prevState.scrollOffset < scrollOffset ? 'forward' : 'backward',
+          scrollOffset,
+          scrollUpdateWasRequested: false,
+        };
+      }, this._resetIsScrollingDebounced);
+    };
+
+    _outerRefSetter = (ref: any): void => {
+      const { outerRef } = this.props;
+
+      this._outerRef = ((ref: any): HTMLDivElement);
+
+      if (typeof outerRef === 'function') {
+        outerRef(ref);
+      } else if (
+        outerRef != null &&
+        typeof outerRef === 'object' &&
+        outerRef.hasOwnProperty('current')
+      ) {
+        outerRef.current = ref;
+      }
+    };
+
+    _resetIsScrollingDebounced = () => {
+      if (this._resetIsScrollingTimeoutId !== null) {
+        cancelTimeout(this._resetIsScrollingTimeoutId);
+      }
+
+      this._resetIsScrollingTimeoutId = requestTimeout(
+        this._resetIsScrolling,
+        IS_SCROLLING_DEBOUNCE_INTERVAL
+      );
+    };
+
+    _resetIsScrolling = () => {
+      this._resetIsScrollingTimeoutId = null;
+
+      this.setState({ isScrolling: false }, () => {
+        // Clear style cache after state update has been committed.
+        // This way we don't break pure sCU for items that don't use isScrolling param.
+        this._getItemStyleCache(-1, null);
+      });
+    };
+
+    _scrollTo(scrollOffset: number): void {
+      scrollOffset = Math.max(0, scrollOffset);
+
+      this.setState(prevState => {
+        if (prevState.scrollOffset === scrollOffset) {
+          return null;
+        }
+        return {
+          scrollDirection:
+            prevState.scrollOffset < scrollOffset ? 'forward' : 'backward',
+          scrollOffset: scrollOffset,
+          scrollUpdateWasRequested: true,
+        };
+      }, this._onScrollToCommitted);
+    }
+
+    _onScrollToCommitted = (): void => {
+      this._resetIsScrollingDebounced();
+      this._settlePendingScroll();
+    };
+
+    _requestScroll(index: number | null): Promise<boolean> {
+      this._cancelPendingScroll();
+
+      return new Promise(resolve => {
+        this._pendingScroll = { index, resolve };
+      });
+    }
+
+    // Pending scroll requests are settled once they've been committed,
+    // And the requested item is one of the rendered items.
+    _settlePendingScroll(): void {
+      const pendingScroll = this._pendingScroll;
+
+      if (pendingScroll === null) {
+        return;
+      }
+
+      const { index } = pendingScroll;
+      if (index !== null) {
+        const [overscanIndices] = this._getRangeToRender();
+
+        if (overscanIndices.indexOf(index) === -1) {
+          return;
+        }
+      }
+
+      this._pendingScroll = null;
+      pendingScroll.resolve(true);
+    }
+  };
+}
+
+const validateSharedProps = ({
+  children,
+  columnCount,
+  columnWidth,
+  direction,
+  height,
+}: Props<any>): void => {
+  if (process.env.NODE_ENV !== 'production') {
+    switch (direction) {
+      case 'ltr':
+      case 'rtl':
+        // Valid values
+        break;
+      default:
+        throw Error(
+          'An invalid "direction" prop has been specified. ' +
+            'Value should be either "ltr" or "rtl". ' +
+            `"${direction}" was specified.`
+        );
+    }
+
+    if (children == null) {
+      throw Error(
+        'An invalid "children" prop has been specified. ' +
+          'Value should be a React component. ' +
+          `"${children === null ? 'null' : typeof children}" was specified.`
+      );
+    }
+
+    if (typeof columnCount !== 'number' || columnCount < 1) {
+      throw Error(
+        'An invalid "columnCount" prop has been specified. ' +
+          'Value should be a number greater than 0. ' +
+          `"${
+            typeof columnCount === 'number'
+              ? columnCount
+              : columnCount === null
+                ? 'null'
+                : typeof columnCount
+          }" was specified.`
+      );
+    }
+
+    if (typeof columnWidth !== 'number') {
+      throw Error(
+        'An invalid "columnWidth" prop has been specified. ' +
+          'Value should be a number. ' +
+          `"${
+            columnWidth === null ? 'null' : typeof columnWidth
+          }" was specified.`
+      );
+    }
+
+    if (typeof height !== 'number') {
+      throw Error(
+        'An invalid "height" prop has been specified. ' +
+          'Masonry layouts must specify a number for height. ' +
+          `"${height === null ? 'null' : typeof height}" was specified.`
+      );
+    }
+  }
+};
@@ -0,0 +1,95 @@
+// @flow
+
+export type OffsetTree = {|
+  findIndex: (offset: number) => number,
+  getOffset: (index: number) => number,
+  getSize: (index: number) => number,
+  setSize: (index: number, size: number) => void,
+  truncate: (length: number) => void,
+|};
+
+// Stores the sizes of items in a Fenwick (binary indexed) tree,
+// So that the offset of an item (the total size of the items before it) can be calculated in O(log n),
+// And changing the size of an item (which moves all of the items after it) is O(log n) as well.
+// Items are sized in order, and appending the size of the next item is amortized O(1).
+// Items that haven't been given a size yet are treated as having a size of 0.
+// Truncating the tree (e.g. when the sizes of all items after an index have changed) is O(1),
+// Since the nodes of the discarded items are recalculated as they are appended again.
+export default function createOffsetTree(
+  initialSizes?: Array<number> = []
+): OffsetTree {
+  // The number of items that have been given a size.
+  let length = 0;
+  const sizes: Array<number> = [];
+  // Node i (1-based) holds the total size of the (i & -i) items that end with item i - 1.
+  // Only the nodes of the first "length" items are valid.
+  const nodes: Array<number> = [0];
+
+  // A node can be calculated from the nodes of its children, which all precede it.
+  // Most nodes have few children, so this is amortized O(1).
+  const append = (size: number): void => {
+    const i = length + 1;
+
+    let node = size;
+    for (let step = 1; step < (i & -i); step *= 2) {
+      node += nodes[i - step];
+    }
+
+    sizes[length] = size;
+    nodes[i] = node;
+    length = i;
+  };
+
+  initialSizes.forEach(append);
+
+  return {
+    // Returns the number of items that end at or before the specified offset,
+    // Which is also the index of the item that contains it.
+    findIndex: (offset: number): number => {
+      let step = 1;
+      while (step * 2 <= length) {
+        step *= 2;
+      }
+
+      let index = 0;
+      for (; step > 0; step = Math.floor(step / 2)) {
+        if (index + step <= length && nodes[index + step] <= offset) {
+          index += step;
+          offset -= nodes[index];
+        }
+      }
+      return index;
+    },
+
+    getOffset: (index: number): number => {
+      let offset = 0;
+      for (let i = Math.min(index, length); i > 0; i -= i & -i) {
+        offset += nodes[i];
+      }
+      return offset;
+    },
+
+    getSize: (index: number): number => (index < length ? sizes[index] : 0),
+
+    setSize: (index: number, size: number): void => {
+      if (index < length) {
+        const delta = size - sizes[index];
+        sizes[index] = size;
+
+        for (let i = index + 1; i <= length; i += i & -i) {
+          nodes[i] += delta;
+        }
+      } else {
+        while (length < index) {
+          append(0);
+        }
+        append(size);
+      }
+    },
+
+    // Discards the sizes of the items at or after the specified index.
+    truncate: (newLength: number): void => {
+      length = Math.max(0, Math.min(length, newLength));
+    },
+  };
+}
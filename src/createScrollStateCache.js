@@ -0,0 +1,27 @@
+// @flow
+
+export type ScrollStateCache = {|
+  clear: () => void,
+  delete: (key: any) => void,
+  get: (key: any) => number | void,
+  set: (key: any, scrollOffset: number) => void,
+|};
+
+// Remembers the scroll offsets of lists that are unmounted, so they can be restored when they're mounted again.
+// This is mostly useful for nested lists (e.g. a vertical list of horizontal carousels),
+// Where rows are unmounted as soon as they are scrolled out of view.
+// A single cache should be shared by all of the nested lists, each with its own "scrollStateKey" (usually the row's item key).
+export default function createScrollStateCache(): ScrollStateCache {
+  const scrollOffsets: Map<any, number> = new Map();
+
+  return {
+    clear: () => scrollOffsets.clear(),
+    delete: (key: any) => {
+      scrollOffsets.delete(key);
+    },
+    get: (key: any): number | void => scrollOffsets.get(key),
+    set: (key: any, scrollOffset: number) => {
+      scrollOffsets.set(key, scrollOffset);
+    },
+  };
+}
@@ -4,6 +4,11 @@ let size: number = -1;
 
 // This utility copied from "dom-helpers" package.
 export function getScrollbarSize(recalculate?: boolean = false): number {
+  // There's nothing to measure when rendering on the server.
+  if (typeof document === 'undefined') {
+    return 0;
+  }
+
   if (size === -1 || recalculate) {
     const div = document.createElement('div');
     const style = div.style;
@@ -30,6 +35,11 @@ let cachedRTLResult: boolean | null = null;
 // and then verify that the subsequent "scroll" event matches the negative offset.
 // If it does not match, then we can assume a non-standard RTL scroll implementation.
 export function isRTLOffsetNegative(recalculate?: boolean = false): boolean {
+  // There's nothing to measure when rendering on the server.
+  if (typeof document === 'undefined') {
+    return false;
+  }
+
   if (cachedRTLResult === null || recalculate) {
     const outerDiv = document.createElement('div');
     const outerStyle = outerDiv.style;
@@ -57,3 +67,50 @@ export function isRTLOffsetNegative(recalculate?: boolean = false): boolean {
 
   return cachedRTLResult;
 }
+
+// TRICKY According to the spec, scrollLeft should be negative for RTL aligned elements.
+// This is not the case for all browsers though (e.g. Chrome reports values as positive, measured relative to the left).
+// It's easier for the lists and grids if offsets are in the same format as they would be in for ltr,
+// So this converts them based on which browser behavior we're dealing with.
+// It also prevents Safari's elastic scrolling from causing visual shaking when scrolling past bounds.
+export function getNormalizedScrollLeft(
+  element: HTMLElement,
+  direction: string
+): number {
+  const { clientWidth, scrollLeft, scrollWidth } = element;
+
+  let normalizedScrollLeft = scrollLeft;
+  if (direction === 'rtl') {
+    normalizedScrollLeft = isRTLOffsetNegative()
+      ? -scrollLeft
+      : scrollWidth - clientWidth - scrollLeft;
+  }
+
+  return Math.max(0, Math.min(normalizedScrollLeft, scrollWidth - clientWidth));
+}
+
+// Prevents Safari's elastic scrolling from causing visual shaking when scrolling past bounds.
+export function getNormalizedScrollTop(element: HTMLElement): number {
+  const { clientHeight, scrollHeight, scrollTop } = element;
+
+  return Math.max(0, Math.min(scrollTop, scrollHeight - clientHeight));
+}
+
+// The inverse of getNormalizedScrollLeft:
+// Applies an ltr formatted offset by mimicking the browser's RTL behavior.
+export function setNormalizedScrollLeft(
+  element: HTMLElement,
+  scrollLeft: number,
+  direction: string
+): void {
+  if (direction === 'rtl') {
+    if (isRTLOffsetNegative()) {
+      element.scrollLeft = -scrollLeft;
+    } else {
+      const { clientWidth, scrollWidth } = element;
+      element.scrollLeft = scrollWidth - clientWidth - scrollLeft;
+    }
+  } else {
+    element.scrollLeft = scrollLeft;
+  }
+}
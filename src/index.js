@@ -1,9 +1,18 @@
 // @flow
 
+export { default as DynamicSizeGrid } from './DynamicSizeGrid';
+export { default as DynamicSizeList } from './DynamicSizeList';
 export { default as VariableSizeGrid } from './VariableSizeGrid';
 export { default as VariableSizeList } from './VariableSizeList';
 export { default as FixedSizeGrid } from './FixedSizeGrid';
 export { default as FixedSizeList } from './FixedSizeList';
+export { default as InfiniteLoader } from './InfiniteLoader';
+export { default as Masonry } from './Masonry';
+export { default as WrappingGrid } from './WrappingGrid';
+export { default as useColumnModel } from './useColumnModel';
+export { default as useVirtualGrid } from './useVirtualGrid';
+export { default as useVirtualList } from './useVirtualList';
 
 export { default as areEqual } from './areEqual';
+export { default as createScrollStateCache } from './createScrollStateCache';
 export { default as shouldComponentUpdate } from './shouldComponentUpdate';
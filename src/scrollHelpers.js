@@ -0,0 +1,33 @@
+// @flow
+
+export type ScrollDirection = 'forward' | 'backward';
+
+// How long after the last "scroll" event a list (or grid) stops being considered as scrolling.
+export const IS_SCROLLING_DEBOUNCE_INTERVAL = 150;
+
+// Returns the first and last index to render, given the visible range of items (or rows or columns).
+// Overscan by one item in each direction so that tab/focus works.
+// If there isn't at least one extra item, tab loops back around.
+// While scrolling, additional items are only overscanned in the direction of the scroll.
+export function getOverscanIndices(
+  startIndex: number,
+  stopIndex: number,
+  itemCount: number,
+  overscanCount: number,
+  isScrolling: boolean,
+  scrollDirection: ScrollDirection
+): [number, number] {
+  const overscanBackward =
+    !isScrolling || scrollDirection === 'backward'
+      ? Math.max(1, overscanCount)
+      : 1;
+  const overscanForward =
+    !isScrolling || scrollDirection === 'forward'
+      ? Math.max(1, overscanCount)
+      : 1;
+
+  return [
+    Math.max(0, startIndex - overscanBackward),
+    Math.max(0, Math.min(itemCount - 1, stopIndex + overscanForward)),
+  ];
+}
@@ -35,3 +35,37 @@ export function requestTimeout(callback: Function, delay: number): TimeoutID {
 
   return timeoutID;
 }
+
+// Animation frame based tween.
+// Calls the callback on each frame with the fraction of the duration that has elapsed (from 0 to 1),
+// Until the whole duration has elapsed.
+export function requestAnimation(
+  callback: (progress: number) => void,
+  duration: number
+): TimeoutID {
+  const start = now();
+
+  function tick() {
+    const progress = duration > 0 ? Math.min(1, (now() - start) / duration) : 1;
+
+    // The next frame is requested before calling the callback,
+    // So that the callback can cancel the animation (with cancelTimeout) from within it.
+    if (progress < 1) {
+      timeoutID.id = requestAnimationFrame(tick);
+    }
+
+    callback.call(null, progress);
+  }
+
+  const timeoutID: TimeoutID = {
+    id: requestAnimationFrame(tick),
+  };
+
+  return timeoutID;
+}
+
+export function easeInOutQuad(progress: number): number {
+  return progress < 0.5
+    ? 2 * progress * progress
+    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+}
@@ -0,0 +1,303 @@
+// @flow
+
+import { useCallback, useEffect, useRef } from 'react';
+import useIsomorphicLayoutEffect from './useIsomorphicLayoutEffect';
+
+type ResizeHandleProps = {|
+  onMouseDown: (event: SyntheticMouseEvent<HTMLElement>) => void,
+|};
+
+type OnScroll = ({
+  scrollLeft: number,
+  scrollUpdateWasRequested: boolean,
+}) => void;
+
+type ReorderHandleProps = {|
+  draggable: true,
+  onDragEnd: (event: SyntheticDragEvent<HTMLElement>) => void,
+  onDragOver: (event: SyntheticDragEvent<HTMLElement>) => void,
+  onDragStart: (event: SyntheticDragEvent<HTMLElement>) => void,
+  onDrop: (event: SyntheticDragEvent<HTMLElement>) => void,
+|};
+
+export type Props = {|
+  // The source column shown at each (displayed) column index.
+  // Source columns that aren't included are hidden.
+  columnOrder: Array<number>,
+  // The width of each source column.
+  columnWidths: Array<number>,
+  direction?: 'ltr' | 'rtl',
+  // Ref to the VariableSizeGrid that the columns are rendered by.
+  gridRef: {| current: any |},
+  minColumnWidth?: number,
+  onColumnOrderChange?: (columnOrder: Array<number>) => void,
+  onColumnWidthsChange?: (columnWidths: Array<number>) => void,
+|};
+
+export type ColumnModel = {|
+  columnCount: number,
+  columnWidth: (columnIndex: number) => number,
+  getReorderHandleProps: (columnIndex: number) => ReorderHandleProps,
+  getResizeHandleProps: (columnIndex: number) => ResizeHandleProps,
+  getSourceColumnIndex: (columnIndex: number) => number,
+  moveColumn: (fromIndex: number, toIndex: number) => void,
+  onScroll: OnScroll,
+  resizeColumn: (columnIndex: number, width: number) => void,
+|};
+
+type Resize = {|
+  columnIndex: number,
+  startWidth: number,
+  startX: number,
+|};
+
+const DEFAULT_MIN_COLUMN_WIDTH = 20;
+
+// Returns the first (displayed) column whose width is different in the new model, or -1 if there isn't one.
+// Columns before it keep their offsets, so their metadata doesn't need to be reset.
+const getFirstChangedColumnIndex = (
+  prevColumnOrder: Array<number>,
+  prevColumnWidths: Array<number>,
+  columnOrder: Array<number>,
+  columnWidths: Array<number>
+): number => {
+  const columnCount = Math.max(prevColumnOrder.length, columnOrder.length);
+
+  for (let columnIndex = 0; columnIndex < columnCount; columnIndex++) {
+    if (
+      columnIndex >= prevColumnOrder.length ||
+      columnIndex >= columnOrder.length ||
+      prevColumnWidths[prevColumnOrder[columnIndex]] !==
+        columnWidths[columnOrder[columnIndex]]
+    ) {
+      return columnIndex;
+    }
+  }
+
+  return -1;
+};
+
+// Controlled column model (widths and order) for VariableSizeGrid.
+// Pass the returned "columnCount", "columnWidth" and "onScroll" to the grid
+// (An "onScroll" handler of your own should call the returned one as well),
+// And use "getSourceColumnIndex" to map the (displayed) column index of a cell back to its data.
+// The handle props can be spread onto elements within the column headers:
+// Resize handles are dragged with the mouse, and reorder handles use native drag and drop.
+// When the model changes, only the columns from the first one whose offset may have changed are reset,
+// And the grid's scrollLeft is kept where it was while a column is being resized or moved
+// (Rather than being adjusted by scroll anchoring).
+// (Like all hooks, this requires React 16.8 or newer.)
+export default function useColumnModel(props: Props): ColumnModel {
+  const { columnOrder, columnWidths, gridRef } = props;
+
+  // Event handlers are only created once, so they read the latest props from here.
+  const propsRef: {| current: Props |} = useRef(props);
+  propsRef.current = props;
+
+  const reorderIndexRef: {| current: number | null |} = useRef(null);
+  const resizeRef: {| current: Resize | null |} = useRef(null);
+  const scrollLeftRef: {| current: number |} = useRef(0);
+  const scrollLeftToKeepRef: {| current: number | null |} = useRef(null);
+
+  // The grid caches column offsets, so they're reset whenever the model changes.
+  // The grid has already rendered (with its cached offsets) by the time this runs,
+  // So it's updated again before the browser paints.
+  const prevModelRef = useRef({ columnOrder, columnWidths });
+  useIsomorphicLayoutEffect(
+    () => {
+      const prevModel = prevModelRef.current;
+      const grid = gridRef.current;
+
+      prevModelRef.current = { columnOrder, columnWidths };
+
+      if (grid !== null) {
+        const columnIndex = getFirstChangedColumnIndex(
+          prevModel.columnOrder,
+          prevModel.columnWidths,
+          columnOrder,
+          columnWidths
+        );
+        if (columnIndex >= 0) {
+          if (reorderIndexRef.current !== null || resizeRef.current !== null) {
+            scrollLeftToKeepRef.current = scrollLeftRef.current;
+          }
+
+          grid.resetAfterColumnIndex(columnIndex, true);
+        }
+      }
+    },
+    [columnOrder, columnWidths, gridRef]
+  );
+
+  // Scroll anchoring may adjust the grid's scroll offset once its columns have been reset.
+  // That adjustment is reported here (as a requested scroll), and reverted while a column is being resized or moved.
+  const onScroll = useCallback(
+    ({
+      scrollLeft,
+      scrollUpdateWasRequested,
+    }: {
+      scrollLeft: number,
+      scrollUpdateWasRequested: boolean,
+    }): void => {
+      const grid = gridRef.current;
+      const scrollLeftToKeep = scrollLeftToKeepRef.current;
+
+      scrollLeftRef.current = scrollLeft;
+      scrollLeftToKeepRef.current = null;
+
+      if (
+        grid !== null &&
+        scrollUpdateWasRequested &&
+        scrollLeftToKeep !== null &&
+        scrollLeftToKeep !== scrollLeft
+      ) {
+        grid.scrollTo({ scrollLeft: scrollLeftToKeep });
+      }
+    },
+    [gridRef]
+  );
+
+  const columnWidth = useCallback(
+    (columnIndex: number): number => columnWidths[columnOrder[columnIndex]],
+    [columnOrder, columnWidths]
+  );
+
+  const getSourceColumnIndex = useCallback(
+    (columnIndex: number): number => columnOrder[columnIndex],
+    [columnOrder]
+  );
+
+  const moveColumn = useCallback((fromIndex: number, toIndex: number): void => {
+    const { onColumnOrderChange } = propsRef.current;
+
+    if (fromIndex !== toIndex && typeof onColumnOrderChange === 'function') {
+      const newColumnOrder = propsRef.current.columnOrder.slice();
+      newColumnOrder.splice(toIndex, 0, newColumnOrder.splice(fromIndex, 1)[0]);
+
+      onColumnOrderChange(newColumnOrder);
+    }
+  }, []);
+
+  const resizeColumn = useCallback(
+    (columnIndex: number, width: number): void => {
+      const {
+        columnOrder,
+        columnWidths,
+        minColumnWidth = DEFAULT_MIN_COLUMN_WIDTH,
+        onColumnWidthsChange,
+      } = propsRef.current;
+
+      const sourceColumnIndex = columnOrder[columnIndex];
+      const newWidth = Math.max(minColumnWidth, width);
+
+      if (
+        columnWidths[sourceColumnIndex] !== newWidth &&
+        typeof onColumnWidthsChange === 'function'
+      ) {
+        const newColumnWidths = columnWidths.slice();
+        newColumnWidths[sourceColumnIndex] = newWidth;
+
+        onColumnWidthsChange(newColumnWidths);
+      }
+    },
+    []
+  );
+
+  const onResizeMouseMove = useCallback(
+    (event: MouseEvent): void => {
+      const resize = resizeRef.current;
+      if (resize !== null) {
+        const { direction } = propsRef.current;
+
+        // Columns grow towards the left in rtl direction.
+        const delta =
+          direction === 'rtl'
+            ? resize.startX - event.clientX
+            : event.clientX - resize.startX;
+
+        resizeColumn(resize.columnIndex, resize.startWidth + delta);
+      }
+    },
+    [resizeColumn]
+  );
+
+  const onResizeMouseUp = useCallback(
+    (): void => {
+      resizeRef.current = null;
+      scrollLeftToKeepRef.current = null;
+
+      window.removeEventListener('mousemove', onResizeMouseMove);
+      window.removeEventListener('mouseup', onResizeMouseUp);
+    },
+    [onResizeMouseMove]
+  );
+
+  useEffect(() => onResizeMouseUp, [onResizeMouseUp]);
+
+  const getResizeHandleProps = useCallback(
+    (columnIndex: number): ResizeHandleProps => ({
+      onMouseDown: (event: SyntheticMouseEvent<HTMLElement>) => {
+        const { columnOrder, columnWidths } = propsRef.current;
+
+        // Prevent text selection (and native drag and drop) while resizing.
+        event.preventDefault();
+        event.stopPropagation();
+
+        resizeRef.current = {
+          columnIndex,
+          startWidth: columnWidths[columnOrder[columnIndex]],
+          startX: event.clientX,
+        };
+
+        window.addEventListener('mousemove', onResizeMouseMove);
+        window.addEventListener('mouseup', onResizeMouseUp);
+      },
+    }),
+    [onResizeMouseMove, onResizeMouseUp]
+  );
+
+  const getReorderHandleProps = useCallback(
+    (columnIndex: number): ReorderHandleProps => ({
+      draggable: true,
+      onDragEnd: () => {
+        reorderIndexRef.current = null;
+        scrollLeftToKeepRef.current = null;
+      },
+      onDragOver: (event: SyntheticDragEvent<HTMLElement>) => {
+        // Columns can only be dropped onto the handles of other columns.
+        if (reorderIndexRef.current !== null) {
+          event.preventDefault();
+        }
+      },
+      onDragStart: (event: SyntheticDragEvent<HTMLElement>) => {
+        reorderIndexRef.current = columnIndex;
+
+        const { dataTransfer } = event;
+        if (dataTransfer) {
+          dataTransfer.effectAllowed = 'move';
+          // Firefox doesn't start dragging unless some data has been set.
+          dataTransfer.setData('text/plain', '');
+        }
+      },
+      onDrop: (event: SyntheticDragEvent<HTMLElement>) => {
+        const fromIndex = reorderIndexRef.current;
+        if (fromIndex !== null) {
+          event.preventDefault();
+          moveColumn(fromIndex, columnIndex);
+        }
+      },
+    }),
+    [moveColumn]
+  );
+
+  return {
+    columnCount: columnOrder.length,
+    columnWidth,
+    getReorderHandleProps,
+    getResizeHandleProps,
+    getSourceColumnIndex,
+    moveColumn,
+    onScroll,
+    resizeColumn,
+  };
+}
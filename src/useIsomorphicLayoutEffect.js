@@ -0,0 +1,11 @@
+// @flow
+
+import { useEffect, useLayoutEffect } from 'react';
+
+// React warns when a layout effect is used while rendering on the server (since it can't run there).
+// Effects that only touch the DOM (e.g. applying a scroll offset) are safe to skip on the server,
+// So a regular effect (which is silently skipped there) is used instead when there's no DOM.
+const useIsomorphicLayoutEffect =
+  typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+export default useIsomorphicLayoutEffect;
@@ -0,0 +1,520 @@
+// @flow
+
+import memoizeOne from 'memoize-one';
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import { config as fixedSizeGridConfig } from './FixedSizeGrid';
+import { config as variableSizeGridConfig } from './VariableSizeGrid';
+import { cancelTimeout, requestTimeout } from './timer';
+import {
+  getNormalizedScrollLeft,
+  getNormalizedScrollTop,
+  getScrollbarSize,
+  setNormalizedScrollLeft,
+} from './domHelpers';
+import {
+  getOverscanIndices,
+  IS_SCROLLING_DEBOUNCE_INTERVAL,
+} from './scrollHelpers';
+import useIsomorphicLayoutEffect from './useIsomorphicLayoutEffect';
+
+import type { Props as GridProps, ScrollToAlign } from './createGridComponent';
+import type { ScrollDirection } from './scrollHelpers';
+import type { TimeoutID } from './timer';
+
+type ScrollEvent = SyntheticEvent<HTMLElement>;
+type ItemStyleCache = { [key: string]: Object };
+type itemSize = number | ((index: number) => number);
+
+export type Props = {|
+  columnCount: number,
+  columnWidth: itemSize,
+  direction?: 'ltr' | 'rtl',
+  estimatedColumnWidth?: number,
+  estimatedRowHeight?: number,
+  height: number,
+  initialScrollLeft?: number,
+  initialScrollTop?: number,
+  overscanColumnCount?: number,
+  overscanRowCount?: number,
+  rowCount: number,
+  rowHeight: itemSize,
+  useOffsetTree?: boolean,
+  width: number,
+|};
+
+export type VirtualGrid = {|
+  getItemStyle: ({ columnIndex: number, rowIndex: number }) => Object,
+  horizontalScrollDirection: ScrollDirection,
+  isScrolling: boolean,
+  onScroll: (event: ScrollEvent) => void,
+  outerRef: {| current: HTMLElement | null |},
+  overscanColumnStartIndex: number,
+  overscanColumnStopIndex: number,
+  overscanRowStartIndex: number,
+  overscanRowStopIndex: number,
+  resetAfterColumnIndex:
+    | ((columnIndex: number, shouldForceUpdate?: boolean) => void)
+    | void,
+  resetAfterIndices:
+    | (({
+        columnIndex?: number,
+        rowIndex?: number,
+        shouldForceUpdate?: boolean,
+      }) => void)
+    | void,
+  resetAfterRowIndex:
+    | ((rowIndex: number, shouldForceUpdate?: boolean) => void)
+    | void,
+  resetColumnIndex:
+    | ((columnIndex: number, shouldForceUpdate?: boolean) => void)
+    | void,
+  resetRowIndex:
+    | ((rowIndex: number, shouldForceUpdate?: boolean) => void)
+    | void,
+  scrollLeft: number,
+  scrollTo: ({ scrollLeft?: number, scrollTop?: number }) => void,
+  scrollToItem: ({
+    align?: ScrollToAlign,
+    columnIndex?: number,
+    rowIndex?: number,
+  }) => void,
+  scrollTop: number,
+  totalHeight: number,
+  totalWidth: number,
+  verticalScrollDirection: ScrollDirection,
+  visibleColumnStartIndex: number,
+  visibleColumnStopIndex: number,
+  visibleRowStartIndex: number,
+  visibleRowStopIndex: number,
+|};
+
+type State = {|
+  horizontalScrollDirection: ScrollDirection,
+  isScrolling: boolean,
+  scrollLeft: number,
+  scrollTop: number,
+  scrollUpdateWasRequested: boolean,
+  verticalScrollDirection: ScrollDirection,
+|};
+
+const defaultProps = {
+  direction: 'ltr',
+};
+
+const validateProps = ({ direction, height, width }: Object): void => {
+  if (process.env.NODE_ENV !== 'production') {
+    if (direction !== 'ltr' && direction !== 'rtl') {
+      throw Error(
+        'An invalid "direction" prop has been specified. ' +
+          'Value should be either "ltr" or "rtl". ' +
+          `"${direction}" was specified.`
+      );
+    }
+
+    if (typeof width !== 'number') {
+      throw Error(
+        'An invalid "width" prop has been specified. ' +
+          'Grids must specify a number for width. ' +
+          `"${width === null ? 'null' : typeof width}" was specified.`
+      );
+    }
+
+    if (typeof height !== 'number') {
+      throw Error(
+        'An invalid "height" prop has been specified. ' +
+          'Grids must specify a number for height. ' +
+          `"${height === null ? 'null' : typeof height}" was specified.`
+      );
+    }
+  }
+};
+
+// Headless version of the grid components.
+// It calculates which cells should be rendered (and where) using the same layout functions as FixedSizeGrid and VariableSizeGrid,
+// But leaves rendering the cells and their scroll container up to the caller.
+// Fixed size layout is used when "columnWidth" and "rowHeight" are numbers, and variable size layout when they're functions.
+// The returned "outerRef" and "onScroll" should both be attached to the scroll container.
+// (Like all hooks, this requires React 16.8 or newer.)
+export default function useVirtualGrid(hookProps: Props): VirtualGrid {
+  // Like React's defaultProps, defaults also apply to props that are explicitly undefined.
+  const { direction = defaultProps.direction } = hookProps;
+  const props = { ...hookProps, direction };
+  const {
+    columnCount,
+    columnWidth,
+    initialScrollLeft,
+    initialScrollTop,
+    overscanColumnCount,
+    overscanRowCount,
+    rowCount,
+    rowHeight,
+  } = props;
+
+  const config =
+    typeof columnWidth === 'function'
+      ? variableSizeGridConfig
+      : fixedSizeGridConfig;
+  const {
+    getColumnOffset,
+    getColumnStartIndexForOffset,
+    getColumnStopIndexForStartIndex,
+    getColumnWidth,
+    getEstimatedTotalHeight,
+    getEstimatedTotalWidth,
+    getOffsetForColumnAndAlignment,
+    getOffsetForRowAndAlignment,
+    getRowHeight,
+    getRowOffset,
+    getRowStartIndexForOffset,
+    getRowStopIndexForStartIndex,
+    initInstanceProps,
+    shouldResetStyleCacheOnItemSizeChange,
+  } = config;
+
+  // Layout functions are written against the props of the grid components.
+  const gridProps = ((props: any): GridProps<any>);
+
+  validateProps(props);
+  config.validateProps(gridProps);
+
+  const [, forceUpdate] = useReducer((count: number) => count + 1, 0);
+  const outerRef: {| current: HTMLElement | null |} = useRef(null);
+  const resetIsScrollingTimeoutIdRef: {|
+    current: TimeoutID | null,
+  |} = useRef(null);
+
+  const [state, setState] = useState((): State => ({
+    horizontalScrollDirection: 'forward',
+    isScrolling: false,
+    scrollLeft: typeof initialScrollLeft === 'number' ? initialScrollLeft : 0,
+    scrollTop: typeof initialScrollTop === 'number' ? initialScrollTop : 0,
+    scrollUpdateWasRequested:
+      typeof initialScrollLeft === 'number' ||
+      typeof initialScrollTop === 'number',
+    verticalScrollDirection: 'forward',
+  }));
+  const {
+    horizontalScrollDirection,
+    isScrolling,
+    scrollLeft,
+    scrollTop,
+    verticalScrollDirection,
+  } = state;
+
+  // Layout functions may attach methods (e.g. resetAfterIndices) to the instance they are initialized with.
+  // The instance is re-created if the sizes change between numbers and functions.
+  const instanceRef: {| current: Object | null |} = useRef(null);
+  if (instanceRef.current === null || instanceRef.current.config !== config) {
+    const instance: Object = {
+      // Evicts the cached styles of cells in rows or columns at or after the specified indices.
+      _evictItemStyleCacheAfterIndices: ({
+        columnIndex,
+        rowIndex,
+      }: {
+        columnIndex?: number,
+        rowIndex?: number,
+      }): void => {
+        const itemStyleCache = instance._itemStyleCache;
+
+        Object.keys(itemStyleCache).forEach(key => {
+          const [cellRowIndex, cellColumnIndex] = key
+            .split(':')
+            .map(index => parseInt(index, 10));
+
+          if (
+            (typeof rowIndex === 'number' && cellRowIndex >= rowIndex) ||
+            (typeof columnIndex === 'number' && cellColumnIndex >= columnIndex)
+          ) {
+            delete itemStyleCache[key];
+          }
+        });
+      },
+      _getItemStyleCache: memoizeOne(
+        (_: any, __: any, ___: any): ItemStyleCache =>
+          (instance._itemStyleCache = {})
+      ),
+      _itemStyleCache: {},
+      config,
+      forceUpdate: () => forceUpdate(),
+      instanceProps: null,
+    };
+    instance.instanceProps = initInstanceProps(gridProps, instance);
+    instanceRef.current = instance;
+  }
+  const instance: Object = instanceRef.current;
+  const { instanceProps } = instance;
+
+  let overscanColumnStartIndex = 0;
+  let overscanColumnStopIndex = 0;
+  let overscanRowStartIndex = 0;
+  let overscanRowStopIndex = 0;
+  let visibleColumnStartIndex = 0;
+  let visibleColumnStopIndex = 0;
+  let visibleRowStartIndex = 0;
+  let visibleRowStopIndex = 0;
+
+  if (columnCount > 0 && rowCount > 0) {
+    visibleColumnStartIndex = getColumnStartIndexForOffset(
+      gridProps,
+      scrollLeft,
+      instanceProps
+    );
+    visibleColumnStopIndex = getColumnStopIndexForStartIndex(
+      gridProps,
+      visibleColumnStartIndex,
+      scrollLeft,
+      instanceProps
+    );
+    visibleRowStartIndex = getRowStartIndexForOffset(
+      gridProps,
+      scrollTop,
+      instanceProps
+    );
+    visibleRowStopIndex = getRowStopIndexForStartIndex(
+      gridProps,
+      visibleRowStartIndex,
+      scrollTop,
+      instanceProps
+    );
+
+    [overscanColumnStartIndex, overscanColumnStopIndex] = getOverscanIndices(
+      visibleColumnStartIndex,
+      visibleColumnStopIndex,
+      columnCount,
+      overscanColumnCount || 1,
+      isScrolling,
+      horizontalScrollDirection
+    );
+    [overscanRowStartIndex, overscanRowStopIndex] = getOverscanIndices(
+      visibleRowStartIndex,
+      visibleRowStopIndex,
+      rowCount,
+      overscanRowCount || 1,
+      isScrolling,
+      verticalScrollDirection
+    );
+
+    // Measure the cells that will be rendered before reading the total size,
+    // So their actual sizes (if variable) are taken into consideration.
+    getColumnOffset(gridProps, overscanColumnStopIndex, instanceProps);
+    getRowOffset(gridProps, overscanRowStopIndex, instanceProps);
+  }
+
+  const getItemStyle = ({
+    columnIndex,
+    rowIndex,
+  }: {
+    columnIndex: number,
+    rowIndex: number,
+  }): Object => {
+    const itemStyleCache = instance._getItemStyleCache(
+      shouldResetStyleCacheOnItemSizeChange && columnWidth,
+      shouldResetStyleCacheOnItemSizeChange && direction,
+      shouldResetStyleCacheOnItemSizeChange && rowHeight
+    );
+
+    const key = `${rowIndex}:${columnIndex}`;
+
+    let style;
+    if (itemStyleCache.hasOwnProperty(key)) {
+      style = itemStyleCache[key];
+    } else {
+      const left = getColumnOffset(gridProps, columnIndex, instanceProps);
+      const top = getRowOffset(gridProps, rowIndex, instanceProps);
+
+      // It's important to read sizes after offsets.
+      // Variable size grids compute item metadata as part of getting an offset.
+      itemStyleCache[key] = style = {
+        position: 'absolute',
+        [direction === 'rtl' ? 'right' : 'left']: left,
+        top,
+        height: getRowHeight(gridProps, rowIndex, instanceProps),
+        width: getColumnWidth(gridProps, columnIndex, instanceProps),
+      };
+    }
+
+    return style;
+  };
+
+  const onScroll = useCallback(
+    (event: ScrollEvent): void => {
+      const nextScrollLeft = getNormalizedScrollLeft(
+        event.currentTarget,
+        direction
+      );
+      const nextScrollTop = getNormalizedScrollTop(event.currentTarget);
+
+      setState(prevState => {
+        if (
+          prevState.scrollLeft === nextScrollLeft &&
+          prevState.scrollTop === nextScrollTop
+        ) {
+          // Scroll position may have been updated by a requested scroll,
+          // In which case we don't need to trigger another render.
+          return prevState;
+        }
+
+        return {
+          horizontalScrollDirection:
+            prevState.scrollLeft < nextScrollLeft ? 'forward' : 'backward',
+          isScrolling: true,
+          scrollLeft: nextScrollLeft,
+          scrollTop: nextScrollTop,
+          scrollUpdateWasRequested: false,
+          verticalScrollDirection:
+            prevState.scrollTop < nextScrollTop ? 'forward' : 'backward',
+        };
+      });
+
+      if (resetIsScrollingTimeoutIdRef.current !== null) {
+        cancelTimeout(resetIsScrollingTimeoutIdRef.current);
+      }
+
+      resetIsScrollingTimeoutIdRef.current = requestTimeout(() => {
+        resetIsScrollingTimeoutIdRef.current = null;
+
+        // Styles are only cached while scrolling is in progress.
+        if (instanceRef.current !== null) {
+          instanceRef.current._getItemStyleCache(-1);
+        }
+
+        setState(prevState => ({ ...prevState, isScrolling: false }));
+      }, IS_SCROLLING_DEBOUNCE_INTERVAL);
+    },
+    [direction]
+  );
+
+  const scrollTo = useCallback(
+    ({
+      scrollLeft: nextScrollLeft,
+      scrollTop: nextScrollTop,
+    }: {
+      scrollLeft?: number,
+      scrollTop?: number,
+    }): void => {
+      setState(prevState => {
+        const left =
+          nextScrollLeft !== undefined
+            ? Math.max(0, nextScrollLeft)
+            : prevState.scrollLeft;
+        const top =
+          nextScrollTop !== undefined
+            ? Math.max(0, nextScrollTop)
+            : prevState.scrollTop;
+
+        if (prevState.scrollLeft === left && prevState.scrollTop === top) {
+          return prevState;
+        }
+
+        return {
+          horizontalScrollDirection:
+            prevState.scrollLeft < left ? 'forward' : 'backward',
+          isScrolling: prevState.isScrolling,
+          scrollLeft: left,
+          scrollTop: top,
+          scrollUpdateWasRequested: true,
+          verticalScrollDirection:
+            prevState.scrollTop < top ? 'forward' : 'backward',
+        };
+      });
+    },
+    []
+  );
+
+  const totalHeight = getEstimatedTotalHeight(gridProps, instanceProps);
+  const totalWidth = getEstimatedTotalWidth(gridProps, instanceProps);
+
+  const scrollToItem = ({
+    align = 'auto',
+    columnIndex,
+    rowIndex,
+  }: {
+    align?: ScrollToAlign,
+    columnIndex?: number,
+    rowIndex?: number,
+  }): void => {
+    const { height, width } = props;
+    const scrollbarSize = getScrollbarSize();
+
+    // The scrollbar size should be considered when scrolling an item into view,
+    // to ensure it's fully visible.
+    // But we only need to account for its size when it's actually visible.
+    const horizontalScrollbarSize = totalWidth > width ? scrollbarSize : 0;
+    const verticalScrollbarSize = totalHeight > height ? scrollbarSize : 0;
+
+    scrollTo({
+      scrollLeft:
+        columnIndex !== undefined
+          ? getOffsetForColumnAndAlignment(
+              gridProps,
+              Math.max(0, Math.min(columnIndex, columnCount - 1)),
+              align,
+              scrollLeft,
+              instanceProps,
+              verticalScrollbarSize
+            )
+          : scrollLeft,
+      scrollTop:
+        rowIndex !== undefined
+          ? getOffsetForRowAndAlignment(
+              gridProps,
+              Math.max(0, Math.min(rowIndex, rowCount - 1)),
+              align,
+              scrollTop,
+              instanceProps,
+              horizontalScrollbarSize
+            )
+          : scrollTop,
+    });
+  };
+
+  // Requested scroll offsets are applied to the scroll container once they've been rendered.
+  useIsomorphicLayoutEffect(
+    () => {
+      const outerElement = outerRef.current;
+
+      if (state.scrollUpdateWasRequested && outerElement != null) {
+        setNormalizedScrollLeft(outerElement, state.scrollLeft, direction);
+        outerElement.scrollTop = state.scrollTop;
+      }
+    },
+    [direction, state]
+  );
+
+  useEffect(
+    () => () => {
+      if (resetIsScrollingTimeoutIdRef.current !== null) {
+        cancelTimeout(resetIsScrollingTimeoutIdRef.current);
+      }
+    },
+    []
+  );
+
+  return {
+    getItemStyle,
+    horizontalScrollDirection,
+    isScrolling,
+    onScroll,
+    outerRef,
+    overscanColumnStartIndex,
+    overscanColumnStopIndex,
+    overscanRowStartIndex,
+    overscanRowStopIndex,
+    resetAfterColumnIndex: instance.resetAfterColumnIndex,
+    resetAfterIndices: instance.resetAfterIndices,
+    resetAfterRowIndex: instance.resetAfterRowIndex,
+    resetColumnIndex: instance.resetColumnIndex,
+    resetRowIndex: instance.resetRowIndex,
+    scrollLeft,
+    scrollTo,
+    scrollToItem,
+    scrollTop,
+    totalHeight,
+    totalWidth,
+    verticalScrollDirection,
+    visibleColumnStartIndex,
+    visibleColumnStopIndex,
+    visibleRowStartIndex,
+    visibleRowStopIndex,
+  };
+}
@@ -0,0 +1,363 @@
+// @flow
+
+import memoizeOne from 'memoize-one';
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import { config as fixedSizeListConfig } from './FixedSizeList';
+import { config as variableSizeListConfig } from './VariableSizeList';
+import { cancelTimeout, requestTimeout } from './timer';
+import {
+  getNormalizedScrollLeft,
+  getNormalizedScrollTop,
+  setNormalizedScrollLeft,
+} from './domHelpers';
+import {
+  getOverscanIndices,
+  IS_SCROLLING_DEBOUNCE_INTERVAL,
+} from './scrollHelpers';
+import useIsomorphicLayoutEffect from './useIsomorphicLayoutEffect';
+
+import type { Props as ListProps, ScrollToAlign } from './createListComponent';
+import type { ScrollDirection } from './scrollHelpers';
+import type { TimeoutID } from './timer';
+
+type ScrollEvent = SyntheticEvent<HTMLElement>;
+type ItemStyleCache = { [index: number]: Object };
+
+export type Props = {|
+  direction?: 'ltr' | 'rtl',
+  estimatedItemSize?: number,
+  // Only the size along the scrolling axis is used (and required):
+  // The height of vertical lists and the width of horizontal ones.
+  height?: number,
+  initialScrollOffset?: number,
+  itemCount: number,
+  itemSize: number | ((index: number) => number),
+  layout?: 'horizontal' | 'vertical',
+  overscanCount?: number,
+  useOffsetTree?: boolean,
+  width?: number,
+|};
+
+export type VirtualList = {|
+  getItemStyle: (index: number) => Object,
+  isScrolling: boolean,
+  onScroll: (event: ScrollEvent) => void,
+  outerRef: {| current: HTMLElement | null |},
+  overscanStartIndex: number,
+  overscanStopIndex: number,
+  resetAfterIndex:
+    | ((index: number, shouldForceUpdate?: boolean) => void)
+    | void,
+  resetIndex: ((index: number, shouldForceUpdate?: boolean) => void) | void,
+  scrollDirection: ScrollDirection,
+  scrollOffset: number,
+  scrollTo: (scrollOffset: number) => void,
+  scrollToItem: (index: number, align?: ScrollToAlign) => void,
+  totalSize: number,
+  visibleStartIndex: number,
+  visibleStopIndex: number,
+|};
+
+type State = {|
+  isScrolling: boolean,
+  scrollDirection: ScrollDirection,
+  scrollOffset: number,
+  scrollUpdateWasRequested: boolean,
+|};
+
+const defaultProps = {
+  direction: 'ltr',
+  layout: 'vertical',
+  overscanCount: 2,
+};
+
+const validateProps = ({ direction, height, layout, width }: Object): void => {
+  if (process.env.NODE_ENV !== 'production') {
+    if (direction !== 'ltr' && direction !== 'rtl') {
+      throw Error(
+        'An invalid "direction" prop has been specified. ' +
+          'Value should be either "ltr" or "rtl". ' +
+          `"${direction}" was specified.`
+      );
+    }
+
+    if (layout !== 'horizontal' && layout !== 'vertical') {
+      throw Error(
+        'An invalid "layout" prop has been specified. ' +
+          'Value should be either "horizontal" or "vertical". ' +
+          `"${layout}" was specified.`
+      );
+    }
+
+    if (layout === 'horizontal' && typeof width !== 'number') {
+      throw Error(
+        'An invalid "width" prop has been specified. ' +
+          'Horizontal lists must specify a number for width. ' +
+          `"${width === null ? 'null' : typeof width}" was specified.`
+      );
+    } else if (layout === 'vertical' && typeof height !== 'number') {
+      throw Error(
+        'An invalid "height" prop has been specified. ' +
+          'Vertical lists must specify a number for height. ' +
+          `"${height === null ? 'null' : typeof height}" was specified.`
+      );
+    }
+  }
+};
+
+// Headless version of the list components.
+// It calculates which items should be rendered (and where) using the same layout functions as FixedSizeList and VariableSizeList,
+// But leaves rendering the items and their scroll container up to the caller.
+// Fixed size layout is used when "itemSize" is a number, and variable size layout when it's a function.
+// The returned "outerRef" and "onScroll" should both be attached to the scroll container.
+// (Like all hooks, this requires React 16.8 or newer.)
+export default function useVirtualList(hookProps: Props): VirtualList {
+  // Like React's defaultProps, defaults also apply to props that are explicitly undefined.
+  const {
+    direction = defaultProps.direction,
+    layout = defaultProps.layout,
+    overscanCount = defaultProps.overscanCount,
+  } = hookProps;
+  const props = { ...hookProps, direction, layout, overscanCount };
+  const { initialScrollOffset, itemCount, itemSize } = props;
+  const isHorizontal = layout === 'horizontal';
+
+  const config =
+    typeof itemSize === 'function'
+      ? variableSizeListConfig
+      : fixedSizeListConfig;
+  const {
+    getEstimatedTotalSize,
+    getItemOffset,
+    getItemSize,
+    getOffsetForIndexAndAlignment,
+    getStartIndexForOffset,
+    getStopIndexForStartIndex,
+    initInstanceProps,
+    shouldResetStyleCacheOnItemSizeChange,
+  } = config;
+
+  // Layout functions are written against the props of the list components.
+  const listProps = ((props: any): ListProps<any>);
+
+  validateProps(props);
+  config.validateProps(listProps);
+
+  const [, forceUpdate] = useReducer((count: number) => count + 1, 0);
+  const outerRef: {| current: HTMLElement | null |} = useRef(null);
+  const resetIsScrollingTimeoutIdRef: {|
+    current: TimeoutID | null,
+  |} = useRef(null);
+
+  const [state, setState] = useState((): State => ({
+    isScrolling: false,
+    scrollDirection: 'forward',
+    scrollOffset:
+      typeof initialScrollOffset === 'number' ? initialScrollOffset : 0,
+    scrollUpdateWasRequested: typeof initialScrollOffset === 'number',
+  }));
+  const { isScrolling, scrollDirection, scrollOffset } = state;
+
+  // Layout functions may attach methods (e.g. resetAfterIndex) to the instance they are initialized with.
+  // The instance is re-created if "itemSize" changes between a number and a function.
+  const instanceRef: {| current: Object | null |} = useRef(null);
+  if (instanceRef.current === null || instanceRef.current.config !== config) {
+    const instance: Object = {
+      // Evicts the cached styles of items at or after the specified index.
+      _evictItemStyleCacheAfterIndex: (index: number): void => {
+        const itemStyleCache = instance._itemStyleCache;
+
+        Object.keys(itemStyleCache).forEach(key => {
+          if (parseInt(key, 10) >= index) {
+            delete itemStyleCache[(key: any)];
+          }
+        });
+      },
+      _getItemStyleCache: memoizeOne(
+        (_: any, __: any, ___: any): ItemStyleCache =>
+          (instance._itemStyleCache = {})
+      ),
+      _itemStyleCache: {},
+      config,
+      forceUpdate: () => forceUpdate(),
+      instanceProps: null,
+    };
+    instance.instanceProps = initInstanceProps(listProps, instance);
+    instanceRef.current = instance;
+  }
+  const instance: Object = instanceRef.current;
+  const { instanceProps } = instance;
+
+  let overscanStartIndex = 0;
+  let overscanStopIndex = 0;
+  let visibleStartIndex = 0;
+  let visibleStopIndex = 0;
+
+  if (itemCount > 0) {
+    visibleStartIndex = getStartIndexForOffset(
+      listProps,
+      scrollOffset,
+      instanceProps
+    );
+    visibleStopIndex = getStopIndexForStartIndex(
+      listProps,
+      visibleStartIndex,
+      scrollOffset,
+      instanceProps
+    );
+
+    [overscanStartIndex, overscanStopIndex] = getOverscanIndices(
+      visibleStartIndex,
+      visibleStopIndex,
+      itemCount,
+      overscanCount,
+      isScrolling,
+      scrollDirection
+    );
+
+    // Measure the items that will be rendered before reading the total size,
+    // So their actual sizes (if variable) are taken into consideration.
+    getItemOffset(listProps, overscanStopIndex, instanceProps);
+  }
+
+  const getItemStyle = (index: number): Object => {
+    const itemStyleCache = instance._getItemStyleCache(
+      shouldResetStyleCacheOnItemSizeChange && itemSize,
+      shouldResetStyleCacheOnItemSizeChange && layout,
+      shouldResetStyleCacheOnItemSizeChange && direction
+    );
+
+    let style;
+    if (itemStyleCache.hasOwnProperty(index)) {
+      style = itemStyleCache[index];
+    } else {
+      const offset = getItemOffset(listProps, index, instanceProps);
+      const size = getItemSize(listProps, index, instanceProps);
+
+      itemStyleCache[index] = style = {
+        position: 'absolute',
+        [direction === 'rtl' ? 'right' : 'left']: isHorizontal ? offset : 0,
+        top: !isHorizontal ? offset : 0,
+        height: !isHorizontal ? size : '100%',
+        width: isHorizontal ? size : '100%',
+      };
+    }
+
+    return style;
+  };
+
+  const onScroll = useCallback(
+    (event: ScrollEvent): void => {
+      const nextScrollOffset = isHorizontal
+        ? getNormalizedScrollLeft(event.currentTarget, direction)
+        : getNormalizedScrollTop(event.currentTarget);
+
+      setState(prevState => {
+        if (prevState.scrollOffset === nextScrollOffset) {
+          // Scroll position may have been updated by a requested scroll,
+          // In which case we don't need to trigger another render.
+          return prevState;
+        }
+
+        return {
+          isScrolling: true,
+          scrollDirection:
+            prevState.scrollOffset < nextScrollOffset ? 'forward' : 'backward',
+          scrollOffset: nextScrollOffset,
+          scrollUpdateWasRequested: false,
+        };
+      });
+
+      if (resetIsScrollingTimeoutIdRef.current !== null) {
+        cancelTimeout(resetIsScrollingTimeoutIdRef.current);
+      }
+
+      resetIsScrollingTimeoutIdRef.current = requestTimeout(() => {
+        resetIsScrollingTimeoutIdRef.current = null;
+
+        // Styles are only cached while scrolling is in progress.
+        if (instanceRef.current !== null) {
+          instanceRef.current._getItemStyleCache(-1, null);
+        }
+
+        setState(prevState => ({ ...prevState, isScrolling: false }));
+      }, IS_SCROLLING_DEBOUNCE_INTERVAL);
+    },
+    [direction, isHorizontal]
+  );
+
+  const scrollTo = useCallback((nextScrollOffset: number): void => {
+    nextScrollOffset = Math.max(0, nextScrollOffset);
+
+    setState(prevState => {
+      if (prevState.scrollOffset === nextScrollOffset) {
+        return prevState;
+      }
+
+      return {
+        isScrolling: prevState.isScrolling,
+        scrollDirection:
+          prevState.scrollOffset < nextScrollOffset ? 'forward' : 'backward',
+        scrollOffset: nextScrollOffset,
+        scrollUpdateWasRequested: true,
+      };
+    });
+  }, []);
+
+  const scrollToItem = (index: number, align: ScrollToAlign = 'auto'): void => {
+    index = Math.max(0, Math.min(index, itemCount - 1));
+
+    scrollTo(
+      getOffsetForIndexAndAlignment(
+        listProps,
+        index,
+        align,
+        scrollOffset,
+        instanceProps
+      )
+    );
+  };
+
+  // Requested scroll offsets are applied to the scroll container once they've been rendered.
+  useIsomorphicLayoutEffect(
+    () => {
+      const outerElement = outerRef.current;
+
+      if (state.scrollUpdateWasRequested && outerElement != null) {
+        if (isHorizontal) {
+          setNormalizedScrollLeft(outerElement, state.scrollOffset, direction);
+        } else {
+          outerElement.scrollTop = state.scrollOffset;
+        }
+      }
+    },
+    [direction, isHorizontal, state]
+  );
+
+  useEffect(
+    () => () => {
+      if (resetIsScrollingTimeoutIdRef.current !== null) {
+        cancelTimeout(resetIsScrollingTimeoutIdRef.current);
+      }
+    },
+    []
+  );
+
+  return {
+    getItemStyle,
+    isScrolling,
+    onScroll,
+    outerRef,
+    overscanStartIndex,
+    overscanStopIndex,
+    resetAfterIndex: instance.resetAfterIndex,
+    resetIndex: instance.resetIndex,
+    scrollDirection,
+    scrollOffset,
+    scrollTo,
+    scrollToItem,
+    totalSize: getEstimatedTotalSize(listProps, instanceProps),
+    visibleStartIndex,
+    visibleStopIndex,
+  };
+}